@@ -0,0 +1,59 @@
+/**
+ * app-storage.js
+ *
+ * 应用数据目录 (~/.foundry-chat) 的读写工具
+ * Read/write helpers for the application data directory (~/.foundry-chat)
+ */
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+/**
+ * 获取应用数据目录（可带子路径），必要时自动创建
+ * Get the app data directory (optionally a sub directory), creating it if needed
+ *
+ * @param {...string} segments - Optional sub directory segments
+ * @returns {string}
+ */
+export function getDataDir(...segments) {
+  const dir = path.join(os.homedir(), '.foundry-chat', ...segments)
+  if (!fs.existsSync(dir)) {
+    fs.mkdirSync(dir, { recursive: true })
+  }
+  return dir
+}
+
+/**
+ * 读取 JSON 文件，文件不存在或损坏时返回默认值
+ * Read a JSON file, returning the fallback when missing or unreadable
+ *
+ * @param {string} filePath - Absolute file path
+ * @param {*} fallback - Value returned when the file cannot be read
+ * @returns {*}
+ */
+export function readJsonFile(filePath, fallback = null) {
+  try {
+    if (!fs.existsSync(filePath)) {
+      return fallback
+    }
+    return JSON.parse(fs.readFileSync(filePath, 'utf8'))
+  } catch (error) {
+    console.warn(`[Storage] Error reading ${filePath}: ${error.message}`)
+    return fallback
+  }
+}
+
+/**
+ * 写入 JSON 文件（先写临时文件再重命名，避免写入中断导致文件损坏）
+ * Write a JSON file atomically (temp file + rename) so a crash never leaves half a file
+ *
+ * @param {string} filePath - Absolute file path
+ * @param {*} data - JSON-serializable data
+ * @param {{mode?: number}} [options] - File mode (e.g. 0o600 for files holding secrets)
+ */
+export function writeJsonFile(filePath, data, options = {}) {
+  const tmpPath = `${filePath}.${process.pid}.tmp`
+  fs.writeFileSync(tmpPath, JSON.stringify(data, null, 2), { mode: options.mode })
+  fs.renameSync(tmpPath, filePath)
+}
@@ -0,0 +1,167 @@
+/**
+ * chat-errors.js
+ *
+ * 聊天请求错误分类与重试策略：把 OpenAI SDK / 网络错误归类（连接被拒、模型未加载、上下文超长、认证、
+ * 限流、Azure 内容过滤、流中断等），给出针对性提示，并计算可重试错误的退避时间（遵守 Retry-After）
+ *
+ * Chat request error classification and retry policy: OpenAI SDK and network errors are sorted into
+ * categories (connection refused, model not loaded, context overflow, auth, rate limit, Azure content
+ * filter, mid-stream disconnect, ...) with a targeted hint, and retryable errors get a backoff delay
+ * that honours Retry-After
+ */
+
+import { APIConnectionError } from 'openai'
+
+export const ERROR_CATEGORIES = [
+  'connection-refused',
+  'stream-disconnect',
+  'model-not-loaded',
+  'context-overflow',
+  'auth',
+  'rate-limit',
+  'content-filter',
+  'server',
+  'unknown'
+]
+
+// 自动重试次数（不含首次请求）
+// Automatic retries (not counting the first request)
+export const MAX_RETRIES = 3
+
+// 退避：1s、2s、4s……，最长 30s；Retry-After 最长等待 60s
+// Backoff: 1s, 2s, 4s, ... up to 30s; Retry-After is honoured up to 60s
+const BASE_RETRY_DELAY = 1000
+const MAX_RETRY_DELAY = 30000
+const MAX_RETRY_AFTER = 60000
+
+// 连接错误的错误码（请求中断或服务不可达）
+// Error codes of connection failures (request cut off or service unreachable)
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'EPIPE', 'ETIMEDOUT', 'EHOSTUNREACH', 'ERR_STREAM_PREMATURE_CLOSE']
+
+const CONTEXT_OVERFLOW_PATTERN = /maximum context length|context[ _]length|context window|too many tokens|prompt is too long|exceeds? (the )?(max(imum)?[ _])?(input |context )?(length|tokens)/i
+const MODEL_NOT_LOADED_PATTERN = /No OpenAIService provider found|model .*(not (loaded|found|downloaded)|does not exist)|not (been )?downloaded|DeploymentNotFound/i
+const CONTENT_FILTER_PATTERN = /content management policy|content[ _]filter|ResponsibleAIPolicyViolation/i
+
+/**
+ * 是否为连接类错误（服务不可达或请求中途断开）
+ * Whether an error is a connection failure (service unreachable or request cut off)
+ *
+ * @param {Error} error
+ * @returns {boolean}
+ */
+export function isConnectionError(error) {
+  if (!error) return false
+  if (error instanceof APIConnectionError) return true
+  const code = error.code || error.cause?.code
+  if (CONNECTION_ERROR_CODES.includes(code)) return true
+  return /premature close|socket hang up|connection error|terminated/i.test(error.message || '')
+}
+
+/**
+ * 从响应头读取 Retry-After（retry-after-ms、秒数或 HTTP 日期）
+ * Read Retry-After from the response headers (retry-after-ms, seconds or an HTTP date)
+ *
+ * @param {object} [headers] - Response headers with lowercase names
+ * @returns {number|null} Milliseconds to wait, or null when absent
+ */
+export function parseRetryAfter(headers) {
+  if (!headers) return null
+
+  const ms = Number(headers['retry-after-ms'])
+  if (headers['retry-after-ms'] && Number.isFinite(ms) && ms >= 0) {
+    return ms
+  }
+
+  const value = headers['retry-after']
+  if (!value) return null
+  const seconds = Number(value)
+  if (Number.isFinite(seconds) && seconds >= 0) {
+    return seconds * 1000
+  }
+  const date = Date.parse(value)
+  return Number.isNaN(date) ? null : Math.max(0, date - Date.now())
+}
+
+/**
+ * 对聊天请求的错误分类
+ * Classify a chat request error
+ *
+ * @param {Error} error - Error from the OpenAI SDK, the network or the stream
+ * @param {object} context
+ * @param {'local'|'cloud'} context.modelType - Whether the request went to Foundry Local or a cloud profile
+ * @param {boolean} [context.receivedContent] - Whether part of the reply had already streamed in
+ * @returns {{category: string, message: string, hint: string, retryable: boolean, status: number|null, retryAfterMs: number|null}}
+ */
+export function classifyChatError(error, { modelType, receivedContent = false }) {
+  const status = Number.isInteger(error?.status) ? error.status : null
+  const code = String(error?.code || error?.error?.code || '')
+  const message = error?.message || String(error)
+  const isLocal = modelType === 'local'
+  const result = (category, hint, retryable) => ({
+    category,
+    message,
+    hint,
+    retryable,
+    status,
+    retryAfterMs: retryable ? parseRetryAfter(error?.headers) : null
+  })
+
+  if (isConnectionError(error) && status === null) {
+    if (receivedContent) {
+      return result('stream-disconnect', isLocal
+        ? 'Foundry Local stopped in the middle of the reply. Check that the service is still running.'
+        : 'The connection dropped in the middle of the reply. Check your network.', true)
+    }
+    return result('connection-refused', isLocal
+      ? 'Foundry Local is not reachable. Start the service with "foundry service start", or check the endpoint in Settings.'
+      : 'The endpoint is not reachable. Check the endpoint URL of this profile and your network.', true)
+  }
+
+  if (code === 'content_filter' || CONTENT_FILTER_PATTERN.test(message)) {
+    return result('content-filter', 'The Azure content filter blocked this prompt or reply. Rephrase the message, or review the content filter of the deployment.', false)
+  }
+  if (status === 401 || status === 403) {
+    return result('auth', isLocal
+      ? 'The endpoint rejected the credentials. Check the endpoint token in Settings.'
+      : 'Check the API key of this cloud profile in Settings.', false)
+  }
+  if (status === 429) {
+    // 额度用尽不会因等待而恢复
+    // An exhausted quota does not recover by waiting
+    if (code === 'insufficient_quota') {
+      return result('rate-limit', 'The quota of this account is used up. Check billing or switch to another profile.', false)
+    }
+    return result('rate-limit', 'The provider is rate limiting requests. The request is retried automatically.', true)
+  }
+  if (code === 'context_length_exceeded' || CONTEXT_OVERFLOW_PATTERN.test(message)) {
+    return result('context-overflow', 'The conversation is too long for this model. Lower the context budget (📏) or start a new conversation.', false)
+  }
+  if ((status === 404 || status === 400) && MODEL_NOT_LOADED_PATTERN.test(message)) {
+    return result('model-not-loaded', isLocal
+      ? 'The model is not downloaded or loaded. Open the Model Manager (📦) to download or load it.'
+      : 'The deployment was not found. Check the deployment name of this profile.', false)
+  }
+  if (status === 404 && isLocal) {
+    return result('model-not-loaded', 'The model is not available on Foundry Local. Open the Model Manager (📦) to download or load it.', false)
+  }
+  if (status === 408 || status === 409 || (status !== null && status >= 500)) {
+    return result('server', 'The service had a temporary problem. The request is retried automatically.', true)
+  }
+  return result('unknown', '', false)
+}
+
+/**
+ * 第 attempt 次重试前的等待时间：有 Retry-After 时使用它，否则指数退避加随机抖动
+ * Wait before retry number attempt: Retry-After when given, otherwise exponential backoff with jitter
+ *
+ * @param {{retryAfterMs: number|null}} classified - Result of classifyChatError
+ * @param {number} attempt - Retry number, starting at 1
+ * @returns {number} Milliseconds
+ */
+export function getRetryDelay(classified, attempt) {
+  if (classified.retryAfterMs !== null) {
+    return Math.min(classified.retryAfterMs, MAX_RETRY_AFTER)
+  }
+  const delay = Math.min(BASE_RETRY_DELAY * 2 ** (attempt - 1), MAX_RETRY_DELAY)
+  return Math.round(delay * (0.8 + Math.random() * 0.4))
+}
@@ -0,0 +1,464 @@
+/**
+ * chat-tools.js
+ *
+ * 聊天中模型可以调用的内置本地工具（函数调用）：读取允许目录中的文件、列出目录、计算算术表达式、
+ * 获取当前日期时间；以及合并流式 tool_calls 增量的工具函数。每次调用前由 main.js 请用户确认
+ *
+ * Built-in local tools the model can call during a chat (function calling): read a file in an
+ * allowed directory, list a directory, evaluate arithmetic and get the current date and time; plus
+ * helpers that merge streamed tool_calls deltas. main.js asks the user before every call
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { getDataDir, readJsonFile, writeJsonFile } from './app-storage.js'
+import { extractFileText } from './file-attachments.js'
+
+// 一次回复中最多的工具调用轮数，防止模型无限调用
+// Most tool rounds in one reply, so a model cannot call tools forever
+export const MAX_TOOL_ROUNDS = 5
+
+// 返回给模型的工具结果长度上限
+// Length limit of a tool result sent back to the model
+const MAX_RESULT_CHARS = 20000
+const MAX_DIRECTORY_ENTRIES = 200
+const MAX_EXPRESSION_LENGTH = 500
+
+function getSettingsPath() {
+  return path.join(getDataDir(), 'tool-settings.json')
+}
+
+/**
+ * 获取工具设置
+ * Get the tool settings
+ *
+ * @returns {{enabled: boolean, allowedDirectories: string[]}}
+ */
+export function getToolSettings() {
+  const stored = readJsonFile(getSettingsPath(), {}) || {}
+  return {
+    enabled: !!stored.enabled,
+    allowedDirectories: Array.isArray(stored.allowedDirectories)
+      ? stored.allowedDirectories.filter(dir => typeof dir === 'string')
+      : []
+  }
+}
+
+/**
+ * 保存工具设置
+ * Save the tool settings
+ *
+ * @param {{enabled?: boolean, allowedDirectories?: string[]}} changes
+ * @returns {{enabled: boolean, allowedDirectories: string[]}}
+ */
+export function saveToolSettings(changes) {
+  const settings = getToolSettings()
+  if (changes.enabled !== undefined) {
+    settings.enabled = !!changes.enabled
+  }
+  if (changes.allowedDirectories !== undefined) {
+    const directories = changes.allowedDirectories.map(dir => path.resolve(String(dir)))
+    for (const dir of directories) {
+      if (!fs.existsSync(dir) || !fs.statSync(dir).isDirectory()) {
+        throw new Error(`Not a folder: ${dir}`)
+      }
+    }
+    settings.allowedDirectories = [...new Set(directories)]
+  }
+  writeJsonFile(getSettingsPath(), settings)
+  return settings
+}
+
+const FILE_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'read_file',
+      description: 'Read the text of a file (text, code, Markdown, CSV, JSON, PDF or DOCX) in one of the folders the user shared. Relative paths start at the first shared folder.',
+      parameters: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Absolute path, or a path relative to the first shared folder' }
+        },
+        required: ['path']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'list_directory',
+      description: 'List the files and sub folders of a folder the user shared. Without a path, lists the first shared folder.',
+      parameters: {
+        type: 'object',
+        properties: {
+          path: { type: 'string', description: 'Absolute path, or a path relative to the first shared folder' }
+        }
+      }
+    }
+  }
+]
+
+const GENERAL_TOOLS = [
+  {
+    type: 'function',
+    function: {
+      name: 'calculate',
+      description: 'Evaluate an arithmetic expression exactly. Supports + - * / % ^, parentheses, pi, e and sqrt, abs, round, floor, ceil, min, max, pow, exp, ln, log10, sin, cos, tan.',
+      parameters: {
+        type: 'object',
+        properties: {
+          expression: { type: 'string', description: 'For example (17.5 * 3) / 4 + sqrt(2)' }
+        },
+        required: ['expression']
+      }
+    }
+  },
+  {
+    type: 'function',
+    function: {
+      name: 'get_current_time',
+      description: 'Get the current date and time, in the user\'s time zone or in the given IANA time zone.',
+      parameters: {
+        type: 'object',
+        properties: {
+          timezone: { type: 'string', description: 'IANA time zone such as Europe/Berlin (optional)' }
+        }
+      }
+    }
+  }
+]
+
+/**
+ * 发送给模型的工具定义；没有共享文件夹时不提供文件工具
+ * Tool definitions sent to the model; the file tools are left out when no folder is shared
+ *
+ * @param {{allowedDirectories: string[]}} settings
+ * @returns {Array<object>} OpenAI `tools` array
+ */
+export function getToolDefinitions(settings) {
+  return settings.allowedDirectories.length > 0 ? [...FILE_TOOLS, ...GENERAL_TOOLS] : GENERAL_TOOLS
+}
+
+/**
+ * 把流式响应中的 tool_calls 增量合并到按 index 排列的调用列表
+ * Merge the tool_calls deltas of a streamed response into the list of calls, by index
+ *
+ * @param {Array<{id: string, type: string, function: {name: string, arguments: string}}>} calls - Updated in place
+ * @param {Array<{index: number, id?: string, type?: string, function?: {name?: string, arguments?: string}}>} deltas
+ * @returns {Array} calls
+ */
+export function mergeToolCallDeltas(calls, deltas) {
+  for (const delta of deltas || []) {
+    const index = Number.isInteger(delta.index) ? delta.index : calls.length
+    const call = calls[index] ||= { id: '', type: 'function', function: { name: '', arguments: '' } }
+    if (delta.id) call.id = delta.id
+    if (delta.type) call.type = delta.type
+    if (delta.function?.name) call.function.name += delta.function.name
+    if (delta.function?.arguments) call.function.arguments += delta.function.arguments
+  }
+  return calls
+}
+
+/**
+ * 解析工具调用的 JSON 参数
+ * Parse the JSON arguments of a tool call
+ *
+ * @param {string} text
+ * @returns {object}
+ */
+export function parseToolArguments(text) {
+  if (!text || !text.trim()) return {}
+  let args
+  try {
+    args = JSON.parse(text)
+  } catch (error) {
+    throw new Error(`The arguments are not valid JSON: ${error.message}`)
+  }
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    throw new Error('The arguments must be a JSON object')
+  }
+  return args
+}
+
+/**
+ * 确认对话框中显示的调用说明
+ * Description of a call for the approval prompt
+ *
+ * @param {string} name
+ * @param {object} args
+ * @returns {string}
+ */
+export function describeToolCall(name, args) {
+  switch (name) {
+    case 'read_file':
+      return `Read the file ${args.path}`
+    case 'list_directory':
+      return `List the folder ${args.path || '(first shared folder)'}`
+    case 'calculate':
+      return `Calculate ${args.expression}`
+    case 'get_current_time':
+      return `Get the current date and time${args.timezone ? ` in ${args.timezone}` : ''}`
+    default:
+      return `${name}(${JSON.stringify(args)})`
+  }
+}
+
+// 路径必须在某个共享文件夹内；先解析符号链接，链接不能指向文件夹外
+// The path has to be inside a shared folder; symbolic links are resolved first so they cannot point outside
+function resolveAllowedPath(requested, settings) {
+  if (settings.allowedDirectories.length === 0) {
+    throw new Error('No folders are shared with tools. Add one in Settings.')
+  }
+  const target = path.resolve(settings.allowedDirectories[0], String(requested || '.'))
+  let real
+  try {
+    real = fs.realpathSync(target)
+  } catch (error) {
+    throw new Error(`${target} does not exist`)
+  }
+  const allowed = settings.allowedDirectories.some(dir => {
+    const root = fs.existsSync(dir) ? fs.realpathSync(dir) : dir
+    return real === root || real.startsWith(root + path.sep)
+  })
+  if (!allowed) {
+    throw new Error(`${target} is outside the shared folders`)
+  }
+  return real
+}
+
+function limitResult(text) {
+  return text.length > MAX_RESULT_CHARS
+    ? `${text.slice(0, MAX_RESULT_CHARS)}\n[Truncated: showing the first ${MAX_RESULT_CHARS} of ${text.length} characters]`
+    : text
+}
+
+async function readFileTool(args, settings) {
+  const filePath = resolveAllowedPath(args.path, settings)
+  const file = await extractFileText(filePath)
+  return limitResult(file.text)
+}
+
+async function listDirectoryTool(args, settings) {
+  const dir = resolveAllowedPath(args.path, settings)
+  const entries = (await fs.promises.readdir(dir, { withFileTypes: true }))
+    .sort((a, b) => Number(b.isDirectory()) - Number(a.isDirectory()) || a.name.localeCompare(b.name))
+  const lines = []
+  for (const entry of entries.slice(0, MAX_DIRECTORY_ENTRIES)) {
+    if (entry.isDirectory()) {
+      lines.push(`${entry.name}/`)
+    } else {
+      const stats = await fs.promises.stat(path.join(dir, entry.name)).catch(() => null)
+      lines.push(stats ? `${entry.name} (${stats.size} bytes)` : entry.name)
+    }
+  }
+  if (entries.length > MAX_DIRECTORY_ENTRIES) {
+    lines.push(`[${entries.length - MAX_DIRECTORY_ENTRIES} more entries not shown]`)
+  }
+  return `${dir}\n${lines.join('\n') || '(empty folder)'}`
+}
+
+const MATH_CONSTANTS = { pi: Math.PI, e: Math.E }
+const MATH_FUNCTIONS = {
+  sqrt: Math.sqrt,
+  abs: Math.abs,
+  round: Math.round,
+  floor: Math.floor,
+  ceil: Math.ceil,
+  min: Math.min,
+  max: Math.max,
+  pow: Math.pow,
+  exp: Math.exp,
+  ln: Math.log,
+  log: Math.log,
+  log10: Math.log10,
+  sin: Math.sin,
+  cos: Math.cos,
+  tan: Math.tan
+}
+
+/**
+ * 计算算术表达式（递归下降解析，不使用 eval）
+ * Evaluate an arithmetic expression (recursive descent parser, no eval)
+ *
+ * @param {string} expression
+ * @returns {number}
+ */
+export function evaluateArithmetic(expression) {
+  const source = String(expression || '')
+  if (source.length > MAX_EXPRESSION_LENGTH) {
+    throw new Error(`The expression is longer than ${MAX_EXPRESSION_LENGTH} characters`)
+  }
+  const tokens = source.match(/\d+(?:\.\d*)?(?:e[+-]?\d+)?|\.\d+(?:e[+-]?\d+)?|[a-z_][a-z0-9_]*|\*\*|\S/gi) || []
+  let position = 0
+  const peek = () => tokens[position]
+  const take = (expected) => {
+    const token = tokens[position]
+    if (expected !== undefined && token !== expected) {
+      throw new Error(token === undefined ? `Expected "${expected}" at the end` : `Expected "${expected}" but found "${token}"`)
+    }
+    position++
+    return token
+  }
+
+  // expression := term (('+' | '-') term)*
+  const parseExpression = () => {
+    let value = parseTerm()
+    while (peek() === '+' || peek() === '-') {
+      value = take() === '+' ? value + parseTerm() : value - parseTerm()
+    }
+    return value
+  }
+  // term := unary (('*' | '/' | '%') unary)*
+  const parseTerm = () => {
+    let value = parseUnary()
+    while (peek() === '*' || peek() === '/' || peek() === '%') {
+      const operator = take()
+      const right = parseUnary()
+      value = operator === '*' ? value * right : operator === '/' ? value / right : value % right
+    }
+    return value
+  }
+  // unary := ('-' | '+') unary | power，所以 -2^2 = -4
+  // unary := ('-' | '+') unary | power, so -2^2 = -4
+  const parseUnary = () => {
+    if (peek() === '-') {
+      take()
+      return -parseUnary()
+    }
+    if (peek() === '+') {
+      take()
+      return parseUnary()
+    }
+    return parsePower()
+  }
+  // power := primary (('^' | '**') unary)?（右结合）
+  // power := primary (('^' | '**') unary)? (right associative)
+  const parsePower = () => {
+    const base = parsePrimary()
+    if (peek() === '^' || peek() === '**') {
+      take()
+      return Math.pow(base, parseUnary())
+    }
+    return base
+  }
+  const parsePrimary = () => {
+    const token = take()
+    if (token === undefined) {
+      throw new Error('The expression ends too early')
+    }
+    if (token === '(') {
+      const value = parseExpression()
+      take(')')
+      return value
+    }
+    if (/^[\d.]/.test(token)) {
+      return Number(token)
+    }
+    const name = token.toLowerCase()
+    if (Object.hasOwn(MATH_CONSTANTS, name)) {
+      return MATH_CONSTANTS[name]
+    }
+    if (Object.hasOwn(MATH_FUNCTIONS, name)) {
+      take('(')
+      const args = [parseExpression()]
+      while (peek() === ',') {
+        take()
+        args.push(parseExpression())
+      }
+      take(')')
+      return MATH_FUNCTIONS[name](...args)
+    }
+    throw new Error(`Unknown symbol "${token}"`)
+  }
+
+  if (tokens.length === 0) {
+    throw new Error('The expression is empty')
+  }
+  const value = parseExpression()
+  if (position < tokens.length) {
+    throw new Error(`Unexpected "${tokens[position]}"`)
+  }
+  if (!Number.isFinite(value)) {
+    throw new Error('The result is not a finite number')
+  }
+  return value
+}
+
+function currentTimeTool(args) {
+  const now = new Date()
+  const timeZone = args.timezone || Intl.DateTimeFormat().resolvedOptions().timeZone
+  let local
+  try {
+    local = new Intl.DateTimeFormat('en-US', { timeZone, dateStyle: 'full', timeStyle: 'long' }).format(now)
+  } catch (error) {
+    throw new Error(`Unknown time zone: ${timeZone}`)
+  }
+  return `${local} (time zone ${timeZone}; UTC ${now.toISOString()})`
+}
+
+/**
+ * 执行工具调用
+ * Run a tool call
+ *
+ * @param {string} name - Tool name
+ * @param {object} args - Parsed arguments
+ * @param {{allowedDirectories: string[]}} settings - Tool settings
+ * @returns {Promise<string>} Result text for the model
+ */
+export async function runTool(name, args, settings) {
+  switch (name) {
+    case 'read_file':
+      return readFileTool(args, settings)
+    case 'list_directory':
+      return listDirectoryTool(args, settings)
+    case 'calculate':
+      return String(evaluateArithmetic(args.expression))
+    case 'get_current_time':
+      return currentTimeTool(args)
+    default:
+      throw new Error(`Unknown tool: ${name}`)
+  }
+}
+
+/**
+ * 逐个确认并执行一轮工具调用；拒绝和失败也作为结果告诉模型
+ * 确认对话框打开时用户按下停止，工具不会再执行，后面的调用也不再确认
+ * Confirm and run the tool calls of one round one by one; denials and failures are reported to the model as results too
+ * If the user presses Stop while an approval dialog is open the tool is not run, and no later call is asked about
+ *
+ * @param {Array<{id: string, function: {name: string, arguments: string}}>} toolCalls - Merged calls of one reply
+ * @param {{confirm: (name: string, args: object) => Promise<boolean>, settings: object, signal: AbortSignal, onStep: (step: object) => void}} options
+ * @returns {Promise<Array<{role: 'tool', tool_call_id: string, content: string}>>} Tool messages for the calls that finished
+ */
+export async function runToolCalls(toolCalls, { confirm, settings, signal, onStep }) {
+  const results = []
+  for (const call of toolCalls) {
+    const step = { id: call.id, name: call.function.name, arguments: call.function.arguments }
+    let status
+    let result
+    try {
+      const args = parseToolArguments(call.function.arguments)
+      onStep({ ...step, status: 'pending' })
+      const approved = await confirm(step.name, args)
+      if (signal.aborted) {
+        result = 'The reply was stopped before this tool ran.'
+        status = 'stopped'
+      } else if (approved) {
+        result = await runTool(step.name, args, settings)
+        status = 'done'
+      } else {
+        result = 'The user denied this tool call.'
+        status = 'denied'
+      }
+    } catch (error) {
+      result = `Error: ${error.message}`
+      status = 'error'
+    }
+    console.log(`[Tools] ${step.name}: ${status}`)
+    onStep({ ...step, status, result })
+    if (signal.aborted) break
+    results.push({ role: 'tool', tool_call_id: call.id, content: result })
+  }
+  return results
+}
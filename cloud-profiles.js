@@ -0,0 +1,383 @@
+/**
+ * cloud-profiles.js
+ *
+ * 云端模型配置（多个命名的 Profile）
+ * 每个 Profile 可以是 Azure OpenAI 部署，也可以是任意 OpenAI 兼容端点，
+ * 保存在 ~/.foundry-chat/cloud-profiles.json；API 密钥经 secret-store.js 加密后保存，
+ * 发送给渲染进程的只有掩码
+ *
+ * Named cloud provider profiles
+ * Each profile is either an Azure OpenAI deployment or any OpenAI-compatible endpoint,
+ * stored in ~/.foundry-chat/cloud-profiles.json; API keys are encrypted through
+ * secret-store.js and only a mask is ever sent to the renderer
+ */
+
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import OpenAI, { AzureOpenAI } from 'openai'
+import { getDataDir, readJsonFile, writeJsonFile } from './app-storage.js'
+import { encryptSecret, decryptSecret, maskSecret, isSecretStoreReady } from './secret-store.js'
+
+export const PROVIDER_TYPES = ['azure', 'openai']
+
+// 环境变量提供的只读 Profile
+// Read-only profile provided through environment variables
+const ENV_PROFILE_ID = 'env'
+
+function getProfilesPath() {
+  return path.join(getDataDir(), 'cloud-profiles.json')
+}
+
+function getLegacyConfigPath() {
+  return path.join(getDataDir(), 'cloud-config.json')
+}
+
+/**
+ * 将旧版单一配置 cloud-config.json 迁移为 Profile
+ * 只有写入 Profile 之后才删除旧文件；无法迁移的文件改名为 cloud-config.json.bak 保留，其中可能有用户唯一的密钥副本
+ *
+ * Migrate the legacy single cloud-config.json into a profile
+ * The old file is only deleted once the profile is written; a file that cannot be migrated is kept as
+ * cloud-config.json.bak, since it may hold the user's only copy of the key
+ */
+function migrateLegacyConfig() {
+  const legacyPath = getLegacyConfigPath()
+  if (fs.existsSync(getProfilesPath()) || !fs.existsSync(legacyPath)) {
+    return
+  }
+
+  const legacy = readJsonFile(legacyPath)
+  if (!legacy?.apiKey || !legacy?.endpoint || !legacy?.modelName) {
+    const reason = legacy ? 'apiKey, endpoint or modelName is missing' : 'the file is not valid JSON'
+    fs.renameSync(legacyPath, `${legacyPath}.bak`)
+    console.warn(`[CloudProfiles] Could not migrate cloud-config.json (${reason}); kept it as cloud-config.json.bak`)
+    return
+  }
+
+  // 旧版配置直接作为 OpenAI 兼容端点使用；明文密钥随后由 migratePlaintextApiKeys 加密
+  // The legacy config was always used as an OpenAI-compatible base URL;
+  // its plaintext key is encrypted afterwards by migratePlaintextApiKeys
+  writeProfiles([{
+    id: 'default',
+    name: 'Azure AI',
+    type: 'openai',
+    endpoint: legacy.endpoint,
+    apiKey: legacy.apiKey,
+    deployment: legacy.modelName,
+    apiVersion: '',
+    headers: {}
+  }])
+  console.log('[CloudProfiles] Migrated cloud-config.json to cloud-profiles.json')
+  fs.unlinkSync(legacyPath)
+}
+
+function readStoredProfiles() {
+  migrateLegacyConfig()
+  const stored = readJsonFile(getProfilesPath(), [])
+  return Array.isArray(stored) ? stored : []
+}
+
+function writeProfiles(profiles) {
+  writeJsonFile(getProfilesPath(), profiles, { mode: 0o600 })
+}
+
+/**
+ * 去掉密钥，只保留可以发送给渲染进程的字段；自定义请求头的值常常也是密钥，同样只返回掩码
+ * Strip the key, keeping only fields that are safe to send to the renderer; custom header values
+ * are often secrets too, so they are masked as well
+ */
+function toPublicProfile(profile) {
+  const { apiKey, encryptedApiKey, headers, ...rest } = profile
+  return {
+    ...rest,
+    headers: Object.fromEntries(Object.entries(headers || {}).map(([name, value]) => [name, maskSecret(value)])),
+    apiKeyMask: profile.apiKeyMask || maskSecret(apiKey),
+    hasApiKey: !!(encryptedApiKey || apiKey)
+  }
+}
+
+/**
+ * 取得 Profile 的明文密钥（兼容尚未迁移的明文配置）
+ * Get the plaintext key of a stored profile (plaintext entries not yet migrated included)
+ */
+function revealApiKey(profile) {
+  return profile.encryptedApiKey ? decryptSecret(profile.encryptedApiKey) : profile.apiKey || ''
+}
+
+/**
+ * 加密仍以明文保存的密钥；加密存储未解锁时跳过
+ * Encrypt keys that are still stored in plaintext; skipped while the secret store is locked
+ *
+ * @returns {number} Number of profiles migrated
+ */
+export function migratePlaintextApiKeys() {
+  if (!isSecretStoreReady()) {
+    return 0
+  }
+
+  const profiles = readStoredProfiles()
+  const plaintext = profiles.filter(p => p.apiKey)
+  if (plaintext.length === 0) {
+    return 0
+  }
+
+  writeProfiles(profiles.map(profile => {
+    if (!profile.apiKey) return profile
+    const { apiKey, ...rest } = profile
+    return { ...rest, encryptedApiKey: encryptSecret(apiKey), apiKeyMask: maskSecret(apiKey) }
+  }))
+  console.log(`[CloudProfiles] Encrypted ${plaintext.length} plaintext API key(s)`)
+  return plaintext.length
+}
+
+function getEnvProfile() {
+  const { YOUR_API_KEY, YOUR_ENDPOINT, YOUR_MODEL_NAME } = process.env
+  if (!YOUR_API_KEY || !YOUR_ENDPOINT || !YOUR_MODEL_NAME) {
+    return null
+  }
+  return {
+    id: ENV_PROFILE_ID,
+    name: 'Environment',
+    type: 'openai',
+    endpoint: YOUR_ENDPOINT,
+    apiKey: YOUR_API_KEY,
+    deployment: YOUR_MODEL_NAME,
+    apiVersion: '',
+    headers: {},
+    readOnly: true
+  }
+}
+
+function listAllProfiles() {
+  const envProfile = getEnvProfile()
+  return envProfile ? [envProfile, ...readStoredProfiles()] : readStoredProfiles()
+}
+
+/**
+ * 获取所有 Profile（包括环境变量提供的只读 Profile），密钥只以掩码形式返回
+ * List all profiles, including the read-only one from environment variables; keys are masked
+ *
+ * @returns {Array<{id: string, name: string, type: string, endpoint: string, apiKeyMask: string, hasApiKey: boolean, deployment: string, apiVersion: string, headers: object, readOnly?: boolean}>}
+ */
+export function listCloudProfiles() {
+  return listAllProfiles().map(toPublicProfile)
+}
+
+/**
+ * 按 ID 获取带明文密钥的 Profile；未指定 ID 时返回第一个（仅供主进程使用）
+ * Get a profile with its plaintext key by id, or the first profile when no id is given (main process only)
+ *
+ * @param {string|null} id - Profile id
+ * @returns {object|null}
+ */
+export function getCloudProfile(id) {
+  const profiles = listAllProfiles()
+  const profile = id ? profiles.find(p => p.id === id) : profiles[0]
+  if (!profile) {
+    return null
+  }
+
+  const { encryptedApiKey, apiKeyMask, ...rest } = profile
+  return { ...rest, apiKey: revealApiKey(profile) }
+}
+
+function normalizeHeaders(headers) {
+  const normalized = {}
+  for (const [name, value] of Object.entries(headers || {})) {
+    const headerName = String(name).trim()
+    if (headerName && /^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(headerName)) {
+      normalized[headerName] = String(value ?? '').trim()
+    }
+  }
+  return normalized
+}
+
+function isSameEndpoint(endpoint, savedEndpoint) {
+  const normalize = value => String(value || '').trim().replace(/\/+$/, '')
+  return normalize(endpoint) === normalize(savedEndpoint)
+}
+
+/**
+ * 沿用已保存的密钥：只有端点不变时才允许，否则渲染进程可以把密钥发往任意地址
+ * Reuse a saved key, which is only allowed while the endpoint is unchanged;
+ * otherwise the renderer could send it to any URL it names
+ */
+function reuseSavedApiKey(endpoint, saved) {
+  if (!saved) {
+    return ''
+  }
+  if (!isSameEndpoint(endpoint, saved.endpoint)) {
+    throw new Error('The endpoint changed: enter the API key again')
+  }
+  return revealApiKey(saved)
+}
+
+/**
+ * 规范化请求头；值仍是掩码的请求头沿用已保存的值（同样要求端点不变）
+ * Normalize the headers; a header whose value is still the mask keeps its saved value (again only
+ * while the endpoint is unchanged)
+ */
+function resolveHeaders(headers, endpoint, saved) {
+  const resolved = normalizeHeaders(headers)
+  for (const [name, value] of Object.entries(resolved)) {
+    const savedValue = saved?.headers?.[name]
+    if (!savedValue || value !== maskSecret(savedValue)) continue
+    if (!isSameEndpoint(endpoint, saved.endpoint)) {
+      throw new Error(`The endpoint changed: enter the value of the ${name} header again`)
+    }
+    resolved[name] = savedValue
+  }
+  return resolved
+}
+
+/**
+ * 校验并规范化 Profile（apiKey 为空时沿用已保存的密钥）
+ * Validate and normalize a profile (an empty apiKey keeps the saved one)
+ */
+function normalizeProfile(profile, existing) {
+  const endpoint = String(profile.endpoint || '').trim()
+  const apiKey = String(profile.apiKey || '').trim() || reuseSavedApiKey(endpoint, existing)
+  const normalized = {
+    id: profile.id || crypto.randomUUID(),
+    name: String(profile.name || '').trim(),
+    type: PROVIDER_TYPES.includes(profile.type) ? profile.type : 'openai',
+    endpoint,
+    encryptedApiKey: '',
+    apiKeyMask: maskSecret(apiKey),
+    deployment: String(profile.deployment || '').trim(),
+    apiVersion: String(profile.apiVersion || '').trim(),
+    headers: resolveHeaders(profile.headers, endpoint, existing)
+  }
+
+  if (!normalized.name) throw new Error('Profile name is required')
+  if (!normalized.endpoint) throw new Error('Endpoint is required')
+  if (!apiKey) throw new Error('API key is required')
+  if (!normalized.deployment) throw new Error('Deployment / model name is required')
+  if (normalized.type === 'azure' && !normalized.apiVersion) {
+    throw new Error('Azure profiles need an api-version')
+  }
+
+  try {
+    new URL(normalized.endpoint)
+  } catch (error) {
+    throw new Error(`Invalid endpoint URL: ${normalized.endpoint}`)
+  }
+
+  normalized.encryptedApiKey = encryptSecret(apiKey)
+  return normalized
+}
+
+/**
+ * 新建或更新 Profile
+ * Create or update a profile
+ *
+ * @param {object} profile - Profile fields from the settings panel
+ * @returns {object} The saved profile, with the key masked
+ */
+export function saveCloudProfile(profile) {
+  if (profile?.id === ENV_PROFILE_ID) {
+    throw new Error('The environment profile is read-only')
+  }
+
+  const profiles = readStoredProfiles()
+  const existing = profiles.find(p => p.id === profile?.id)
+  const saved = normalizeProfile(profile || {}, existing)
+
+  const index = profiles.findIndex(p => p.id === saved.id)
+  if (index >= 0) {
+    profiles[index] = saved
+  } else {
+    profiles.push(saved)
+  }
+  writeProfiles(profiles)
+
+  console.log(`[CloudProfiles] Saved profile: ${saved.name} (${saved.type})`)
+  return toPublicProfile(saved)
+}
+
+/**
+ * 删除 Profile
+ * Delete a profile
+ *
+ * @param {string} id - Profile id
+ */
+export function deleteCloudProfile(id) {
+  if (id === ENV_PROFILE_ID) {
+    throw new Error('The environment profile is read-only')
+  }
+  writeProfiles(readStoredProfiles().filter(p => p.id !== id))
+}
+
+/**
+ * 根据 Profile 创建 OpenAI 客户端
+ * Create an OpenAI client for a profile
+ *
+ * Azure: 使用 AzureOpenAI，部署名作为 model 传入，自动拼接 /deployments/{model} 和 api-version
+ * Azure: AzureOpenAI maps the model (deployment name) to /deployments/{model} and adds api-version
+ * OpenAI 兼容 / OpenAI-compatible: endpoint is the base URL; api-version is sent as a query parameter when set
+ *
+ * @param {object} profile - Cloud profile with its plaintext key (from getCloudProfile)
+ * @returns {OpenAI}
+ */
+export function createCloudClient(profile) {
+  const defaultHeaders = Object.keys(profile.headers || {}).length > 0 ? profile.headers : undefined
+
+  if (profile.type === 'azure') {
+    return new AzureOpenAI({
+      apiKey: profile.apiKey,
+      endpoint: profile.endpoint,
+      apiVersion: profile.apiVersion,
+      defaultHeaders
+    })
+  }
+
+  return new OpenAI({
+    apiKey: profile.apiKey,
+    baseURL: profile.endpoint,
+    defaultHeaders,
+    defaultQuery: profile.apiVersion ? { 'api-version': profile.apiVersion } : undefined
+  })
+}
+
+/**
+ * 通过提供方的 models 路由列出可用的部署 / 模型
+ * List the deployments / models a profile can use through the provider's models route
+ *
+ * Azure 数据面 API 只能列出资源可用的模型，部署名可能与模型名不同
+ * On Azure the data-plane API lists the models the resource offers; deployment names may differ
+ *
+ * 密钥为空时完全使用已保存的连接设置（端点、类型、api-version 和请求头），忽略渲染进程传来的字段
+ * With an empty key the saved connection (endpoint, type, api-version and headers) is used as is,
+ * and the fields from the renderer are ignored
+ *
+ * @param {object} profile - Cloud profile (apiKey may be empty to reuse the saved key)
+ * @returns {Promise<string[]>} Model or deployment ids
+ */
+export async function listProfileModels(profile) {
+  const saved = profile.id ? getCloudProfile(profile.id) : null
+  const apiKey = String(profile.apiKey || '').trim()
+  if (!apiKey && !saved) {
+    throw new Error('API key is required')
+  }
+  if (!apiKey && !isSameEndpoint(profile.endpoint, saved.endpoint)) {
+    throw new Error('The endpoint changed: enter the API key again')
+  }
+
+  const client = createCloudClient(apiKey
+    ? {
+        type: profile.type,
+        endpoint: String(profile.endpoint || '').trim(),
+        apiVersion: profile.apiVersion,
+        apiKey,
+        headers: resolveHeaders(profile.headers, profile.endpoint, saved)
+      }
+    : saved)
+
+  const ids = []
+  for await (const model of client.models.list()) {
+    ids.push(model.id)
+  }
+  console.log(`[CloudProfiles] Listed ${ids.length} model(s) for ${profile.name || profile.endpoint}`)
+  return ids.sort()
+}
@@ -0,0 +1,348 @@
+/**
+ * context-window.js
+ *
+ * 上下文窗口管理：估算 token 数，按模型预算裁剪历史消息
+ * 超出预算时可丢弃最早的轮次，或用当前模型总结较早的轮次；系统提示词始终保留；工具调用的结果按剩余预算截短
+ * 每个模型的预算与策略保存在 ~/.foundry-chat/context-settings.json
+ *
+ * Context window management: token estimates and per-model history trimming
+ * Over budget, either the oldest turns are dropped or earlier turns are summarized
+ * with the active model; system prompts are always kept, and tool results are cut to the remaining budget
+ * Budgets and strategies are stored per model in ~/.foundry-chat/context-settings.json
+ */
+
+import path from 'path'
+import crypto from 'crypto'
+import { getDataDir, readJsonFile, writeJsonFile } from './app-storage.js'
+
+export const CONTEXT_STRATEGIES = ['drop-oldest', 'summarize']
+
+// 本地小模型的默认上下文预算；云端模型默认不限制
+// Default budget for small local models; cloud models are unlimited by default
+const DEFAULT_LOCAL_BUDGET = 4096
+
+// 未设置 max_tokens 时为回复预留的 token 数
+// Tokens reserved for the reply when max_tokens is not set
+const DEFAULT_RESPONSE_RESERVE = 512
+
+// 每条消息的格式开销（role、分隔符）
+// Per-message formatting overhead (role, separators)
+const MESSAGE_OVERHEAD = 4
+
+// 每张图片的估算 token 数（OpenAI 高细节模式下一张 16:9 截图：6 个图块 × 170 + 85）
+// Estimated tokens per image (a 16:9 screenshot in OpenAI's high detail mode: 6 tiles × 170 + 85)
+export const IMAGE_TOKENS = 1105
+
+// 为摘要预留的 token 数
+// Tokens set aside for the summary itself
+const SUMMARY_MAX_TOKENS = 256
+
+// 启用工具时为工具调用和结果留出的预算比例
+// Share of the budget kept free for tool calls and results when tools are enabled
+const TOOL_RESERVE_SHARE = 0.25
+
+// 截短工具结果时附加的说明
+// Note added to a tool result that was cut short
+const TOOL_RESULT_TRUNCATED = '\n[Truncated to fit the context window]'
+
+const SUMMARY_CACHE_LIMIT = 50
+
+// 摘要缓存：键为被总结消息前缀的链式哈希
+// Summary cache, keyed by the chained hash of the summarized message prefix
+const summaryCache = new Map()
+
+function getSettingsPath() {
+  return path.join(getDataDir(), 'context-settings.json')
+}
+
+function readAllSettings() {
+  const stored = readJsonFile(getSettingsPath(), {})
+  return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {}
+}
+
+/**
+ * 估算文本的 token 数（不依赖分词器：CJK 字符约 1 token，其余约 4 字符 1 token）
+ * Estimate the tokens in a text without a tokenizer (~1 per CJK character, ~4 characters per token otherwise)
+ *
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  if (!text) return 0
+  const value = String(text)
+  const cjk = (value.match(/[\u3000-\u9fff\uac00-\ud7af\uf900-\ufaff]/g) || []).length
+  return cjk + Math.ceil((value.length - cjk) / 4)
+}
+
+/**
+ * 估算一条消息的 token 数（含格式开销、图片和工具调用）
+ * Estimate the tokens of one message, formatting overhead, images and tool calls included
+ *
+ * @param {{role: string, content: string|null, images?: Array, tool_calls?: Array}} message
+ * @returns {number}
+ */
+export function countMessageTokens(message) {
+  const toolCallTokens = message.tool_calls ? estimateTokens(JSON.stringify(message.tool_calls)) : 0
+  return estimateTokens(message.content) + (message.images?.length || 0) * IMAGE_TOKENS + toolCallTokens + MESSAGE_OVERHEAD
+}
+
+function countAll(messages) {
+  return messages.reduce((sum, m) => sum + countMessageTokens(m), 0)
+}
+
+/**
+ * 获取模型的上下文设置
+ * Get the context settings of a model
+ *
+ * @param {string} modelId - Model selector id
+ * @returns {{budget: number|null, strategy: 'drop-oldest'|'summarize', isDefault: boolean}}
+ */
+export function getContextSettings(modelId) {
+  const stored = modelId ? readAllSettings()[modelId] : null
+  if (stored) {
+    return { budget: stored.budget ?? null, strategy: stored.strategy, isDefault: false }
+  }
+  const isCloud = String(modelId || '').startsWith('cloud')
+  return { budget: isCloud ? null : DEFAULT_LOCAL_BUDGET, strategy: 'drop-oldest', isDefault: true }
+}
+
+/**
+ * 保存模型的上下文设置（null 表示恢复默认）
+ * Save the context settings of a model (null resets to the default)
+ *
+ * @param {string} modelId - Model selector id
+ * @param {{budget: number|null, strategy: string}|null} settings
+ * @returns {object} The effective settings
+ */
+export function saveContextSettings(modelId, settings) {
+  if (!modelId) {
+    throw new Error('Model id is required')
+  }
+
+  const all = readAllSettings()
+  if (settings) {
+    const budget = settings.budget === null || settings.budget === undefined ? null : Math.round(Number(settings.budget))
+    if (budget !== null && (!Number.isFinite(budget) || budget < 256)) {
+      throw new Error('Context budget must be at least 256 tokens')
+    }
+    all[modelId] = {
+      budget,
+      strategy: CONTEXT_STRATEGIES.includes(settings.strategy) ? settings.strategy : 'drop-oldest'
+    }
+  } else {
+    delete all[modelId]
+  }
+  writeJsonFile(getSettingsPath(), all)
+
+  console.log(`[Context] Saved context settings for ${modelId}:`, all[modelId] || 'default')
+  return getContextSettings(modelId)
+}
+
+// 链式哈希：prefixHashes[i] 代表前 i 条消息
+// Chained hashes: prefixHashes[i] stands for the first i messages
+function prefixHashes(messages) {
+  const hashes = ['']
+  for (const message of messages) {
+    const previous = hashes[hashes.length - 1]
+    hashes.push(crypto.createHash('sha256').update(`${previous}\n${message.role}\n${message.content}`).digest('hex'))
+  }
+  return hashes
+}
+
+function rememberSummary(hash, summary) {
+  summaryCache.set(hash, summary)
+  if (summaryCache.size > SUMMARY_CACHE_LIMIT) {
+    summaryCache.delete(summaryCache.keys().next().value)
+  }
+}
+
+/**
+ * 总结前 count 条消息；复用已缓存的最长前缀摘要，只总结新增部分
+ * Summarize the first count messages, reusing the longest cached prefix summary and summarizing only what is new
+ */
+async function summarizePrefix(turns, count, summarize, maxInputTokens) {
+  const hashes = prefixHashes(turns.slice(0, count))
+  if (summaryCache.has(hashes[count])) {
+    return summaryCache.get(hashes[count])
+  }
+
+  let start = count - 1
+  while (start > 0 && !summaryCache.has(hashes[start])) {
+    start--
+  }
+  const previousSummary = start > 0 ? summaryCache.get(hashes[start]) : ''
+
+  // 只取放得进模型上下文的最近部分
+  // Only the most recent part that fits in the model context is summarized
+  let pending = turns.slice(start, count)
+  while (pending.length > 1 && countAll(pending) + estimateTokens(previousSummary) > maxInputTokens) {
+    pending = pending.slice(1)
+  }
+
+  const summary = await summarize(previousSummary, pending)
+  rememberSummary(hashes[count], summary)
+  return summary
+}
+
+/**
+ * 创建使用当前模型的摘要函数（供 summarize 策略使用）
+ * Create a summarizer that uses the active model (for the summarize strategy)
+ *
+ * @param {import('openai').OpenAI} client - Client of the active model
+ * @param {string} model - Model / deployment name
+ * @param {AbortSignal} [signal] - Cancels the summary request together with the generation
+ * @returns {(previousSummary: string, messages: Array) => Promise<string>}
+ */
+export function createSummarizer(client, model, signal) {
+  return async (previousSummary, messages) => {
+    const transcript = messages
+      .map(m => `${m.role === 'user' ? 'User' : 'Assistant'}: ${m.content}${m.images?.length ? ` [${m.images.length} image(s)]` : ''}`)
+      .join('\n\n')
+    const completion = await client.chat.completions.create({
+      model,
+      messages: [
+        {
+          role: 'system',
+          content: 'Summarize the conversation below in a few sentences. Keep names, facts, decisions and open questions. Reply with the summary only, in the language of the conversation.'
+        },
+        {
+          role: 'user',
+          content: previousSummary ? `Earlier summary:\n${previousSummary}\n\nConversation:\n${transcript}` : transcript
+        }
+      ],
+      max_tokens: SUMMARY_MAX_TOKENS,
+      stream: false
+    }, { signal })
+
+    const summary = completion.choices[0]?.message?.content?.trim()
+    if (!summary) {
+      throw new Error('The model returned an empty summary')
+    }
+    return summary
+  }
+}
+
+/**
+ * 按预算裁剪消息
+ * Fit messages into the context budget
+ *
+ * @param {Array<{role: string, content: string}>} messages - Full history
+ * @param {object} options
+ * @param {number|null} options.budget - Context budget in tokens (null means unlimited)
+ * @param {'drop-oldest'|'summarize'} options.strategy - What to do when over budget
+ * @param {number} [options.reserve] - Tokens reserved for the reply
+ * @param {boolean} [options.tools] - Keep part of the budget free for tool calls and results
+ * @param {(previousSummary: string, messages: Array) => Promise<string>} [options.summarize] - Summarizer for the summarize strategy
+ * @returns {Promise<{messages: Array, promptTokens: number, remainingTokens: number, budget: number|null, strategy: string, droppedCount: number, summarizedCount: number, overBudget: boolean}>}
+ *   remainingTokens is what is left for tool messages after the history and the reply reserve (Infinity without a budget)
+ */
+export async function fitMessagesToBudget(messages, options) {
+  const { budget, strategy } = options
+  const result = {
+    messages,
+    promptTokens: countAll(messages),
+    budget,
+    strategy,
+    droppedCount: 0,
+    summarizedCount: 0,
+    overBudget: false
+  }
+
+  // 回复预留最多占预算的一半
+  // The reply reserve takes at most half of the budget
+  const reserve = Math.min(options.reserve || DEFAULT_RESPONSE_RESERVE, Math.floor((budget || 0) / 2))
+  const toolReserve = options.tools && budget ? Math.floor(budget * TOOL_RESERVE_SHARE) : 0
+  const available = budget ? budget - reserve - toolReserve : Infinity
+  result.remainingTokens = Math.max(0, available + toolReserve - result.promptTokens)
+  if (result.promptTokens <= available) {
+    return result
+  }
+
+  // 系统提示词始终保留，最后一条消息（当前问题）也始终保留
+  // System prompts are always kept, and so is the last message (the current question)
+  const system = messages.filter(m => m.role === 'system')
+  const turns = messages.filter(m => m.role !== 'system')
+  const useSummary = strategy === 'summarize' && typeof options.summarize === 'function'
+  const target = available - (useSummary ? SUMMARY_MAX_TOKENS + MESSAGE_OVERHEAD : 0)
+  const systemTokens = countAll(system)
+
+  let start = 0
+  while (start < turns.length - 1 && systemTokens + countAll(turns.slice(start)) > target) {
+    start++
+  }
+  // 不以孤立的助手回复开头
+  // Do not start with an orphaned assistant reply
+  while (start < turns.length - 1 && turns[start].role === 'assistant') {
+    start++
+  }
+
+  let fitted = [...system, ...turns.slice(start)]
+  result.droppedCount = start
+
+  if (useSummary && start > 0) {
+    try {
+      const summary = await summarizePrefix(turns, start, options.summarize, Math.max(available, SUMMARY_MAX_TOKENS))
+      fitted = [
+        ...system,
+        { role: 'system', content: `Summary of the earlier conversation:\n${summary}` },
+        ...turns.slice(start)
+      ]
+      result.summarizedCount = start
+      result.droppedCount = 0
+    } catch (error) {
+      console.warn(`[Context] Summarization failed, dropping oldest turns instead: ${error.message}`)
+      result.summaryError = error.message
+    }
+  }
+
+  result.messages = fitted
+  result.promptTokens = countAll(fitted)
+  result.remainingTokens = Math.max(0, available + toolReserve - result.promptTokens)
+  result.overBudget = result.promptTokens > available
+  console.log(`[Context] Fitted ${messages.length} -> ${fitted.length} message(s), ~${result.promptTokens}/${budget} tokens (${strategy})`)
+  return result
+}
+
+// 截取能放进 maxTokens 的最长开头
+// The longest start of a text that fits in maxTokens
+function truncateToTokens(text, maxTokens) {
+  let low = 0
+  let high = text.length
+  while (low < high) {
+    const middle = Math.ceil((low + high) / 2)
+    if (estimateTokens(text.slice(0, middle)) <= maxTokens) {
+      low = middle
+    } else {
+      high = middle - 1
+    }
+  }
+  return text.slice(0, low)
+}
+
+/**
+ * 把工具轮次的消息（调用和结果）放进历史之后剩下的预算：从最新的结果往前分配，放不下的结果被截短
+ * Fit the tool round messages (calls and results) into what the history left of the budget: results are
+ * given room from the newest back, and the ones that do not fit are cut short
+ *
+ * @param {Array<{role: string, content: string|null}>} messages - Tool calls and results, oldest first
+ * @param {number} maxTokens - remainingTokens from fitMessagesToBudget
+ * @returns {{messages: Array, tokens: number}}
+ */
+export function fitToolMessages(messages, maxTokens) {
+  let left = maxTokens - countAll(messages.filter(m => m.role !== 'tool'))
+  const fitted = [...messages]
+
+  for (let i = fitted.length - 1; i >= 0; i--) {
+    const message = fitted[i]
+    if (message.role !== 'tool') continue
+
+    const room = left - MESSAGE_OVERHEAD
+    if (estimateTokens(message.content) > room) {
+      const kept = truncateToTokens(message.content, room - estimateTokens(TOOL_RESULT_TRUNCATED))
+      fitted[i] = { ...message, content: `${kept}${TOOL_RESULT_TRUNCATED}` }
+    }
+    left -= countMessageTokens(fitted[i])
+  }
+
+  return { messages: fitted, tokens: countAll(fitted) }
+}
@@ -0,0 +1,458 @@
+/**
+ * conversation-export.js
+ *
+ * 会话导出（Markdown / JSON / HTML）与导入（本应用的 JSON 或 OpenAI 格式的 messages 数组）
+ *
+ * Conversation export (Markdown / JSON / HTML) and import (this app's JSON,
+ * or an OpenAI-style messages array)
+ *
+ * Markdown 和 HTML 只导出当前显示的分支；JSON 同时保存整棵会话树（编辑和重新生成产生的分支）
+ * Markdown and HTML export the branch on screen; JSON also keeps the whole conversation tree
+ * (the branches left by edits and regenerated replies)
+ */
+
+import { Marked } from 'marked'
+import { isImageDataUrl } from './image-input.js'
+
+// JSON 导出格式标识及版本
+// Identifier and version of the JSON export format
+export const EXPORT_FORMAT = 'foundry-chat-conversation'
+export const EXPORT_VERSION = 1
+
+export const EXPORT_FORMATS = {
+  markdown: { extension: 'md', name: 'Markdown' },
+  json: { extension: 'json', name: 'JSON' },
+  html: { extension: 'html', name: 'HTML' }
+}
+
+const IMPORT_ROLES = ['system', 'user', 'assistant']
+
+const ROLE_LABELS = {
+  system: '⚙️ System',
+  user: '🧑 User',
+  assistant: '🤖 Assistant'
+}
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;')
+}
+
+function isSafeUrl(href) {
+  return /^(https?:|mailto:|#)/i.test(String(href || '').trim())
+}
+
+// 导出的 HTML 在任何浏览器中打开：原始 HTML 一律转义，只保留安全链接
+// Exported HTML opens in any browser: raw HTML is escaped and only safe links are kept
+const htmlParser = new Marked({
+  gfm: true,
+  breaks: true,
+  renderer: {
+    html(token) {
+      return escapeHtml(token.text)
+    },
+    link(token) {
+      return isSafeUrl(token.href) ? false : this.parser.parseInline(token.tokens)
+    },
+    image(token) {
+      return isSafeUrl(token.href) ? false : escapeHtml(token.text)
+    }
+  }
+})
+
+function formatTimestamp(timestamp) {
+  return timestamp ? new Date(timestamp).toISOString() : ''
+}
+
+function describeModel(model) {
+  if (!model) return 'Unknown model'
+  const name = model.displayName || model.name || model.id
+  return model.type ? `${name} [${model.type}]` : name
+}
+
+function safeFileName(title) {
+  const name = String(title || 'conversation').replace(/[\\/:*?"<>|\x00-\x1f\s]+/g, ' ').trim()
+  return name.slice(0, 80) || 'conversation'
+}
+
+/**
+ * 导出文件的默认文件名
+ * Default file name for an export
+ *
+ * @param {object} conversation - Saved conversation
+ * @param {'markdown'|'json'|'html'} format - Export format
+ * @returns {string}
+ */
+export function getExportFileName(conversation, format) {
+  return `${safeFileName(conversation.title)}.${EXPORT_FORMATS[format].extension}`
+}
+
+// 导出只列出附件名，附件全文只保存在 JSON 中
+// Exports only list the attachment names; the full text is kept in JSON only
+function describeAttachments(attachments) {
+  return attachments.map(a => a.truncated ? `${a.name} (truncated)` : a.name).join(', ')
+}
+
+// 图片：Markdown 只列出名称，HTML 直接嵌入
+// Images: Markdown only lists their names, HTML embeds them
+function describeImages(images) {
+  return images.map(image => image.name).join(', ')
+}
+
+// 知识库来源：编号、文件名和位置（不含本机路径）
+// Knowledge base sources: number, file name and location (without the local path)
+function describeSources(sources) {
+  return sources.map(s => `[${s.number}] ${s.name}${s.location ? ` (${s.location})` : ''}`)
+}
+
+// 工具调用：名称、参数和结果的第一行
+// Tool calls: name, arguments and the first line of the result
+function describeToolSteps(steps) {
+  return steps.map(step => {
+    const result = step.status === 'denied' ? 'denied' : String(step.result ?? '').split('\n')[0]
+    return `🛠 ${step.name}(${step.arguments || ''}) → ${result.length > 120 ? `${result.slice(0, 120)}…` : result}`
+  })
+}
+
+function toMarkdown(conversation) {
+  const lines = [
+    `# ${conversation.title || 'Conversation'}`,
+    '',
+    `- Model: ${describeModel(conversation.model)}`,
+    `- Created: ${formatTimestamp(conversation.createdAt)}`,
+    `- Exported: ${new Date().toISOString()}`,
+    ''
+  ]
+
+  for (const message of conversation.messages || []) {
+    const details = [formatTimestamp(message.timestamp), message.model].filter(Boolean).join(' · ')
+    lines.push('---', '', `### ${ROLE_LABELS[message.role] || message.role}${details ? ` · ${details}` : ''}`, '')
+    if (message.attachments?.length) {
+      lines.push(`📎 ${describeAttachments(message.attachments)}`, '')
+    }
+    if (message.images?.length) {
+      lines.push(`🖼 ${describeImages(message.images)}`, '')
+    }
+    if (message.toolSteps?.length) {
+      lines.push(...describeToolSteps(message.toolSteps).map(step => `> ${step}`), '')
+    }
+    lines.push(String(message.content || ''))
+    if (message.sources?.length) {
+      lines.push('', '**Sources**', '', ...describeSources(message.sources).map(source => `- ${source}`))
+    }
+    if (message.interrupted) {
+      lines.push('', '_(interrupted)_')
+    }
+    lines.push('')
+  }
+
+  return lines.join('\n')
+}
+
+function toJson(conversation) {
+  return JSON.stringify({
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: Date.now(),
+    conversation: {
+      id: conversation.id,
+      title: conversation.title,
+      customTitle: conversation.customTitle || false,
+      createdAt: conversation.createdAt,
+      updatedAt: conversation.updatedAt,
+      model: conversation.model || null,
+      personaId: conversation.personaId || null,
+      messages: conversation.messages || [],
+      tree: conversation.tree || null
+    }
+  }, null, 2)
+}
+
+function toHtml(conversation) {
+  const title = escapeHtml(conversation.title || 'Conversation')
+  const messages = (conversation.messages || []).map(message => {
+    const details = [formatTimestamp(message.timestamp), message.model].filter(Boolean).join(' · ')
+    const body = message.role === 'assistant'
+      ? htmlParser.parse(String(message.content || ''))
+      : `<p class="plain">${escapeHtml(message.content || '')}</p>`
+    const attachments = message.attachments?.length
+      ? `<p class="attachments">📎 ${escapeHtml(describeAttachments(message.attachments))}</p>\n    `
+      : ''
+    const images = message.images?.some(image => isImageDataUrl(image.dataUrl))
+      ? `<p class="images">${message.images
+        .filter(image => isImageDataUrl(image.dataUrl))
+        .map(image => `<img src="${image.dataUrl}" alt="${escapeHtml(image.name)}">`)
+        .join('')}</p>\n    `
+      : ''
+    const toolSteps = message.toolSteps?.length
+      ? describeToolSteps(message.toolSteps).map(step => `<p class="tool-step">${escapeHtml(step)}</p>\n    `).join('')
+      : ''
+    const sources = message.sources?.length
+      ? `\n    <p class="sources">Sources: ${describeSources(message.sources).map(escapeHtml).join(' · ')}</p>`
+      : ''
+    return `  <section class="message ${escapeHtml(message.role)}">
+    <header>${escapeHtml(ROLE_LABELS[message.role] || message.role)}<span>${escapeHtml(details)}</span></header>
+    ${attachments}${images}${toolSteps}${body}${sources}${message.interrupted ? '\n    <p class="interrupted">(interrupted)</p>' : ''}
+  </section>`
+  }).join('\n')
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="UTF-8">
+<meta http-equiv="Content-Security-Policy" content="default-src 'none'; style-src 'unsafe-inline'; img-src https: data:">
+<title>${title}</title>
+<style>
+  body { font-family: -apple-system, BlinkMacSystemFont, "Segoe UI", sans-serif; max-width: 860px; margin: 0 auto; padding: 24px; color: #333333; background: #f5f9ff; }
+  h1 { color: #1565c0; margin-bottom: 4px; }
+  .meta { color: #757575; font-size: 13px; margin-bottom: 24px; }
+  .message { background: #ffffff; border-radius: 10px; padding: 12px 16px; margin-bottom: 12px; box-shadow: 0 1px 3px rgba(0, 0, 0, 0.08); }
+  .message.user { background: #e3f2fd; }
+  .message.system { background: #fff8e1; font-size: 13px; }
+  .message header { font-weight: 600; font-size: 13px; color: #1565c0; margin-bottom: 6px; }
+  .message header span { font-weight: normal; color: #9e9e9e; margin-left: 8px; }
+  .plain { white-space: pre-wrap; }
+  .interrupted { color: #9e9e9e; font-style: italic; }
+  .attachments { color: #1565c0; font-size: 13px; }
+  .images img { max-width: 100%; max-height: 360px; margin: 0 8px 8px 0; border-radius: 6px; }
+  .sources { color: #757575; font-size: 12px; }
+  .tool-step { color: #616161; font-family: Consolas, Monaco, monospace; font-size: 12px; margin: 2px 0; }
+  pre { background: #f6f8fa; padding: 10px; border-radius: 6px; overflow-x: auto; }
+  code { font-family: Consolas, Monaco, monospace; font-size: 13px; }
+  table { border-collapse: collapse; }
+  th, td { border: 1px solid #e0e0e0; padding: 4px 8px; }
+</style>
+</head>
+<body>
+  <h1>${title}</h1>
+  <div class="meta">${escapeHtml(describeModel(conversation.model))} · Created ${escapeHtml(formatTimestamp(conversation.createdAt))} · Exported ${escapeHtml(new Date().toISOString())}</div>
+${messages}
+</body>
+</html>
+`
+}
+
+/**
+ * 将会话导出为指定格式的文本
+ * Export a conversation as text in the given format
+ *
+ * @param {object} conversation - Saved conversation
+ * @param {'markdown'|'json'|'html'} format - Export format
+ * @returns {string}
+ */
+export function exportConversation(conversation, format) {
+  switch (format) {
+    case 'markdown':
+      return toMarkdown(conversation)
+    case 'json':
+      return toJson(conversation)
+    case 'html':
+      return toHtml(conversation)
+    default:
+      throw new Error(`Unsupported export format: ${format}`)
+  }
+}
+
+/**
+ * OpenAI 的 content 可能是字符串或内容片段数组，这里只取文本（图片见 contentToImages）
+ * OpenAI content is a string or an array of parts; this keeps the text (images: contentToImages)
+ */
+function contentToText(content) {
+  if (typeof content === 'string') return content
+  if (Array.isArray(content)) {
+    return content
+      .filter(part => part && part.type === 'text' && typeof part.text === 'string')
+      .map(part => part.text)
+      .join('\n')
+  }
+  return ''
+}
+
+// 内容片段中以 data URI 内嵌的图片；指向网址的图片不导入
+// Images embedded in content parts as data URIs; images that point at a URL are not imported
+function contentToImages(content) {
+  if (!Array.isArray(content)) return []
+  return content
+    .filter(part => part && part.type === 'image_url' && isImageDataUrl(part.image_url?.url))
+    .map((part, index) => ({ name: `Image ${index + 1}`, dataUrl: part.image_url.url }))
+}
+
+function normalizeImportedImage(image) {
+  const normalized = { name: typeof image.name === 'string' && image.name ? image.name : 'Image', dataUrl: image.dataUrl }
+  for (const key of ['width', 'height', 'size']) {
+    if (Number.isInteger(image[key])) normalized[key] = image[key]
+  }
+  return normalized
+}
+
+function normalizeImportedAttachment(a) {
+  const attachment = {
+    name: a.name,
+    kind: typeof a.kind === 'string' ? a.kind : 'text',
+    size: Number(a.size) || 0,
+    text: a.text,
+    tokens: Number(a.tokens) || 0,
+    originalTokens: Number(a.originalTokens) || Number(a.tokens) || 0,
+    truncated: !!a.truncated
+  }
+  if (Number.isInteger(a.pages)) attachment.pages = a.pages
+  return attachment
+}
+
+function normalizeImportedToolStep(step) {
+  const normalized = {
+    id: step.id,
+    name: step.name,
+    arguments: typeof step.arguments === 'string' ? step.arguments : '',
+    status: ['done', 'denied', 'error'].includes(step.status) ? step.status : 'error'
+  }
+  if (typeof step.result === 'string') normalized.result = step.result
+  return normalized
+}
+
+function normalizeImportedSource(s) {
+  return {
+    number: s.number,
+    path: s.path,
+    name: s.name,
+    location: typeof s.location === 'string' ? s.location : '',
+    score: Number(s.score) || 0
+  }
+}
+
+function normalizeImportedMessage(m) {
+  const message = { role: m.role, content: contentToText(m.content) }
+  if (typeof m.timestamp === 'number') message.timestamp = m.timestamp
+  if (typeof m.model === 'string') message.model = m.model
+  if (m.interrupted) message.interrupted = true
+  if (m.role === 'user' && Array.isArray(m.attachments)) {
+    const attachments = m.attachments
+      .filter(a => a && typeof a.name === 'string' && typeof a.text === 'string')
+      .map(normalizeImportedAttachment)
+    if (attachments.length) message.attachments = attachments
+  }
+  if (m.role === 'user') {
+    const images = Array.isArray(m.images)
+      ? m.images.filter(image => image && isImageDataUrl(image.dataUrl)).map(normalizeImportedImage)
+      : contentToImages(m.content)
+    if (images.length) message.images = images
+  }
+  if (m.role === 'assistant' && Array.isArray(m.toolSteps)) {
+    const toolSteps = m.toolSteps
+      .filter(step => step && typeof step.id === 'string' && typeof step.name === 'string')
+      .map(normalizeImportedToolStep)
+    if (toolSteps.length) message.toolSteps = toolSteps
+  }
+  if (m.role === 'assistant' && Array.isArray(m.sources)) {
+    const sources = m.sources
+      .filter(s => s && Number.isInteger(s.number) && typeof s.path === 'string' && typeof s.name === 'string')
+      .map(normalizeImportedSource)
+    if (sources.length) message.sources = sources
+  }
+  return message
+}
+
+function normalizeImportedMessages(messages) {
+  if (!Array.isArray(messages)) {
+    throw new Error('No messages array found')
+  }
+
+  const normalized = messages
+    .filter(m => m && IMPORT_ROLES.includes(m.role))
+    .map(normalizeImportedMessage)
+    .filter(m => m.content || m.attachments || m.images)
+
+  if (!normalized.some(m => m.role !== 'system')) {
+    throw new Error('The file contains no user or assistant messages')
+  }
+  return normalized
+}
+
+/**
+ * 校验导入的会话树：每个节点的父节点必须出现在它之前，因此不会有环
+ * Validate an imported conversation tree; every parent has to come before its children,
+ * so the tree cannot contain cycles
+ *
+ * @param {{nodes: Array, selected?: object}|null|undefined} tree
+ * @returns {{nodes: Array, selected: object}|null} null when the export has no tree
+ */
+function normalizeImportedTree(tree) {
+  if (!tree) return null
+  if (!Array.isArray(tree.nodes)) {
+    throw new Error('Invalid conversation tree: no nodes array')
+  }
+
+  const ids = new Set()
+  const nodes = tree.nodes.map((node, index) => {
+    if (!node || typeof node.id !== 'string' || !node.id || ids.has(node.id)) {
+      throw new Error(`Invalid conversation tree: node ${index} has a missing or duplicate id`)
+    }
+    if (node.role !== 'user' && node.role !== 'assistant') {
+      throw new Error(`Invalid conversation tree: node ${node.id} has role ${node.role}`)
+    }
+    if (node.parentId !== null && !ids.has(node.parentId)) {
+      throw new Error(`Invalid conversation tree: parent of node ${node.id} is missing`)
+    }
+    ids.add(node.id)
+    return { ...normalizeImportedMessage(node), id: node.id, parentId: node.parentId }
+  })
+
+  // 只保留指向本父节点子节点的选择
+  // Only keep selections that point at a child of their parent
+  const selected = {}
+  for (const [parentKey, id] of Object.entries(tree.selected || {})) {
+    const parentId = parentKey === 'root' ? null : parentKey
+    if (nodes.some(node => node.id === id && node.parentId === parentId)) {
+      selected[parentKey] = id
+    }
+  }
+
+  return nodes.length ? { nodes, selected } : null
+}
+
+/**
+ * 解析导入的文件内容
+ * Parse an imported file
+ *
+ * 支持 / Supports:
+ * - 本应用导出的 JSON / JSON exported by this app
+ * - OpenAI 格式的 messages 数组 / An OpenAI-style messages array
+ * - 带 messages 字段的请求体 / A request body with a messages field ({ model, messages })
+ *
+ * @param {string} text - File content
+ * @returns {{title?: string, customTitle?: boolean, createdAt?: number, model: object|null, personaId?: string|null, messages: Array, tree?: object|null}}
+ */
+export function parseImportedConversation(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch (error) {
+    throw new Error(`Not a valid JSON file: ${error.message}`)
+  }
+
+  if (data?.format === EXPORT_FORMAT) {
+    if (data.version > EXPORT_VERSION) {
+      throw new Error(`Export version ${data.version} is newer than this app supports`)
+    }
+    const conversation = data.conversation || {}
+    return {
+      title: conversation.title,
+      customTitle: !!conversation.customTitle,
+      createdAt: conversation.createdAt,
+      model: conversation.model || null,
+      personaId: conversation.personaId || null,
+      messages: normalizeImportedMessages(conversation.messages),
+      tree: normalizeImportedTree(conversation.tree)
+    }
+  }
+
+  const messages = Array.isArray(data) ? data : data?.messages
+  return {
+    model: typeof data?.model === 'string' ? { id: data.model, name: data.model } : null,
+    messages: normalizeImportedMessages(messages)
+  }
+}
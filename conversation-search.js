@@ -0,0 +1,380 @@
+/**
+ * conversation-search.js
+ *
+ * 会话全文搜索：主进程在内存中为所有已保存会话的消息（包括所有分支）建立倒排索引，按 BM25 排序，
+ * 返回带高亮位置的摘要；启动后在后台建立索引，之后在会话保存（每次回复完成后）、导入、重命名和删除时增量更新
+ * 中日韩文字按单字和相邻两字建立索引，其余文字按单词；最后一个搜索词按前缀匹配，便于边输入边搜索
+ *
+ * Full-text search across conversations: an in-memory inverted index over the messages of every saved
+ * conversation (all branches included) in the main process, ranked with BM25, returning snippets with
+ * highlight ranges; it is built in the background at startup and then updated incrementally when a
+ * conversation is saved (after every reply), imported, renamed or deleted
+ * CJK text is indexed as single characters and character pairs, other text as words; the last search
+ * term matches as a prefix so results follow the typing
+ */
+
+import { listConversations, loadConversation } from './conversation-store.js'
+
+// BM25 参数
+// BM25 parameters
+const BM25_K1 = 1.2
+const BM25_B = 0.75
+
+const DEFAULT_LIMIT = 50
+const MAX_LIMIT = 200
+
+// 摘要长度（字符），命中位置之前保留的上下文
+// Snippet length (characters) and the context kept ahead of the first hit
+const SNIPPET_LENGTH = 180
+const SNIPPET_LEAD = 50
+
+// 前缀匹配的最短长度，以及建立索引时每处理多少个会话让出一次事件循环
+// Shortest prefix that is expanded, and how many conversations are indexed before yielding to the event loop
+const MIN_PREFIX_LENGTH = 2
+const BUILD_BATCH_SIZE = 25
+
+const CJK = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u
+const CJK_RUNS = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+|[^\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]+/gu
+const WORDS = /[\p{L}\p{N}]+/gu
+
+// 文档为单条消息；postings: 词 -> (文档编号 -> 词频)
+// A document is one message; postings: term -> (document number -> term frequency)
+let documents = new Map()
+let postings = new Map()
+let conversationDocs = new Map()
+let totalLength = 0
+let nextDocId = 1
+let built = false
+let buildPromise = null
+
+/**
+ * 把文本切分为索引词（小写）
+ * Split a text into index terms (lower case)
+ *
+ * @param {string} text
+ * @param {{query?: boolean}} [options] - For queries, CJK runs only give character pairs (single characters when alone)
+ * @returns {string[]}
+ */
+export function tokenize(text, { query = false } = {}) {
+  const terms = []
+  for (const [word] of String(text || '').toLowerCase().matchAll(WORDS)) {
+    for (const [run] of word.matchAll(CJK_RUNS)) {
+      if (!CJK.test(run)) {
+        terms.push(run)
+        continue
+      }
+      const chars = Array.from(run)
+      if (!query || chars.length === 1) {
+        terms.push(...chars)
+      }
+      for (let i = 0; i < chars.length - 1; i++) {
+        terms.push(chars[i] + chars[i + 1])
+      }
+    }
+  }
+  return terms
+}
+
+function isCloudModel(modelId) {
+  return String(modelId || '').startsWith('cloud')
+}
+
+// 可搜索的文字：消息内容，加上附件和图片的文件名
+// Searchable text: the message content plus the names of attachments and images
+function getMessageText(message) {
+  const names = [...(message.attachments || []), ...(message.images || [])].map(file => file.name).filter(Boolean)
+  return [typeof message.content === 'string' ? message.content : '', names.join(', ')].filter(Boolean).join('\n')
+}
+
+function addConversation(conversation) {
+  // 有会话树时索引所有分支，按节点 ID 跳转；旧格式的会话按显示顺序跳转
+  // With a tree every branch is indexed and hits jump by node id; older saves jump by position
+  const hasTree = Array.isArray(conversation.tree?.nodes) && conversation.tree.nodes.length > 0
+  const turns = hasTree
+    ? conversation.tree.nodes
+    : (conversation.messages || []).filter(m => m.role !== 'system')
+  const docIds = []
+
+  turns.forEach((message, index) => {
+    if (message?.role !== 'user' && message?.role !== 'assistant') return
+    const text = getMessageText(message)
+    const words = tokenize(text)
+    if (words.length === 0) return
+
+    const terms = new Map()
+    words.forEach(term => terms.set(term, (terms.get(term) || 0) + 1))
+    const docId = nextDocId++
+    const model = message.model || conversation.model?.id || null
+    documents.set(docId, {
+      conversationId: conversation.id,
+      messageId: hasTree ? message.id : null,
+      messageIndex: hasTree ? null : index,
+      role: message.role,
+      text,
+      timestamp: message.timestamp || conversation.updatedAt || 0,
+      model,
+      location: isCloudModel(model) || (!message.model && conversation.model?.type === 'cloud') ? 'cloud' : 'local',
+      terms,
+      length: words.length
+    })
+    for (const [term, count] of terms) {
+      if (!postings.has(term)) postings.set(term, new Map())
+      postings.get(term).set(docId, count)
+    }
+    totalLength += words.length
+    docIds.push(docId)
+  })
+
+  conversationDocs.set(conversation.id, { title: conversation.title || 'Untitled', docIds })
+}
+
+/**
+ * 更新一个会话的索引（保存、导入或重命名之后调用）
+ * Update the index for one conversation (called after it is saved, imported or renamed)
+ *
+ * @param {object} conversation - Saved conversation
+ */
+export function indexConversation(conversation) {
+  if (!conversation?.id) return
+  removeConversationFromIndex(conversation.id)
+  addConversation(conversation)
+}
+
+/**
+ * 从索引中移除会话
+ * Remove a conversation from the index
+ *
+ * @param {string} id - Conversation id
+ */
+export function removeConversationFromIndex(id) {
+  for (const docId of conversationDocs.get(id)?.docIds || []) {
+    const doc = documents.get(docId)
+    for (const term of doc.terms.keys()) {
+      const posting = postings.get(term)
+      posting.delete(docId)
+      if (posting.size === 0) postings.delete(term)
+    }
+    totalLength -= doc.length
+    documents.delete(docId)
+  }
+  conversationDocs.delete(id)
+}
+
+/**
+ * 从所有已保存的会话建立索引；并发调用共用同一次建立
+ * Build the index from every saved conversation; concurrent calls share one build
+ *
+ * @returns {Promise<{conversations: number, messages: number}>}
+ */
+export function buildSearchIndex() {
+  if (!buildPromise) {
+    buildPromise = (async () => {
+      const startedAt = Date.now()
+      const summaries = listConversations()
+      for (let i = 0; i < summaries.length; i++) {
+        // 期间保存过的会话已是最新，不再读取
+        // Conversations saved in the meantime are already up to date
+        if (!conversationDocs.has(summaries[i].id)) {
+          try {
+            const conversation = loadConversation(summaries[i].id)
+            if (conversation) addConversation(conversation)
+          } catch (error) {
+            console.warn(`[Search] Skipped conversation ${summaries[i].id}: ${error.message}`)
+          }
+        }
+        if (i % BUILD_BATCH_SIZE === BUILD_BATCH_SIZE - 1) {
+          await new Promise(resolve => setImmediate(resolve))
+        }
+      }
+      built = true
+      console.log(`[Search] Indexed ${documents.size} message(s) from ${conversationDocs.size} conversation(s) in ${Date.now() - startedAt} ms`)
+      return { conversations: conversationDocs.size, messages: documents.size }
+    })()
+    buildPromise.catch(() => {
+      buildPromise = null
+    })
+  }
+  return buildPromise
+}
+
+/**
+ * 索引中出现过的模型 ID（用于搜索的模型筛选）
+ * Model ids found in the index (for the model filter of the search)
+ *
+ * @returns {string[]}
+ */
+export function listIndexedModels() {
+  const models = new Set()
+  documents.forEach(doc => doc.model && models.add(doc.model))
+  return [...models].sort()
+}
+
+// 每个搜索词对应的索引词：最后一个词按前缀扩展
+// Index terms for each search term; the last one is expanded as a prefix
+function expandQuery(queryTerms) {
+  return queryTerms.map((term, index) => {
+    const isLast = index === queryTerms.length - 1
+    if (!isLast || term.length < MIN_PREFIX_LENGTH || CJK.test(term)) {
+      return postings.has(term) ? [term] : []
+    }
+    return [...postings.keys()].filter(candidate => candidate.startsWith(term))
+  })
+}
+
+function matchesFilters(doc, filters) {
+  if (filters.model && doc.model !== filters.model) return false
+  if (filters.location && doc.location !== filters.location) return false
+  if (filters.from && doc.timestamp < filters.from) return false
+  if (filters.to && doc.timestamp > filters.to) return false
+  return true
+}
+
+// 逐字符转小写并记录每个位置在原文中的偏移：有些字符转小写后长度会变（如 İ 变为 i̇），
+// 直接在 toLowerCase() 的结果上找到的位置不能用来截取原文
+// Lowercase character by character, keeping the offset in the original text of each position: some
+// characters change length when lowercased (İ becomes i̇), so positions found in toLowerCase() would
+// not line up with the original text
+function lowerWithOffsets(text) {
+  let lower = ''
+  const offsets = []
+  let index = 0
+  for (const char of text) {
+    const lowered = char.toLowerCase()
+    lower += lowered
+    for (let i = 0; i < lowered.length; i++) offsets.push(index)
+    index += char.length
+  }
+  offsets.push(index)
+  return { lower, offsets }
+}
+
+// 摘要：以第一个命中为中心截取，空白合并为一个空格；高亮位置相对于摘要
+// Snippet: cut around the first hit with whitespace collapsed; highlight ranges are relative to the snippet
+function buildSnippet(text, terms) {
+  const flat = text.replace(/\s+/g, ' ').trim()
+  const { lower, offsets } = lowerWithOffsets(flat)
+  const ranges = []
+  for (const term of terms) {
+    let at = lower.indexOf(term)
+    while (at !== -1) {
+      ranges.push([offsets[at], offsets[at + term.length]])
+      at = lower.indexOf(term, at + term.length)
+    }
+  }
+  ranges.sort((a, b) => a[0] - b[0])
+
+  const merged = []
+  for (const range of ranges) {
+    const last = merged[merged.length - 1]
+    if (last && range[0] <= last[1]) {
+      last[1] = Math.max(last[1], range[1])
+    } else {
+      merged.push([...range])
+    }
+  }
+
+  const firstHit = merged[0]?.[0] ?? 0
+  let start = Math.max(0, firstHit - SNIPPET_LEAD)
+  if (start > 0) {
+    const space = flat.indexOf(' ', start)
+    if (space !== -1 && space < firstHit) start = space + 1
+  }
+  const end = Math.min(flat.length, start + SNIPPET_LENGTH)
+  const prefix = start > 0 ? '…' : ''
+  return {
+    snippet: `${prefix}${flat.slice(start, end)}${end < flat.length ? '…' : ''}`,
+    highlights: merged
+      .filter(([from, to]) => from >= start && to <= end)
+      .map(([from, to]) => [from - start + prefix.length, to - start + prefix.length])
+  }
+}
+
+/**
+ * 搜索所有会话中的消息；所有搜索词都须出现在同一条消息中
+ * Search the messages of every conversation; all search terms have to appear in the same message
+ *
+ * @param {string} query
+ * @param {object} [filters]
+ * @param {string} [filters.model] - Model selector id
+ * @param {'local'|'cloud'} [filters.location]
+ * @param {number} [filters.from] - Earliest message time (ms)
+ * @param {number} [filters.to] - Latest message time (ms)
+ * @param {number} [filters.limit] - Maximum number of results (50 by default)
+ * @returns {Promise<{results: Array<{conversationId: string, title: string, messageId: string|null, messageIndex: number|null, role: string, model: string|null, location: string, timestamp: number, score: number, snippet: string, highlights: Array<[number, number]>}>, total: number, models: string[]}>}
+ */
+export async function searchConversations(query, filters = {}) {
+  if (!built) {
+    await buildSearchIndex()
+  }
+
+  const queryTerms = [...new Set(tokenize(query, { query: true }))]
+  if (queryTerms.length === 0) {
+    return { results: [], total: 0, models: listIndexedModels() }
+  }
+
+  const expanded = expandQuery(queryTerms)
+  if (expanded.some(terms => terms.length === 0)) {
+    return { results: [], total: 0, models: listIndexedModels() }
+  }
+
+  // 每个搜索词：文档 -> 该词（前缀扩展时取最佳的索引词）的 BM25 分数，只遍历一次倒排表
+  // Per search term: document -> BM25 score of the term (the best index term when expanded), walking each posting list once
+  const docCount = documents.size
+  const averageLength = totalLength / Math.max(1, docCount)
+  const termScores = expanded.map(terms => {
+    const scores = new Map()
+    for (const term of terms) {
+      const posting = postings.get(term)
+      const idf = Math.log(1 + (docCount - posting.size + 0.5) / (posting.size + 0.5))
+      posting.forEach((tf, docId) => {
+        const length = documents.get(docId).length
+        const score = idf * (tf * (BM25_K1 + 1)) / (tf + BM25_K1 * (1 - BM25_B + BM25_B * length / averageLength))
+        if (score > (scores.get(docId) || 0)) scores.set(docId, score)
+      })
+    }
+    return scores
+  })
+
+  // 从文档最少的搜索词开始求交集
+  // Intersect starting from the search term with the fewest documents
+  termScores.sort((a, b) => a.size - b.size)
+  const scored = []
+  for (const [docId, firstScore] of termScores[0]) {
+    let score = firstScore
+    for (const scores of termScores.slice(1)) {
+      const termScore = scores.get(docId)
+      if (termScore === undefined) {
+        score = null
+        break
+      }
+      score += termScore
+    }
+    if (score === null) continue
+    const doc = documents.get(docId)
+    if (matchesFilters(doc, filters)) {
+      scored.push({ doc, score })
+    }
+  }
+
+  // 分数相同时较新的消息在前
+  // Newer messages come first when the scores are equal
+  scored.sort((a, b) => b.score - a.score || b.doc.timestamp - a.doc.timestamp)
+  const limit = Math.min(Math.max(1, Number(filters.limit) || DEFAULT_LIMIT), MAX_LIMIT)
+
+  return {
+    results: scored.slice(0, limit).map(({ doc, score }) => ({
+      conversationId: doc.conversationId,
+      title: conversationDocs.get(doc.conversationId)?.title || 'Untitled',
+      messageId: doc.messageId,
+      messageIndex: doc.messageIndex,
+      role: doc.role,
+      model: doc.model,
+      location: doc.location,
+      timestamp: doc.timestamp,
+      score: Math.round(score * 1000) / 1000,
+      ...buildSnippet(doc.text, expanded.flat().filter(term => doc.terms.has(term)))
+    })),
+    total: scored.length,
+    models: listIndexedModels()
+  }
+}
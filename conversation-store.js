@@ -0,0 +1,194 @@
+/**
+ * conversation-store.js
+ *
+ * 会话持久化存储
+ * 每个会话保存为 ~/.foundry-chat/conversations/<id>.json，
+ * 另有 index.json 保存会话摘要，用于快速加载侧边栏列表
+ *
+ * Persistent conversation storage
+ * Each conversation is saved as ~/.foundry-chat/conversations/<id>.json,
+ * with an index.json of summaries so the sidebar list loads quickly
+ */
+
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { getDataDir, readJsonFile, writeJsonFile } from './app-storage.js'
+
+const INDEX_FILE = 'index.json'
+const TITLE_MAX_LENGTH = 60
+
+function getConversationsDir() {
+  return getDataDir('conversations')
+}
+
+function getConversationPath(id) {
+  // 会话 ID 只允许安全字符，防止路径穿越
+  // Only allow safe characters in ids to prevent path traversal
+  if (!id || !/^[A-Za-z0-9_-]+$/.test(id)) {
+    throw new Error(`Invalid conversation id: ${id}`)
+  }
+  return path.join(getConversationsDir(), `${id}.json`)
+}
+
+/**
+ * 根据第一条用户消息生成默认标题
+ * Derive a default title from the first user message
+ */
+function deriveTitle(messages) {
+  const firstUser = (messages || []).find(m => m.role === 'user' && (m.content || m.attachments?.length || m.images?.length))
+  if (!firstUser) return 'New Chat'
+
+  // 只有附件或图片的消息以文件名作为标题
+  // A message of only attachments or images is titled after the files
+  const source = firstUser.content || [...(firstUser.attachments || []), ...(firstUser.images || [])].map(a => a.name).join(', ')
+  const text = String(source).replace(/\s+/g, ' ').trim()
+  return text.length > TITLE_MAX_LENGTH
+    ? `${text.slice(0, TITLE_MAX_LENGTH - 1)}…`
+    : text
+}
+
+function toSummary(conversation) {
+  return {
+    id: conversation.id,
+    title: conversation.title,
+    createdAt: conversation.createdAt,
+    updatedAt: conversation.updatedAt,
+    model: conversation.model || null,
+    messageCount: (conversation.messages || []).filter(m => m.role !== 'system').length
+  }
+}
+
+/**
+ * 从会话文件重建索引（索引缺失或损坏时使用）
+ * Rebuild the index from the conversation files (used when it is missing or corrupt)
+ */
+function rebuildIndex() {
+  const dir = getConversationsDir()
+  const summaries = []
+
+  for (const file of fs.readdirSync(dir)) {
+    if (!file.endsWith('.json') || file === INDEX_FILE) continue
+
+    const conversation = readJsonFile(path.join(dir, file))
+    if (conversation && conversation.id) {
+      summaries.push(toSummary(conversation))
+    }
+  }
+
+  writeJsonFile(path.join(dir, INDEX_FILE), summaries)
+  console.log(`[ConversationStore] Rebuilt index with ${summaries.length} conversation(s)`)
+  return summaries
+}
+
+function readIndex() {
+  const index = readJsonFile(path.join(getConversationsDir(), INDEX_FILE))
+  return Array.isArray(index) ? index : rebuildIndex()
+}
+
+function writeIndex(summaries) {
+  writeJsonFile(path.join(getConversationsDir(), INDEX_FILE), summaries)
+}
+
+/**
+ * 获取所有会话摘要（按更新时间倒序）
+ * List all conversation summaries, most recently updated first
+ *
+ * @returns {Array<{id: string, title: string, createdAt: number, updatedAt: number, model: object|null, messageCount: number}>}
+ */
+export function listConversations() {
+  return readIndex().sort((a, b) => (b.updatedAt || 0) - (a.updatedAt || 0))
+}
+
+/**
+ * 读取完整会话
+ * Load a full conversation
+ *
+ * @param {string} id - Conversation id
+ * @returns {object|null}
+ */
+export function loadConversation(id) {
+  return readJsonFile(getConversationPath(id))
+}
+
+/**
+ * 保存会话（新会话会自动分配 ID 和标题）
+ * Save a conversation; new conversations get an id and a default title
+ *
+ * messages 是当前显示的分支；tree 保存所有分支（{nodes, selected}）
+ * messages is the branch on screen; tree holds every branch ({nodes, selected})
+ *
+ * @param {{id?: string, title?: string, model?: object, messages: Array, tree?: object}} conversation
+ * @returns {object} The saved conversation
+ */
+export function saveConversation(conversation) {
+  const now = Date.now()
+  const existing = conversation.id ? loadConversation(conversation.id) : null
+
+  const saved = {
+    ...existing,
+    ...conversation,
+    id: conversation.id || crypto.randomUUID(),
+    createdAt: existing?.createdAt || conversation.createdAt || now,
+    updatedAt: now,
+    messages: conversation.messages || []
+  }
+
+  // 用户手动重命名过的标题不会被覆盖
+  // Keep titles the user renamed by hand
+  if (existing?.customTitle) {
+    saved.title = existing.title
+    saved.customTitle = true
+  } else if (!conversation.customTitle) {
+    saved.title = deriveTitle(saved.messages)
+  }
+
+  writeJsonFile(getConversationPath(saved.id), saved)
+
+  const index = readIndex().filter(s => s.id !== saved.id)
+  index.push(toSummary(saved))
+  writeIndex(index)
+
+  return saved
+}
+
+/**
+ * 重命名会话
+ * Rename a conversation
+ *
+ * @param {string} id - Conversation id
+ * @param {string} title - New title
+ * @returns {object} The updated conversation
+ */
+export function renameConversation(id, title) {
+  const conversation = loadConversation(id)
+  if (!conversation) {
+    throw new Error('Conversation not found')
+  }
+
+  const trimmed = String(title || '').trim()
+  if (!trimmed) {
+    throw new Error('Title cannot be empty')
+  }
+
+  conversation.title = trimmed
+  conversation.customTitle = true
+  writeJsonFile(getConversationPath(id), conversation)
+
+  writeIndex(readIndex().map(s => (s.id === id ? { ...s, title: trimmed } : s)))
+  return conversation
+}
+
+/**
+ * 删除会话
+ * Delete a conversation
+ *
+ * @param {string} id - Conversation id
+ */
+export function deleteConversation(id) {
+  const filePath = getConversationPath(id)
+  if (fs.existsSync(filePath)) {
+    fs.unlinkSync(filePath)
+  }
+  writeIndex(readIndex().filter(s => s.id !== id))
+}
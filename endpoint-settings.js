@@ -0,0 +1,206 @@
+/**
+ * endpoint-settings.js
+ *
+ * 自定义 Foundry 端点的连接设置：认证（Bearer 令牌或 API 密钥头）与自签名 CA 证书
+ * 按端点 origin 保存在 ~/.foundry-chat/endpoint-settings.json；令牌经 secret-store.js 加密，
+ * 发送给渲染进程的只有掩码
+ *
+ * Connection settings for custom Foundry endpoints: authentication (a bearer token or an API key
+ * header) and a self-signed CA certificate
+ * Stored per endpoint origin in ~/.foundry-chat/endpoint-settings.json; tokens are encrypted through
+ * secret-store.js and only a mask is ever sent to the renderer
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { getDataDir, readJsonFile, writeJsonFile } from './app-storage.js'
+import { encryptSecret, decryptSecret, maskSecret } from './secret-store.js'
+
+export const AUTH_TYPES = ['none', 'bearer', 'api-key']
+
+const DEFAULT_API_KEY_HEADER = 'api-key'
+
+// 已读取的 CA 证书，按路径缓存，文件修改后重新读取
+// CA certificates already read, cached by path and read again once the file changes
+const certificateCache = new Map()
+
+// 每个端点最近一次报告的连接问题，同一问题只记录一次日志
+// The connection problem last reported for each endpoint, so the same problem is logged once
+const reportedProblems = new Map()
+
+function getSettingsPath() {
+  return path.join(getDataDir(), 'endpoint-settings.json')
+}
+
+function readAllSettings() {
+  const stored = readJsonFile(getSettingsPath(), {})
+  return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {}
+}
+
+/**
+ * 端点的 origin（协议 + 主机 + 端口），作为设置的键；IPv6 主机保留方括号
+ * Origin of an endpoint (protocol + host + port), used as the settings key; IPv6 hosts keep their brackets
+ */
+function getOrigin(endpoint) {
+  try {
+    return new URL(endpoint).origin
+  } catch (error) {
+    return null
+  }
+}
+
+function readCertificate(caFile) {
+  const { mtimeMs } = fs.statSync(caFile)
+  const cached = certificateCache.get(caFile)
+  if (cached?.mtimeMs === mtimeMs) {
+    return cached.pem
+  }
+
+  const pem = fs.readFileSync(caFile, 'utf8')
+  if (!pem.includes('-----BEGIN CERTIFICATE-----')) {
+    throw new Error(`Not a PEM certificate: ${caFile}`)
+  }
+  certificateCache.set(caFile, { mtimeMs, pem })
+  return pem
+}
+
+// 记录端点的连接问题（与上次相同时不再重复）；problem 为空表示已恢复
+// Log a connection problem of an endpoint unless it is the one already logged; an empty problem means it is resolved
+function reportProblem(origin, problem) {
+  if (!problem) {
+    reportedProblems.delete(origin)
+    return
+  }
+  if (reportedProblems.get(origin) !== problem) {
+    reportedProblems.set(origin, problem)
+    console.warn(`[EndpointSettings] ${origin}: ${problem}`)
+  }
+}
+
+/**
+ * 获取端点的连接设置（令牌只以掩码形式返回）
+ * Get the connection settings of an endpoint (the token is masked)
+ *
+ * @param {string} endpoint - Endpoint URL
+ * @returns {{authType: 'none'|'bearer'|'api-key', headerName: string, hasSecret: boolean, secretMask: string, caFile: string}}
+ */
+export function getEndpointSettings(endpoint) {
+  const stored = readAllSettings()[getOrigin(endpoint)] || {}
+  return {
+    authType: AUTH_TYPES.includes(stored.authType) ? stored.authType : 'none',
+    headerName: stored.headerName || DEFAULT_API_KEY_HEADER,
+    hasSecret: !!stored.encryptedSecret,
+    secretMask: stored.secretMask || '',
+    caFile: stored.caFile || ''
+  }
+}
+
+/**
+ * 保存端点的连接设置（secret 为空时沿用已保存的令牌）
+ * Save the connection settings of an endpoint (an empty secret keeps the saved one)
+ *
+ * @param {string} endpoint - Endpoint URL
+ * @param {{authType: string, headerName?: string, secret?: string, caFile?: string}} settings
+ * @returns {object} The saved settings, with the token masked
+ */
+export function saveEndpointSettings(endpoint, settings) {
+  const origin = getOrigin(endpoint)
+  if (!origin) {
+    throw new Error(`Invalid endpoint URL: ${endpoint}`)
+  }
+
+  const all = readAllSettings()
+  const existing = all[origin] || {}
+  const authType = AUTH_TYPES.includes(settings.authType) ? settings.authType : 'none'
+  const headerName = String(settings.headerName || '').trim() || DEFAULT_API_KEY_HEADER
+  const caFile = String(settings.caFile || '').trim()
+
+  if (authType === 'api-key' && !/^[A-Za-z0-9!#$%&'*+.^_`|~-]+$/.test(headerName)) {
+    throw new Error(`Invalid header name: ${headerName}`)
+  }
+  if (caFile) {
+    if (!origin.startsWith('https:')) {
+      throw new Error('A CA certificate only applies to https:// endpoints')
+    }
+    readCertificate(caFile)
+  }
+
+  const entry = { authType, headerName, caFile }
+  const secret = String(settings.secret || '').trim()
+  if (authType !== 'none') {
+    if (secret) {
+      entry.encryptedSecret = encryptSecret(secret)
+      entry.secretMask = maskSecret(secret)
+    } else if (existing.encryptedSecret) {
+      entry.encryptedSecret = existing.encryptedSecret
+      entry.secretMask = existing.secretMask
+    } else {
+      throw new Error('A token is required for this authentication type')
+    }
+  }
+
+  if (authType === 'none' && !caFile) {
+    delete all[origin]
+  } else {
+    all[origin] = entry
+  }
+  writeJsonFile(getSettingsPath(), all, { mode: 0o600 })
+
+  console.log(`[EndpointSettings] Saved connection settings for ${origin} (auth: ${authType}${caFile ? ', custom CA' : ''})`)
+  return getEndpointSettings(endpoint)
+}
+
+/**
+ * 获取请求端点时使用的请求头与 CA（仅供主进程使用）
+ * 传入 overrides 时使用尚未保存的设置（例如设置面板中的"测试连接"），令牌为空时沿用已保存的令牌
+ *
+ * Get the headers and CA to use for requests to an endpoint (main process only)
+ * With overrides, unsaved settings are used instead (e.g. Test Connection in the settings panel);
+ * an empty token falls back to the saved one
+ *
+ * 保存的令牌无法解密时（例如加密存储尚未解锁）返回 error，调用方不应发出不带认证的请求；
+ * CA 只用于 https 端点
+ * When the saved token cannot be decrypted (the secret store is still locked, for example) error is
+ * set, and callers should not send the request without auth; the CA only applies to https endpoints
+ *
+ * @param {string} endpoint - Endpoint URL
+ * @param {{authType: string, headerName?: string, secret?: string, caFile?: string}} [overrides]
+ * @returns {{headers: object, ca?: string, error?: string}}
+ */
+export function getEndpointConnection(endpoint, overrides) {
+  const origin = getOrigin(endpoint)
+  const stored = readAllSettings()[origin] || {}
+  const settings = overrides || stored
+  const connection = { headers: {} }
+  const problems = []
+
+  if (settings.authType === 'bearer' || settings.authType === 'api-key') {
+    let secret = overrides?.secret ? String(overrides.secret).trim() : ''
+    if (!secret && stored.encryptedSecret) {
+      try {
+        secret = decryptSecret(stored.encryptedSecret)
+      } catch (error) {
+        connection.error = `The saved token cannot be used: ${error.message.replace(/\.$/, '')}`
+        problems.push(connection.error)
+      }
+    }
+    if (secret) {
+      if (settings.authType === 'bearer') {
+        connection.headers.Authorization = `Bearer ${secret}`
+      } else {
+        connection.headers[settings.headerName || DEFAULT_API_KEY_HEADER] = secret
+      }
+    }
+  }
+
+  if (settings.caFile && origin?.startsWith('https:')) {
+    try {
+      connection.ca = readCertificate(settings.caFile)
+    } catch (error) {
+      problems.push(`Could not read CA certificate: ${error.message}`)
+    }
+  }
+
+  reportProblem(origin, problems.join('; '))
+  return connection
+}
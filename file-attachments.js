@@ -0,0 +1,230 @@
+/**
+ * file-attachments.js
+ *
+ * 消息附件：从文本、代码、Markdown、CSV、JSON、PDF 和 DOCX 文件中提取文本，按模型上下文预算截断，
+ * 发送时作为带标签的上下文块放在用户消息之前
+ *
+ * Message attachments: text is extracted from text, code, Markdown, CSV, JSON, PDF and DOCX files,
+ * truncated to fit the model's context budget, and sent as labelled context blocks ahead of the
+ * user's message
+ */
+
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { estimateTokens } from './context-window.js'
+
+// 可附加的文件类型（扩展名 -> 类别）；没有扩展名的常见构建文件按代码处理
+// Attachable file types (extension -> kind); common build files without an extension count as code
+const EXTENSION_KINDS = {
+  txt: 'text', text: 'text', log: 'text', out: 'text', ini: 'text', cfg: 'text', conf: 'text', env: 'text',
+  md: 'markdown', markdown: 'markdown', mdx: 'markdown',
+  csv: 'csv', tsv: 'csv',
+  json: 'json', jsonl: 'json', ndjson: 'json',
+  pdf: 'pdf',
+  docx: 'docx'
+}
+const CODE_EXTENSIONS = [
+  'js', 'mjs', 'cjs', 'jsx', 'ts', 'tsx', 'vue', 'svelte', 'py', 'rb', 'php', 'java', 'kt', 'kts', 'scala',
+  'swift', 'go', 'rs', 'c', 'h', 'cc', 'cpp', 'hpp', 'cs', 'fs', 'vb', 'm', 'mm', 'dart', 'lua', 'r', 'pl',
+  'sh', 'bash', 'zsh', 'ps1', 'psm1', 'bat', 'cmd', 'sql', 'html', 'htm', 'css', 'scss', 'less', 'xml',
+  'yaml', 'yml', 'toml', 'gradle', 'cmake', 'proto', 'graphql'
+]
+const CODE_FILE_NAMES = ['dockerfile', 'makefile', 'cmakelists.txt', 'gemfile', 'rakefile']
+
+export const ATTACHMENT_EXTENSIONS = [...Object.keys(EXTENSION_KINDS), ...CODE_EXTENSIONS]
+
+// 单个文件大小上限（提取前）
+// Size limit of one file (before extraction)
+export const MAX_ATTACHMENT_BYTES = 20 * 1024 * 1024
+
+// 单个附件最多占模型上下文预算的一半；预算不限时（云端模型）的上限
+// One attachment takes at most half of the model's context budget; cap when the budget is unlimited (cloud models)
+const ATTACHMENT_BUDGET_SHARE = 0.5
+const UNLIMITED_ATTACHMENT_TOKENS = 100000
+
+/**
+ * 根据文件名判断附件类别
+ * Kind of attachment for a file name
+ *
+ * @param {string} fileName
+ * @returns {'text'|'code'|'markdown'|'csv'|'json'|'pdf'|'docx'|null} null for other extensions
+ */
+export function getAttachmentKind(fileName) {
+  const base = path.basename(fileName).toLowerCase()
+  if (CODE_FILE_NAMES.includes(base)) return 'code'
+  const extension = path.extname(base).slice(1)
+  if (CODE_EXTENSIONS.includes(extension)) return 'code'
+  return EXTENSION_KINDS[extension] || null
+}
+
+/**
+ * 单个附件的 token 上限
+ * Token limit of one attachment
+ *
+ * @param {number|null} budget - Context budget of the model (null means unlimited)
+ * @returns {number}
+ */
+export function getAttachmentTokenLimit(budget) {
+  return budget ? Math.floor(budget * ATTACHMENT_BUDGET_SHARE) : UNLIMITED_ATTACHMENT_TOKENS
+}
+
+// 文本文件：识别 UTF-8 / UTF-16 BOM；含 NUL 字节的视为二进制文件
+// Text files: UTF-8 and UTF-16 byte order marks are honoured; NUL bytes mean a binary file
+function decodeText(buffer, fileName) {
+  if (buffer[0] === 0xff && buffer[1] === 0xfe) {
+    return buffer.subarray(2).toString('utf16le')
+  }
+  if (buffer[0] === 0xfe && buffer[1] === 0xff) {
+    const swapped = Buffer.from(buffer.subarray(2))
+    swapped.swap16()
+    return swapped.toString('utf16le')
+  }
+  if (buffer.subarray(0, 8192).includes(0)) {
+    throw new Error(`${fileName} looks like a binary file`)
+  }
+  return buffer.toString('utf8').replace(/^\uFEFF/, '')
+}
+
+async function extractPdf(buffer) {
+  const { extractText, getDocumentProxy } = await import('unpdf')
+  const pdf = await getDocumentProxy(new Uint8Array(buffer))
+  const { totalPages, text } = await extractText(pdf, { mergePages: false })
+  return {
+    pages: totalPages,
+    text: text.map((page, index) => `[Page ${index + 1}]\n${page.trim()}`).join('\n\n')
+  }
+}
+
+async function extractDocx(buffer) {
+  const mammoth = (await import('mammoth')).default
+  const result = await mammoth.extractRawText({ buffer })
+  return { text: result.value.replace(/\n{3,}/g, '\n\n') }
+}
+
+// 截断到 token 上限，尽量停在行尾
+// Cut to the token limit, ending on a line break where possible
+function truncateToTokens(text, limit) {
+  let cut = Math.floor(text.length * limit / estimateTokens(text))
+  while (cut > 0 && estimateTokens(text.slice(0, cut)) > limit) {
+    cut = Math.floor(cut * 0.95)
+  }
+  const lineEnd = text.lastIndexOf('\n', cut)
+  return text.slice(0, lineEnd > cut * 0.8 ? lineEnd : cut)
+}
+
+/**
+ * 提取文件的全部文本（不截断，知识库也使用）
+ * Extract the full text of a file, untruncated (also used by the knowledge base)
+ *
+ * @param {string} filePath
+ * @returns {Promise<{name: string, kind: string, size: number, pages?: number, text: string}>}
+ */
+export async function extractFileText(filePath) {
+  const name = path.basename(filePath)
+  const stats = await fs.promises.stat(filePath)
+  if (!stats.isFile()) {
+    throw new Error(`${name} is not a file`)
+  }
+  if (stats.size > MAX_ATTACHMENT_BYTES) {
+    throw new Error(`${name} is larger than ${MAX_ATTACHMENT_BYTES / 1024 / 1024} MB`)
+  }
+
+  // 未知扩展名只要内容是文本也可以附加
+  // Unknown extensions are accepted as long as the content is text
+  const kind = getAttachmentKind(name) || 'text'
+  const buffer = await fs.promises.readFile(filePath)
+  let extracted
+  try {
+    if (kind === 'pdf') {
+      extracted = await extractPdf(buffer)
+    } else if (kind === 'docx') {
+      extracted = await extractDocx(buffer)
+    } else {
+      extracted = { text: decodeText(buffer, name) }
+    }
+  } catch (error) {
+    throw new Error(`Could not read ${name}: ${error.message}`)
+  }
+
+  const text = extracted.text.replace(/\r\n/g, '\n').trim()
+  if (!text) {
+    throw new Error(kind === 'pdf'
+      ? `${name} contains no text (scanned PDFs are not supported)`
+      : `${name} is empty`)
+  }
+  return {
+    name,
+    kind,
+    size: stats.size,
+    ...(extracted.pages ? { pages: extracted.pages } : {}),
+    text
+  }
+}
+
+/**
+ * 读取要附加到消息的文件，按模型上下文预算截断
+ * Read a file to attach to a message, truncated to the model's context budget
+ *
+ * @param {string} filePath
+ * @param {{budget?: number|null}} [options] - Context budget of the model the message goes to
+ * @returns {Promise<{id: string, name: string, kind: string, size: number, pages?: number, text: string, tokens: number, originalTokens: number, truncated: boolean}>}
+ */
+export async function readAttachment(filePath, { budget = null } = {}) {
+  const { text: fullText, ...file } = await extractFileText(filePath)
+  const originalTokens = estimateTokens(fullText)
+  const limit = getAttachmentTokenLimit(budget)
+  const text = originalTokens > limit ? truncateToTokens(fullText, limit) : fullText
+  console.log(`[Attachments] Read ${file.name} (${file.kind}, ${file.size} bytes, ~${originalTokens} tokens${text !== fullText ? `, truncated to ~${limit}` : ''})`)
+
+  return {
+    id: crypto.randomUUID(),
+    ...file,
+    text,
+    tokens: estimateTokens(text),
+    originalTokens,
+    truncated: text !== fullText
+  }
+}
+
+// 围栏比内容中最长的反引号串多一个，内容里的 ``` 不会提前结束代码块
+// The fence is one backtick longer than any run in the content, so ``` inside cannot close it early
+function fenceFor(text) {
+  const longest = (text.match(/`+/g) || []).reduce((max, run) => Math.max(max, run.length), 0)
+  return '`'.repeat(Math.max(3, longest + 1))
+}
+
+/**
+ * 将附件格式化为带标签的上下文块
+ * Format an attachment as a labelled context block
+ *
+ * @param {{name: string, kind: string, text: string, truncated?: boolean, tokens?: number, originalTokens?: number}} attachment
+ * @returns {string}
+ */
+export function formatAttachmentBlock(attachment) {
+  const notes = [attachment.kind]
+  if (attachment.truncated) {
+    notes.push(`truncated to the first ~${attachment.tokens} of ~${attachment.originalTokens} tokens`)
+  }
+  const language = attachment.kind === 'code' || attachment.kind === 'json' || attachment.kind === 'csv'
+    ? path.extname(attachment.name).slice(1).toLowerCase()
+    : ''
+  const fence = fenceFor(attachment.text)
+  return `Attached file: ${attachment.name} (${notes.join(', ')})\n${fence}${language}\n${attachment.text}\n${fence}`
+}
+
+/**
+ * 把消息的附件展开为发送给模型的文本，附件在前，用户输入在后
+ * Expand the attachments of a message into the text sent to the model, attachments first
+ *
+ * @param {{role: string, content: string, attachments?: Array}} message
+ * @returns {{role: string, content: string}}
+ */
+export function expandAttachments(message) {
+  const { attachments, ...rest } = message
+  if (!Array.isArray(attachments) || attachments.length === 0) {
+    return rest
+  }
+  const blocks = attachments.map(formatAttachmentBlock)
+  return { ...rest, content: [...blocks, rest.content].filter(Boolean).join('\n\n') }
+}
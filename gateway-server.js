@@ -0,0 +1,351 @@
+/**
+ * gateway-server.js
+ *
+ * 内置的 OpenAI 兼容本地网关：在 127.0.0.1 上提供 /v1/models 与 /v1/chat/completions（支持流式），
+ * 按模型名把请求转发到 Foundry Local 或云端 Profile，让编辑器、脚本等工具使用本应用管理的模型；
+ * Foundry 的动态端口变化时网关地址保持不变。请求需要本地令牌，并记录到 ~/.foundry-chat/gateway.log
+ *
+ * Built-in OpenAI-compatible local gateway: serves /v1/models and /v1/chat/completions (streaming included)
+ * on 127.0.0.1 and routes each request by model name to Foundry Local or a cloud profile, so editors and
+ * scripts can use the models this app manages; the address stays stable when Foundry's dynamic port changes.
+ * Requests need a local token and are logged to ~/.foundry-chat/gateway.log
+ */
+
+import http from 'http'
+import fs from 'fs'
+import path from 'path'
+import crypto from 'crypto'
+import { getDataDir, readJsonFile, writeJsonFile } from './app-storage.js'
+
+const GATEWAY_HOST = '127.0.0.1'
+const DEFAULT_PORT = 5273
+
+// 请求体上限（消息历史可能较长）
+// Request body limit (message histories can be long)
+const MAX_BODY_BYTES = 10 * 1024 * 1024
+
+// 设置面板中显示的最近请求数
+// Number of recent requests kept for the settings panel
+const RECENT_REQUEST_LIMIT = 50
+
+let server = null
+let listeningPort = null
+const recentRequests = []
+
+function getSettingsPath() {
+  return path.join(getDataDir(), 'gateway-settings.json')
+}
+
+function getLogPath() {
+  return path.join(getDataDir(), 'gateway.log')
+}
+
+function generateToken() {
+  return `fcg-${crypto.randomBytes(24).toString('hex')}`
+}
+
+/**
+ * 获取网关设置；首次调用时生成令牌
+ * Get the gateway settings, generating the token on first use
+ *
+ * @returns {{enabled: boolean, port: number, token: string}}
+ */
+export function getGatewaySettings() {
+  const stored = readJsonFile(getSettingsPath(), {}) || {}
+  const settings = {
+    enabled: !!stored.enabled,
+    port: Number.isInteger(stored.port) ? stored.port : DEFAULT_PORT,
+    token: typeof stored.token === 'string' && stored.token ? stored.token : ''
+  }
+  if (!settings.token) {
+    settings.token = generateToken()
+    writeJsonFile(getSettingsPath(), settings, { mode: 0o600 })
+  }
+  return settings
+}
+
+/**
+ * 保存网关设置（启用状态、端口；regenerateToken 为 true 时更换令牌）
+ * Save the gateway settings (enabled, port; a new token when regenerateToken is true)
+ *
+ * @param {{enabled?: boolean, port?: number, regenerateToken?: boolean}} changes
+ * @returns {{enabled: boolean, port: number, token: string}}
+ */
+export function saveGatewaySettings(changes) {
+  const settings = getGatewaySettings()
+  if (changes.enabled !== undefined) {
+    settings.enabled = !!changes.enabled
+  }
+  if (changes.port !== undefined) {
+    const port = Number(changes.port)
+    if (!Number.isInteger(port) || port < 1024 || port > 65535) {
+      throw new Error('Gateway port must be between 1024 and 65535')
+    }
+    settings.port = port
+  }
+  if (changes.regenerateToken) {
+    settings.token = generateToken()
+    console.log('[Gateway] Access token regenerated')
+  }
+  writeJsonFile(getSettingsPath(), settings, { mode: 0o600 })
+  return settings
+}
+
+/**
+ * 获取网关运行状态
+ * Get the gateway status
+ *
+ * @returns {{running: boolean, url: string|null, enabled: boolean, port: number, token: string, recentRequests: Array}}
+ */
+export function getGatewayStatus() {
+  const settings = getGatewaySettings()
+  return {
+    ...settings,
+    running: server !== null,
+    url: server ? `http://${GATEWAY_HOST}:${listeningPort}/v1` : null,
+    recentRequests: [...recentRequests]
+  }
+}
+
+function logRequest(entry) {
+  recentRequests.unshift(entry)
+  recentRequests.length = Math.min(recentRequests.length, RECENT_REQUEST_LIMIT)
+
+  const model = entry.model ? ` model=${entry.model}` : ''
+  const stream = entry.stream ? ' (stream)' : ''
+  const error = entry.error ? ` - ${entry.error}` : ''
+  console.log(`[Gateway] ${entry.method} ${entry.path}${model} ${entry.status} ${entry.durationMs}ms${stream}${error}`)
+
+  fs.appendFile(getLogPath(), `${JSON.stringify(entry)}\n`, (err) => {
+    if (err) {
+      console.warn(`[Gateway] Could not write request log: ${err.message}`)
+    }
+  })
+}
+
+// OpenAI 格式的错误响应
+// Error response in the OpenAI format
+function sendError(res, entry, status, message, type = 'invalid_request_error') {
+  entry.error = message
+  sendJson(res, status, { error: { message, type, code: null } })
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+function isAuthorized(req, token) {
+  const header = req.headers.authorization || ''
+  const match = header.match(/^Bearer\s+(.+)$/i)
+  if (!match) return false
+
+  const given = Buffer.from(match[1].trim())
+  const expected = Buffer.from(token)
+  return given.length === expected.length && crypto.timingSafeEqual(given, expected)
+}
+
+// 请求体超过上限时不再读取剩余部分；调用方回复 413 并关闭连接
+// A body over the limit is not read any further; the caller answers 413 and closes the connection
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const tooLarge = () => Object.assign(new Error('Request body too large'), { status: 413 })
+    if (Number(req.headers['content-length']) > MAX_BODY_BYTES) {
+      reject(tooLarge())
+      return
+    }
+
+    const chunks = []
+    let size = 0
+    req.on('data', (chunk) => {
+      size += chunk.length
+      if (size > MAX_BODY_BYTES) {
+        reject(tooLarge())
+        req.pause()
+        return
+      }
+      chunks.push(chunk)
+    })
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+    req.on('error', reject)
+  })
+}
+
+async function handleModels(res, handlers) {
+  const models = await handlers.listModels()
+  sendJson(res, 200, {
+    object: 'list',
+    data: models.map(model => ({
+      id: model.id,
+      object: 'model',
+      created: 0,
+      owned_by: model.ownedBy
+    }))
+  })
+}
+
+async function handleChatCompletions(req, res, handlers, entry) {
+  let body
+  try {
+    body = JSON.parse(await readBody(req))
+  } catch (error) {
+    if (error.status === 413) {
+      res.setHeader('Connection', 'close')
+    }
+    sendError(res, entry, error.status || 400, error.status ? error.message : `Invalid JSON body: ${error.message}`)
+    return
+  }
+
+  if (!body || typeof body.model !== 'string' || !body.model) {
+    sendError(res, entry, 400, 'The model field is required')
+    return
+  }
+  if (!Array.isArray(body.messages) || body.messages.length === 0) {
+    sendError(res, entry, 400, 'The messages field must be a non-empty array')
+    return
+  }
+  entry.model = body.model
+  entry.stream = !!body.stream
+
+  const target = await handlers.resolveModel(body.model)
+  if (!target) {
+    sendError(res, entry, 404, `The model '${body.model}' does not exist`)
+    return
+  }
+
+  // 客户端断开时取消上游请求
+  // Cancel the upstream request when the client goes away
+  const controller = new AbortController()
+  res.on('close', () => {
+    if (!res.writableEnded) {
+      controller.abort()
+    }
+  })
+
+  const request = { ...body, model: target.modelName }
+
+  if (!body.stream) {
+    const completion = await target.aiClient.chat.completions.create(request, { signal: controller.signal })
+    sendJson(res, 200, { ...completion, model: body.model })
+    return
+  }
+
+  const stream = await target.aiClient.chat.completions.create({ ...request, stream: true }, { signal: controller.signal })
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive'
+  })
+  try {
+    for await (const chunk of stream) {
+      res.write(`data: ${JSON.stringify({ ...chunk, model: body.model })}\n\n`)
+    }
+  } catch (error) {
+    if (controller.signal.aborted) return
+    // 响应头已发送，错误以事件形式告知客户端
+    // Headers are already sent, so the error goes out as an event
+    entry.error = error.message
+    res.write(`data: ${JSON.stringify({ error: { message: error.message, type: 'api_error', code: null } })}\n\n`)
+  }
+  res.end('data: [DONE]\n\n')
+}
+
+async function handleRequest(req, res, handlers, token) {
+  const startedAt = Date.now()
+  const url = new URL(req.url, `http://${GATEWAY_HOST}`)
+  const entry = { time: startedAt, method: req.method, path: url.pathname, model: null, stream: false, error: undefined }
+  res.on('close', () => {
+    logRequest({ ...entry, status: res.statusCode, durationMs: Date.now() - startedAt })
+  })
+
+  try {
+    if (!isAuthorized(req, token)) {
+      sendError(res, entry, 401, 'Missing or invalid gateway token (Authorization: Bearer <token>)', 'authentication_error')
+      return
+    }
+
+    if (req.method === 'GET' && url.pathname === '/v1/models') {
+      await handleModels(res, handlers)
+    } else if (req.method === 'POST' && url.pathname === '/v1/chat/completions') {
+      await handleChatCompletions(req, res, handlers, entry)
+    } else {
+      sendError(res, entry, 404, `Unknown route: ${req.method} ${url.pathname}`)
+    }
+  } catch (error) {
+    if (res.headersSent) {
+      res.end()
+      return
+    }
+    // 上游（OpenAI SDK）错误带有 HTTP 状态码
+    // Upstream (OpenAI SDK) errors carry an HTTP status
+    const status = Number.isInteger(error.status) ? error.status : 502
+    sendError(res, entry, status, error.message, status === 502 ? 'api_error' : 'invalid_request_error')
+  }
+}
+
+/**
+ * 停止网关
+ * Stop the gateway
+ *
+ * @returns {Promise<void>}
+ */
+export function stopGateway() {
+  if (!server) {
+    return Promise.resolve()
+  }
+
+  const closing = server
+  server = null
+  listeningPort = null
+  return new Promise((resolve) => {
+    closing.close(() => resolve())
+    closing.closeAllConnections()
+    console.log('[Gateway] Stopped')
+  })
+}
+
+/**
+ * 按当前设置（重新）启动或停止网关
+ * (Re)start or stop the gateway according to the saved settings
+ *
+ * @param {object} handlers
+ * @param {() => Promise<Array<{id: string, ownedBy: string}>>} handlers.listModels - Models to list on /v1/models
+ * @param {(model: string) => Promise<{aiClient: import('openai').OpenAI, modelName: string}|null>} handlers.resolveModel - Client for a model name, or null when unknown
+ * @returns {Promise<object>} The gateway status
+ */
+export async function applyGatewaySettings(handlers) {
+  await stopGateway()
+
+  const settings = getGatewaySettings()
+  if (!settings.enabled) {
+    return getGatewayStatus()
+  }
+
+  const instance = http.createServer((req, res) => {
+    handleRequest(req, res, handlers, settings.token)
+  })
+  await new Promise((resolve, reject) => {
+    instance.once('error', reject)
+    instance.listen(settings.port, GATEWAY_HOST, () => {
+      instance.off('error', reject)
+      resolve()
+    })
+  })
+
+  // 监听之后服务器仍可能出错（如 EMFILE）；记录错误并视为网关已停止，而不是让主进程出现未捕获的异常
+  // The server can still fail after it is listening (EMFILE, for example); the error is logged and the
+  // gateway counts as stopped, instead of becoming an uncaught exception in the main process
+  instance.on('error', (error) => {
+    console.error(`[Gateway] Server error: ${error.message}`)
+    if (server === instance) {
+      server = null
+      listeningPort = null
+      instance.close()
+    }
+  })
+
+  server = instance
+  listeningPort = settings.port
+  console.log(`[Gateway] [OK] Listening on http://${GATEWAY_HOST}:${listeningPort}/v1`)
+  return getGatewayStatus()
+}
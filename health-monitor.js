@@ -0,0 +1,161 @@
+/**
+ * health-monitor.js
+ *
+ * Foundry Local 服务健康监测：定期用 verifyEndpoint 检查当前端点；
+ * 端点失效时（例如服务重启后换了动态端口）通过 CLI 和服务发现重新查找端点，并通知主进程重建客户端
+ *
+ * Foundry Local health monitoring: the active endpoint is checked periodically with verifyEndpoint;
+ * when it stops responding (e.g. the service restarted on a new dynamic port) the endpoint is found
+ * again through the CLI and service discovery, and the main process is told to rebuild its clients
+ */
+
+import { discoverFoundryService, queryServiceFromCLI, verifyEndpoint } from './foundry-service.js'
+import { getEndpointConnection } from './endpoint-settings.js'
+
+// 正常状态下的检查间隔
+// Check interval while connected
+const CHECK_INTERVAL = 15000
+
+// 重连失败后的最长等待时间（按次数加倍）
+// Longest wait between failed reconnection attempts (doubles with each attempt)
+const MAX_RETRY_INTERVAL = 120000
+
+let options = null
+let timer = null
+let checking = null
+let failedAttempts = 0
+let state = { status: 'unknown', endpoint: null, message: '' }
+
+function setState(status, endpoint, message) {
+  const changed = status !== state.status || endpoint !== state.endpoint
+  state = { status, endpoint, message, checkedAt: Date.now() }
+  if (changed) {
+    console.log(`[HealthMonitor] ${status}${endpoint ? ` (${endpoint})` : ''}: ${message}`)
+    options?.onStatus({ ...state })
+  }
+}
+
+function scheduleNextCheck() {
+  clearTimeout(timer)
+  const delay = failedAttempts === 0
+    ? CHECK_INTERVAL
+    : Math.min(CHECK_INTERVAL * 2 ** (failedAttempts - 1), MAX_RETRY_INTERVAL)
+  timer = setTimeout(() => {
+    checkServiceHealth().catch(error => console.error('[HealthMonitor] Check failed:', error.message))
+  }, delay)
+}
+
+/**
+ * 重新查找服务端点：先查询 CLI（服务仍在运行、只是换了端口），再完整发现（必要时启动服务）
+ * Find the service again: ask the CLI first (still running on another port), then run full discovery (starting the service if needed)
+ */
+async function rediscoverEndpoint() {
+  const cliResult = await queryServiceFromCLI()
+  if (cliResult.endpoint && await verifyEndpoint(cliResult.endpoint)) {
+    return cliResult.endpoint
+  }
+
+  const discoverResult = await discoverFoundryService()
+  return discoverResult.isRunning ? discoverResult.endpoint : null
+}
+
+async function runCheck() {
+  // 检查期间监测可能被停止，使用开始时的选项
+  // Monitoring may stop mid-check, so the options from the start are used
+  const monitor = options
+  const endpoint = monitor.getEndpoint()
+
+  // 保存的令牌无法解密（加密存储未解锁）时报告原因，不去查找其他端点；解锁后的检查会恢复
+  // A saved token that cannot be decrypted (the secret store is locked) is reported as the reason, and no
+  // other endpoint is looked for; the check after unlocking recovers
+  const connectionError = endpoint ? getEndpointConnection(endpoint).error : null
+  if (connectionError) {
+    failedAttempts++
+    setState('disconnected', endpoint, connectionError)
+    return { ...state }
+  }
+
+  if (endpoint && await verifyEndpoint(endpoint)) {
+    failedAttempts = 0
+    setState('connected', endpoint, 'Foundry Local is responding')
+    return { ...state }
+  }
+
+  // 用户手动设置的端点不自动替换
+  // A custom endpoint set by the user is never replaced automatically
+  if (endpoint && monitor.isCustomEndpoint()) {
+    failedAttempts++
+    setState('disconnected', endpoint, 'The custom endpoint is not responding')
+    return { ...state }
+  }
+
+  setState('reconnecting', endpoint, endpoint ? 'Foundry Local stopped responding, looking for the service...' : 'Looking for Foundry Local...')
+  const newEndpoint = await rediscoverEndpoint()
+  if (!newEndpoint) {
+    failedAttempts++
+    setState('disconnected', null, 'Foundry Local is not available')
+    return { ...state }
+  }
+
+  await monitor.onReconnect(newEndpoint, endpoint)
+  failedAttempts = 0
+  setState('connected', newEndpoint, newEndpoint === endpoint ? 'Foundry Local is responding again' : 'Reconnected on a new endpoint')
+  return { ...state }
+}
+
+/**
+ * 立即检查服务（同一时间只运行一次检查）；返回检查后的状态
+ * Check the service right away (only one check runs at a time) and return the resulting state
+ *
+ * @returns {Promise<{status: 'connected'|'reconnecting'|'disconnected'|'unknown', endpoint: string|null, message: string}>}
+ */
+export function checkServiceHealth() {
+  if (!options) {
+    return Promise.resolve({ ...state })
+  }
+  if (!checking) {
+    checking = runCheck().finally(() => {
+      checking = null
+      if (options) {
+        scheduleNextCheck()
+      }
+    })
+  }
+  return checking
+}
+
+/**
+ * 获取最近一次检查的状态
+ * Get the state from the last check
+ */
+export function getServiceHealth() {
+  return { ...state }
+}
+
+/**
+ * 启动后台监测
+ * Start background monitoring
+ *
+ * @param {object} monitorOptions
+ * @param {() => string|null} monitorOptions.getEndpoint - Endpoint currently in use
+ * @param {() => boolean} monitorOptions.isCustomEndpoint - Whether that endpoint was set by the user
+ * @param {(endpoint: string, previousEndpoint: string|null) => Promise<void>} monitorOptions.onReconnect - Rebuild clients for the new endpoint
+ * @param {(state: object) => void} monitorOptions.onStatus - Called whenever the status or endpoint changes
+ */
+export function startHealthMonitor(monitorOptions) {
+  stopHealthMonitor()
+  options = monitorOptions
+  failedAttempts = 0
+  console.log(`[HealthMonitor] Started (every ${CHECK_INTERVAL / 1000}s)`)
+  scheduleNextCheck()
+}
+
+/**
+ * 停止后台监测
+ * Stop background monitoring
+ */
+export function stopHealthMonitor() {
+  clearTimeout(timer)
+  timer = null
+  options = null
+}
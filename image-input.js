@@ -0,0 +1,177 @@
+/**
+ * image-input.js
+ *
+ * 图片输入：用户消息可带图片（渲染进程已缩放并压缩为 data URI），发送时转换为 OpenAI 内容片段（text + image_url）
+ * 模型是否接受图片按名称推断（gpt-4o、vision、-vl 等），也可在设置中为每个模型单独标记；
+ * 标记保存在 ~/.foundry-chat/vision-models.json，键为模型选择器中的模型 ID
+ *
+ * Image input: user messages may carry images (already resized and compressed into data URIs by the
+ * renderer), which are sent as OpenAI content parts (text + image_url)
+ * Whether a model accepts images is guessed from its name (gpt-4o, vision, -vl, ...) and can be set per
+ * model in Settings; the marks are stored in ~/.foundry-chat/vision-models.json, keyed by the model selector id
+ */
+
+import path from 'path'
+import { getDataDir, readJsonFile, writeJsonFile } from './app-storage.js'
+
+// 内容片段接受的图片格式
+// Image formats accepted in content parts
+const IMAGE_DATA_URL = /^data:image\/(png|jpeg|webp|gif);base64,[A-Za-z0-9+/]+={0,2}$/
+
+// 单张图片 data URI 的长度上限（渲染进程压缩后通常只有几百 KB）
+// Length limit of one image data URI (after compression in the renderer it is usually a few hundred KB)
+const MAX_IMAGE_DATA_URL_LENGTH = 8 * 1024 * 1024
+
+// 名称表明接受图片的模型：OpenAI 多模态模型，以及名称带 vision、multimodal、-vl 等的本地模型
+// Model names that accept images: OpenAI multimodal models, and local models named vision, multimodal, -vl and so on
+const VISION_MODEL_PATTERNS = [
+  /gpt-4o/,
+  /gpt-4\.1/,
+  /gpt-4\.5/,
+  /gpt-5/,
+  /gpt-4-turbo/,
+  /gpt-4-vision/,
+  /^o(1|3|4-mini)(-\d{4}-\d{2}-\d{2})?$/,
+  /vision/,
+  /multimodal/,
+  /llava/,
+  /pixtral/,
+  /(^|[-_.])vl([-_.:]|$)/
+]
+
+function getSettingsPath() {
+  return path.join(getDataDir(), 'vision-models.json')
+}
+
+function readAllSettings() {
+  const stored = readJsonFile(getSettingsPath(), {})
+  return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {}
+}
+
+/**
+ * 按模型名称推断是否接受图片
+ * Guess from its name whether a model accepts images
+ *
+ * @param {string} modelName - Model id or cloud deployment name
+ * @returns {boolean}
+ */
+export function guessVisionSupport(modelName) {
+  const name = String(modelName || '').toLowerCase()
+  return VISION_MODEL_PATTERNS.some(pattern => pattern.test(name))
+}
+
+/**
+ * 模型是否接受图片：设置中的标记优先，否则按名称推断
+ * Whether a model accepts images: the mark from Settings wins, otherwise the name decides
+ *
+ * @param {string} modelId - Model selector id
+ * @param {string} [modelName] - Name the request uses (the deployment of a cloud profile); defaults to the id
+ * @returns {{vision: boolean, isDefault: boolean}}
+ */
+export function getVisionSupport(modelId, modelName) {
+  const stored = modelId ? readAllSettings()[modelId] : undefined
+  if (typeof stored === 'boolean') {
+    return { vision: stored, isDefault: false }
+  }
+  return { vision: guessVisionSupport(modelName || modelId), isDefault: true }
+}
+
+/**
+ * 标记模型是否接受图片（null 表示恢复按名称推断）
+ * Mark whether a model accepts images (null goes back to guessing from the name)
+ *
+ * @param {string} modelId - Model selector id
+ * @param {boolean|null} vision
+ * @param {string} [modelName] - Name the request uses, for the effective value
+ * @returns {{vision: boolean, isDefault: boolean}} The effective setting
+ */
+export function saveVisionSupport(modelId, vision, modelName) {
+  if (!modelId) {
+    throw new Error('Model id is required')
+  }
+
+  const all = readAllSettings()
+  if (typeof vision === 'boolean') {
+    all[modelId] = vision
+  } else {
+    delete all[modelId]
+  }
+  writeJsonFile(getSettingsPath(), all)
+
+  console.log(`[Images] Saved image input for ${modelId}:`, all[modelId] ?? 'default')
+  return getVisionSupport(modelId, modelName)
+}
+
+/**
+ * 是否为可发送的图片 data URI
+ * Whether a value is an image data URI that can be sent
+ *
+ * @param {unknown} value
+ * @returns {boolean}
+ */
+export function isImageDataUrl(value) {
+  return typeof value === 'string' && value.length <= MAX_IMAGE_DATA_URL_LENGTH && IMAGE_DATA_URL.test(value)
+}
+
+/**
+ * 校验消息的图片，只保留名称和 data URI
+ * Check the images of a message, keeping only their names and data URIs
+ *
+ * @param {{role: string, content: string, images?: Array}} message
+ * @returns {{role: string, content: string, images?: Array<{name: string, dataUrl: string}>}}
+ */
+export function normalizeMessageImages(message) {
+  const { images, ...rest } = message
+  if (!Array.isArray(images) || images.length === 0) {
+    return rest
+  }
+  if (rest.role !== 'user') {
+    throw new Error('Only user messages can carry images')
+  }
+  return {
+    ...rest,
+    images: images.map((image, index) => {
+      if (!isImageDataUrl(image?.dataUrl)) {
+        throw new Error(`Image ${index + 1} is not a PNG, JPEG, WebP or GIF data URI under 8 MB`)
+      }
+      return { name: typeof image.name === 'string' && image.name ? image.name : `Image ${index + 1}`, dataUrl: image.dataUrl }
+    })
+  }
+}
+
+/**
+ * 为不接受图片的模型去掉图片，改为一行说明
+ * Drop the images for a model that does not accept them, leaving a note in their place
+ *
+ * @param {{role: string, content: string, images?: Array}} message
+ * @returns {{role: string, content: string}}
+ */
+export function omitImages(message) {
+  const { images, ...rest } = message
+  if (!Array.isArray(images) || images.length === 0) {
+    return rest
+  }
+  const note = `[Image(s) not sent, the model does not accept images: ${images.map(image => image.name).join(', ')}]`
+  return { ...rest, content: [note, rest.content].filter(Boolean).join('\n\n') }
+}
+
+/**
+ * 把消息的图片转换为 OpenAI 内容片段，文字在前
+ * Turn the images of a message into OpenAI content parts, text first
+ *
+ * @param {{role: string, content: string, images?: Array<{name: string, dataUrl: string}>}} message
+ * @returns {{role: string, content: string|Array<object>}}
+ */
+export function toContentParts(message) {
+  const { images, ...rest } = message
+  if (!Array.isArray(images) || images.length === 0) {
+    return rest
+  }
+  return {
+    ...rest,
+    content: [
+      ...(rest.content ? [{ type: 'text', text: rest.content }] : []),
+      ...images.map(image => ({ type: 'image_url', image_url: { url: image.dataUrl } }))
+    ]
+  }
+}
@@ -0,0 +1,581 @@
+/**
+ * knowledge-base.js
+ *
+ * 本地文档知识库（RAG）：索引选定的本地文件夹（分块、通过 Foundry Local 或云端的 /v1/embeddings 生成向量），
+ * 向量索引保存在 ~/.foundry-chat/knowledge/index.json；文件变化时增量更新。发送消息前检索最相关的片段，
+ * 连同编号来源放在用户消息之前，文档内容不会离开本机（使用本地嵌入模型时）
+ *
+ * Local document knowledge base (RAG): chosen local folders are indexed (chunked and embedded through
+ * the /v1/embeddings route of Foundry Local or a cloud profile) into a vector index in
+ * ~/.foundry-chat/knowledge/index.json, which is updated incrementally when files change. Before a
+ * message is sent, the best matching chunks are placed ahead of the user's message with numbered
+ * sources; with a local embedding model the documents never leave the machine
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { getDataDir, readJsonFile, writeJsonFile } from './app-storage.js'
+import { estimateTokens } from './context-window.js'
+import { extractFileText, getAttachmentKind, MAX_ATTACHMENT_BYTES } from './file-attachments.js'
+
+const INDEX_VERSION = 1
+
+// 每个片段的 token 数，以及相邻片段重叠的行数
+// Tokens per chunk, and lines shared by neighbouring chunks
+const CHUNK_TOKENS = 300
+const CHUNK_OVERLAP_LINES = 2
+
+// 每次嵌入请求的片段数
+// Chunks per embeddings request
+const EMBEDDING_BATCH_SIZE = 16
+
+const MAX_INDEXED_FILES = 5000
+const DEFAULT_TOP_K = 4
+const MAX_TOP_K = 10
+
+// 相似度低于此值的片段不作为来源
+// Chunks less similar than this are not used as sources
+const MIN_SCORE = 0.2
+
+// 文件变化后等待的时间，合并连续的保存
+// Delay after a file change, so a burst of saves is indexed once
+const SYNC_DELAY = 2000
+
+// 索引过程中每处理这么多文件保存一次
+// The index is saved every this many files while indexing
+const SAVE_EVERY_FILES = 25
+
+// 状态中最多列出的出错文件数
+// Most files with errors listed in the status
+const MAX_FILE_ERRORS = 20
+
+const SKIPPED_DIRECTORIES = ['node_modules', 'dist', 'build', 'out', 'target', 'venv', '__pycache__']
+
+let index = null
+let handlers = null
+let watchers = []
+let syncTimer = null
+let syncPromise = null
+let syncRequested = false
+let embedderCache = null
+let status = {
+  state: 'disabled',
+  files: 0,
+  chunks: 0,
+  progress: null,
+  error: null,
+  fileErrors: [],
+  updatedAt: null
+}
+
+function getSettingsPath() {
+  return path.join(getDataDir(), 'knowledge-settings.json')
+}
+
+function getIndexPath() {
+  return path.join(getDataDir('knowledge'), 'index.json')
+}
+
+/**
+ * 获取知识库设置
+ * Get the knowledge base settings
+ *
+ * @returns {{enabled: boolean, folders: string[], embeddingSource: string, embeddingModel: string, topK: number}}
+ */
+export function getKnowledgeSettings() {
+  const stored = readJsonFile(getSettingsPath(), {}) || {}
+  return {
+    enabled: !!stored.enabled,
+    folders: Array.isArray(stored.folders) ? stored.folders.filter(f => typeof f === 'string') : [],
+    embeddingSource: typeof stored.embeddingSource === 'string' && stored.embeddingSource ? stored.embeddingSource : 'local',
+    embeddingModel: typeof stored.embeddingModel === 'string' ? stored.embeddingModel : '',
+    topK: Number.isInteger(stored.topK) ? stored.topK : DEFAULT_TOP_K
+  }
+}
+
+/**
+ * 保存知识库设置
+ * Save the knowledge base settings
+ *
+ * @param {{enabled?: boolean, folders?: string[], embeddingSource?: string, embeddingModel?: string, topK?: number}} changes
+ * @returns {object} The saved settings
+ */
+export function saveKnowledgeSettings(changes) {
+  const settings = getKnowledgeSettings()
+  if (changes.enabled !== undefined) {
+    settings.enabled = !!changes.enabled
+  }
+  if (changes.folders !== undefined) {
+    const folders = changes.folders.map(folder => path.resolve(String(folder)))
+    for (const folder of folders) {
+      if (!fs.existsSync(folder) || !fs.statSync(folder).isDirectory()) {
+        throw new Error(`Not a folder: ${folder}`)
+      }
+    }
+    settings.folders = [...new Set(folders)]
+  }
+  if (changes.embeddingSource !== undefined) {
+    settings.embeddingSource = String(changes.embeddingSource).trim() || 'local'
+  }
+  if (changes.embeddingModel !== undefined) {
+    settings.embeddingModel = String(changes.embeddingModel).trim()
+  }
+  if (changes.topK !== undefined) {
+    const topK = Number(changes.topK)
+    if (!Number.isInteger(topK) || topK < 1 || topK > MAX_TOP_K) {
+      throw new Error(`Sources per message must be between 1 and ${MAX_TOP_K}`)
+    }
+    settings.topK = topK
+  }
+  writeJsonFile(getSettingsPath(), settings)
+  return settings
+}
+
+/**
+ * 获取知识库状态（索引进度、文件数、错误）
+ * Get the knowledge base status (indexing progress, file count, errors)
+ *
+ * @returns {{settings: object, state: 'disabled'|'idle'|'indexing'|'ready'|'error', files: number, chunks: number, progress: {done: number, total: number}|null, error: string|null, fileErrors: Array<{path: string, error: string}>, updatedAt: number|null}}
+ */
+export function getKnowledgeStatus() {
+  return { settings: getKnowledgeSettings(), ...status, fileErrors: [...status.fileErrors] }
+}
+
+function setStatus(changes) {
+  status = { ...status, ...changes }
+  handlers?.onStatus?.(getKnowledgeStatus())
+}
+
+// 嵌入模型变化后旧向量不可比较，索引需要重建
+// Vectors of another embedding model cannot be compared, so the index is rebuilt
+function getIndexKey(settings) {
+  return `${settings.embeddingSource}|${settings.embeddingModel}`
+}
+
+function encodeVector(vector) {
+  return Buffer.from(vector.buffer, vector.byteOffset, vector.byteLength).toString('base64')
+}
+
+function decodeVector(text) {
+  // 复制到新的 ArrayBuffer：Buffer 可能来自共享内存池，偏移量不一定按 4 字节对齐
+  // Copied to a new ArrayBuffer: a Buffer may sit in the shared pool at an offset that is not 4-byte aligned
+  return new Float32Array(Uint8Array.from(Buffer.from(text, 'base64')).buffer)
+}
+
+// 向量归一化后，余弦相似度就是点积
+// With unit vectors the cosine similarity is the dot product
+function normalizeVector(values) {
+  const vector = Float32Array.from(values)
+  const length = Math.sqrt(dot(vector, vector)) || 1
+  return vector.map(value => value / length)
+}
+
+function dot(a, b) {
+  let sum = 0
+  for (let i = 0; i < a.length; i++) {
+    sum += a[i] * b[i]
+  }
+  return sum
+}
+
+function loadIndex(settings) {
+  if (!index) {
+    const stored = readJsonFile(getIndexPath(), null)
+    index = { version: INDEX_VERSION, key: null, files: {} }
+    if (stored?.version === INDEX_VERSION && stored.files) {
+      index.key = stored.key
+      for (const [filePath, file] of Object.entries(stored.files)) {
+        index.files[filePath] = {
+          ...file,
+          chunks: file.chunks.map(chunk => ({ ...chunk, vector: decodeVector(chunk.vector) }))
+        }
+      }
+    }
+  }
+  if (index.key !== getIndexKey(settings)) {
+    index = { version: INDEX_VERSION, key: getIndexKey(settings), files: {} }
+  }
+  return index
+}
+
+function saveIndex() {
+  const files = {}
+  for (const [filePath, file] of Object.entries(index.files)) {
+    files[filePath] = { ...file, chunks: file.chunks.map(chunk => ({ ...chunk, vector: encodeVector(chunk.vector) })) }
+  }
+  writeJsonFile(getIndexPath(), { version: INDEX_VERSION, key: index.key, files })
+}
+
+function countChunks() {
+  return Object.values(index?.files || {}).reduce((sum, file) => sum + file.chunks.length, 0)
+}
+
+/**
+ * 把文本切成约 CHUNK_TOKENS 的片段，记录行号（PDF 另记页码）
+ * Split text into chunks of about CHUNK_TOKENS, keeping line numbers (and the page for PDFs)
+ *
+ * @param {string} text
+ * @returns {Array<{startLine: number, endLine: number, page?: number, text: string}>}
+ */
+export function chunkText(text) {
+  // 超长的行（压缩代码、PDF 段落）先按字符切开，切出的部分共用行号
+  // Very long lines (minified code, PDF paragraphs) are split by characters and share their line number
+  const maxLineLength = CHUNK_TOKENS * 3
+  const lines = []
+  let page = null
+  text.split('\n').forEach((line, index) => {
+    const pageMarker = line.match(/^\[Page (\d+)\]$/)
+    if (pageMarker) {
+      page = Number(pageMarker[1])
+    }
+    for (let start = 0; start === 0 || start < line.length; start += maxLineLength) {
+      lines.push({ number: index + 1, page, pageStart: !!pageMarker && start === 0, text: line.slice(start, start + maxLineLength) })
+    }
+  })
+
+  const chunks = []
+  let start = 0
+  while (start < lines.length) {
+    let end = start
+    let tokens = 0
+    // 片段不跨页，来源的页码才准确
+    // Chunks never cross a page, so the page of a source is exact
+    while (end < lines.length && (end === start || (!lines[end].pageStart && tokens + estimateTokens(lines[end].text) <= CHUNK_TOKENS))) {
+      tokens += estimateTokens(lines[end].text) + 1
+      end++
+    }
+    const chunkLines = lines.slice(start, end)
+    const chunkText = chunkLines.map(line => line.text).join('\n').trim()
+    if (chunkText) {
+      chunks.push({
+        startLine: chunkLines[0].number,
+        endLine: chunkLines[chunkLines.length - 1].number,
+        ...(chunkLines[0].page ? { page: chunkLines[0].page } : {}),
+        text: chunkText
+      })
+    }
+    if (end >= lines.length) break
+    start = lines[end].pageStart ? end : Math.max(start + 1, end - CHUNK_OVERLAP_LINES)
+  }
+  return chunks
+}
+
+// 递归列出文件夹中可索引的文件，跳过隐藏目录和依赖、构建目录
+// List the indexable files of the folders, skipping hidden, dependency and build directories
+async function listIndexableFiles(folders) {
+  const files = new Map()
+  const visit = async (dir) => {
+    let entries
+    try {
+      entries = await fs.promises.readdir(dir, { withFileTypes: true })
+    } catch (error) {
+      console.warn(`[Knowledge] Cannot read ${dir}: ${error.message}`)
+      return
+    }
+    for (const entry of entries) {
+      if (files.size >= MAX_INDEXED_FILES) return
+      if (entry.name.startsWith('.')) continue
+      const fullPath = path.join(dir, entry.name)
+      if (entry.isDirectory()) {
+        if (!SKIPPED_DIRECTORIES.includes(entry.name.toLowerCase())) {
+          await visit(fullPath)
+        }
+      } else if (entry.isFile() && getAttachmentKind(entry.name)) {
+        const stats = await fs.promises.stat(fullPath).catch(() => null)
+        if (stats && stats.size > 0 && stats.size <= MAX_ATTACHMENT_BYTES) {
+          files.set(fullPath, { mtimeMs: stats.mtimeMs, size: stats.size })
+        }
+      }
+    }
+  }
+  for (const folder of folders) {
+    await visit(folder)
+  }
+  return files
+}
+
+async function getEmbedder(settings) {
+  const key = getIndexKey(settings)
+  if (embedderCache?.key !== key) {
+    if (!settings.embeddingModel) {
+      throw new Error('Choose an embedding model for the knowledge base in Settings')
+    }
+    embedderCache = { key, embed: await handlers.createEmbedder(settings) }
+  }
+  return embedderCache.embed
+}
+
+async function embedTexts(embed, texts, signal) {
+  const vectors = []
+  for (let i = 0; i < texts.length; i += EMBEDDING_BATCH_SIZE) {
+    const batch = await embed(texts.slice(i, i + EMBEDDING_BATCH_SIZE), signal)
+    vectors.push(...batch.map(normalizeVector))
+  }
+  return vectors
+}
+
+function findFolder(filePath, folders) {
+  return folders.find(folder => filePath === folder || filePath.startsWith(folder + path.sep)) || null
+}
+
+/**
+ * 同步索引：删除已不存在的文件，只为新增和修改过的文件生成向量
+ * Sync the index: files that are gone are removed, and only new or changed files are embedded
+ */
+async function syncIndex() {
+  const settings = getKnowledgeSettings()
+  if (!settings.enabled) {
+    setStatus({ state: 'disabled', progress: null, error: null })
+    return
+  }
+
+  const current = loadIndex(settings)
+  const files = await listIndexableFiles(settings.folders)
+  let changed = false
+  for (const filePath of Object.keys(current.files)) {
+    if (!files.has(filePath)) {
+      delete current.files[filePath]
+      changed = true
+    }
+  }
+
+  const pending = [...files].filter(([filePath, stats]) => {
+    const indexed = current.files[filePath]
+    return !indexed || indexed.mtimeMs !== stats.mtimeMs || indexed.size !== stats.size
+  })
+  if (pending.length === 0) {
+    if (changed) saveIndex()
+    setStatus({ state: 'ready', files: Object.keys(current.files).length, chunks: countChunks(), progress: null, error: null, updatedAt: Date.now() })
+    return
+  }
+
+  console.log(`[Knowledge] Indexing ${pending.length} new or changed file(s)`)
+  const fileErrors = []
+  setStatus({ state: 'indexing', progress: { done: 0, total: pending.length }, error: null })
+  try {
+    const embed = await getEmbedder(settings)
+    for (const [done, [filePath, stats]] of pending.entries()) {
+      // 读不了的文件只跳过该文件；嵌入服务出错时停止索引
+      // A file that cannot be read is skipped; a failing embeddings service stops indexing
+      let file
+      try {
+        file = await extractFileText(filePath)
+      } catch (error) {
+        console.warn(`[Knowledge] Skipped ${filePath}: ${error.message}`)
+        fileErrors.push({ path: filePath, error: error.message })
+        delete current.files[filePath]
+      }
+      if (file) {
+        const chunks = chunkText(file.text)
+        const vectors = await embedTexts(embed, chunks.map(chunk => chunk.text))
+        current.files[filePath] = {
+          folder: findFolder(filePath, settings.folders),
+          kind: file.kind,
+          mtimeMs: stats.mtimeMs,
+          size: stats.size,
+          chunks: chunks.map((chunk, i) => ({ ...chunk, vector: vectors[i] }))
+        }
+      }
+      if ((done + 1) % SAVE_EVERY_FILES === 0) {
+        saveIndex()
+      }
+      setStatus({ progress: { done: done + 1, total: pending.length }, files: Object.keys(current.files).length, chunks: countChunks() })
+    }
+    saveIndex()
+    console.log(`[Knowledge] [OK] ${Object.keys(current.files).length} file(s), ${countChunks()} chunk(s) indexed`)
+    setStatus({ state: 'ready', progress: null, fileErrors: fileErrors.slice(0, MAX_FILE_ERRORS), updatedAt: Date.now() })
+  } catch (error) {
+    saveIndex()
+    embedderCache = null
+    console.error('[Knowledge] Indexing failed:', error.message)
+    setStatus({
+      state: 'error',
+      progress: null,
+      error: error.message,
+      fileErrors: fileErrors.slice(0, MAX_FILE_ERRORS),
+      files: Object.keys(current.files).length,
+      chunks: countChunks()
+    })
+  }
+}
+
+/**
+ * 同步索引；正在同步时记下请求，当前同步结束后再同步一次
+ * Sync the index; a request made while syncing runs again once the current sync is done
+ *
+ * @returns {Promise<object>} The knowledge base status after every requested sync
+ */
+export function syncKnowledgeBase() {
+  if (syncPromise) {
+    syncRequested = true
+    return syncPromise
+  }
+  syncPromise = (async () => {
+    try {
+      do {
+        syncRequested = false
+        await syncIndex()
+      } while (syncRequested)
+    } finally {
+      syncPromise = null
+    }
+    return getKnowledgeStatus()
+  })()
+  return syncPromise
+}
+
+function scheduleSync(delay = SYNC_DELAY) {
+  clearTimeout(syncTimer)
+  syncTimer = setTimeout(() => {
+    syncKnowledgeBase().catch(error => console.error('[Knowledge] Sync failed:', error.message))
+  }, delay)
+}
+
+/**
+ * 停止监视文件夹
+ * Stop watching the folders
+ */
+export function stopKnowledgeBase() {
+  clearTimeout(syncTimer)
+  watchers.forEach(watcher => watcher.close())
+  watchers = []
+}
+
+/**
+ * 按当前设置监视文件夹并同步索引
+ * Watch the folders and sync the index according to the saved settings
+ *
+ * @param {object} options
+ * @param {(settings: object) => Promise<(texts: string[], signal?: AbortSignal) => Promise<number[][]>>} options.createEmbedder - Embedding function for the configured source and model
+ * @param {(status: object) => void} [options.onStatus] - Called when the status changes
+ * @returns {object} The knowledge base status
+ */
+export function applyKnowledgeSettings(options) {
+  handlers = options
+  embedderCache = null
+  stopKnowledgeBase()
+
+  const settings = getKnowledgeSettings()
+  if (!settings.enabled) {
+    setStatus({ state: 'disabled', progress: null, error: null })
+    return getKnowledgeStatus()
+  }
+
+  for (const folder of settings.folders) {
+    try {
+      const watcher = fs.watch(folder, { recursive: true }, (eventType, fileName) => {
+        const parts = String(fileName || '').split(/[\\/]/)
+        if (parts.some(part => part.startsWith('.') || SKIPPED_DIRECTORIES.includes(part.toLowerCase()))) return
+        scheduleSync()
+      })
+      watcher.on('error', error => console.warn(`[Knowledge] Stopped watching ${folder}: ${error.message}`))
+      watchers.push(watcher)
+    } catch (error) {
+      console.warn(`[Knowledge] Cannot watch ${folder}: ${error.message}`)
+    }
+  }
+  setStatus({ state: 'idle' })
+  scheduleSync(0)
+  return getKnowledgeStatus()
+}
+
+/**
+ * 清空索引并重新索引所有文件
+ * Clear the index and index every file again
+ *
+ * @returns {Promise<object>} The knowledge base status
+ */
+export async function rebuildKnowledgeIndex() {
+  index = { version: INDEX_VERSION, key: getIndexKey(getKnowledgeSettings()), files: {} }
+  saveIndex()
+  return syncKnowledgeBase()
+}
+
+/**
+ * 检索与查询最相关的片段
+ * Find the chunks that best match a query
+ *
+ * @param {string} query
+ * @param {{topK?: number, signal?: AbortSignal}} [options]
+ * @returns {Promise<Array<{path: string, folder: string|null, kind: string, startLine: number, endLine: number, page?: number, text: string, score: number}>>}
+ */
+export async function searchKnowledgeBase(query, options = {}) {
+  const settings = getKnowledgeSettings()
+  if (!settings.enabled || countChunks() === 0 || !query.trim()) {
+    return []
+  }
+
+  const embed = await getEmbedder(settings)
+  const [queryVector] = await embedTexts(embed, [query], options.signal)
+  const results = []
+  for (const [filePath, file] of Object.entries(index.files)) {
+    for (const chunk of file.chunks) {
+      const score = dot(queryVector, chunk.vector)
+      if (score >= MIN_SCORE) {
+        const { vector, ...rest } = chunk
+        results.push({ ...rest, path: filePath, folder: file.folder, kind: file.kind, score })
+      }
+    }
+  }
+  return results.sort((a, b) => b.score - a.score).slice(0, options.topK || settings.topK)
+}
+
+function describeLocation(source) {
+  if (source.kind === 'pdf' && source.page) return `page ${source.page}`
+  if (source.kind === 'docx') return ''
+  return source.startLine === source.endLine ? `line ${source.startLine}` : `lines ${source.startLine}-${source.endLine}`
+}
+
+/**
+ * 为最后一条用户消息检索片段，作为带编号的来源放在消息之前
+ * Retrieve chunks for the last user message and put them ahead of it as numbered sources
+ *
+ * @param {Array<{role: string, content: string}>} messages - Messages with attachments already expanded
+ * @param {{query?: string, signal?: AbortSignal}} [options] - query defaults to the last message (pass the typed text when attachments were expanded into it)
+ * @returns {Promise<{messages: Array, sources: Array<{number: number, path: string, name: string, location: string, score: number}>}>}
+ */
+export async function retrieveKnowledge(messages, options = {}) {
+  const last = messages[messages.length - 1]
+  if (!last || last.role !== 'user') {
+    return { messages, sources: [] }
+  }
+
+  const results = await searchKnowledgeBase(options.query ?? last.content, options)
+  if (results.length === 0) {
+    return { messages, sources: [] }
+  }
+
+  const sources = results.map((result, i) => ({
+    number: i + 1,
+    path: result.path,
+    name: result.folder ? path.relative(result.folder, result.path) : path.basename(result.path),
+    location: describeLocation(result),
+    score: Math.round(result.score * 1000) / 1000
+  }))
+  const blocks = results.map((result, i) => {
+    const location = sources[i].location ? ` (${sources[i].location})` : ''
+    return `[${i + 1}] ${sources[i].name}${location}\n${result.text}`
+  })
+  const context = [
+    'Excerpts from the user\'s local documents that may help with the question below. ' +
+      'When you use one, cite it by its number in square brackets, like [1].',
+    ...blocks
+  ].join('\n\n')
+
+  console.log(`[Knowledge] ${sources.length} source(s) for the message: ${sources.map(s => `${s.name} (${s.score})`).join(', ')}`)
+  return {
+    messages: [...messages.slice(0, -1), { ...last, content: `${context}\n\n---\n\n${last.content}` }],
+    sources
+  }
+}
+
+/**
+ * 文件是否在索引中（只允许打开索引中的来源）
+ * Whether a file is in the index (only indexed sources may be opened)
+ *
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function isIndexedFile(filePath) {
+  return !!index?.files[path.resolve(String(filePath))]
+}
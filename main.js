@@ -1,10 +1,10 @@
-import { app, BrowserWindow, Menu, ipcMain } from 'electron'
+import { app, BrowserWindow, Menu, ipcMain, shell, dialog } from 'electron'
 import { fileURLToPath } from 'url'
 import path from 'path'
-import OpenAI from 'openai'
-import { FoundryLocalManager } from 'foundry-local-sdk'
 import fs from 'fs'
-import os from 'os'
+import https from 'https'
+import crypto from 'crypto'
+import OpenAI from 'openai'
 import {
   startFoundryService,
   discoverFoundryService,
@@ -15,86 +15,181 @@ import {
   readCachedEndpoint,
   normalizeEndpoint
 } from './foundry-service.js'
+import {
+  listConversations,
+  loadConversation,
+  saveConversation,
+  renameConversation,
+  deleteConversation
+} from './conversation-store.js'
+import {
+  buildSearchIndex,
+  indexConversation,
+  removeConversationFromIndex,
+  searchConversations
+} from './conversation-search.js'
+import {
+  EXPORT_FORMATS,
+  exportConversation,
+  getExportFileName,
+  parseImportedConversation
+} from './conversation-export.js'
+import { listPersonas, savePersona, deletePersona } from './persona-store.js'
+import {
+  SLASH_COMMANDS,
+  getTemplatesDir,
+  listTemplates,
+  saveTemplate,
+  deleteTemplate
+} from './prompt-templates.js'
+import { getModelParams, saveModelParams, normalizeGenerationParams } from './model-params-store.js'
+import {
+  estimateTokens,
+  getContextSettings,
+  saveContextSettings,
+  fitMessagesToBudget,
+  fitToolMessages,
+  createSummarizer
+} from './context-window.js'
+import {
+  listModelCatalog,
+  getLoadedModelIds,
+  downloadModel,
+  loadModel,
+  unloadModel,
+  deleteCachedModel
+} from './model-manager.js'
+import {
+  listCloudProfiles,
+  getCloudProfile,
+  saveCloudProfile,
+  deleteCloudProfile,
+  createCloudClient,
+  listProfileModels,
+  migratePlaintextApiKeys
+} from './cloud-profiles.js'
+import { getSecretStoreStatus, unlockSecretStore } from './secret-store.js'
+import { getEndpointSettings, saveEndpointSettings, getEndpointConnection } from './endpoint-settings.js'
+import { isMockFoundryEnabled, stopMockFoundry } from './mock-foundry.js'
+import {
+  startHealthMonitor,
+  stopHealthMonitor,
+  checkServiceHealth
+} from './health-monitor.js'
+import { classifyChatError, getRetryDelay, isConnectionError, MAX_RETRIES } from './chat-errors.js'
+import { ATTACHMENT_EXTENSIONS, readAttachment, expandAttachments } from './file-attachments.js'
+import {
+  getVisionSupport,
+  saveVisionSupport,
+  normalizeMessageImages,
+  omitImages,
+  toContentParts
+} from './image-input.js'
+import {
+  MAX_TOOL_ROUNDS,
+  getToolSettings,
+  saveToolSettings,
+  getToolDefinitions,
+  mergeToolCallDeltas,
+  describeToolCall,
+  runToolCalls
+} from './chat-tools.js'
+import {
+  getGatewayStatus,
+  saveGatewaySettings,
+  applyGatewaySettings,
+  stopGateway
+} from './gateway-server.js'
+import {
+  getKnowledgeStatus,
+  saveKnowledgeSettings,
+  applyKnowledgeSettings,
+  stopKnowledgeBase,
+  rebuildKnowledgeIndex,
+  retrieveKnowledge,
+  isIndexedFile
+} from './knowledge-base.js'
 
-// Global variables
-let mainWindow
-let aiClient = null
-let foundryClient = null
-let currentModelType = 'local'
-let modelName = null
-let endpoint = null
-let apiKey = ""
-let useFoundrySDK = false
-
-// Cloud configuration
-let cloudApiKey = process.env.YOUR_API_KEY
-let cloudEndpoint = process.env.YOUR_ENDPOINT
-let cloudModelName = process.env.YOUR_MODEL_NAME
-
-// Load cloud config from file
-function loadCloudConfig() {
-  try {
-    const configPath = path.join(os.homedir(), '.foundry-chat', 'cloud-config.json')
-    if (fs.existsSync(configPath)) {
-      const config = JSON.parse(fs.readFileSync(configPath, 'utf8'))
-      if (config.apiKey && config.endpoint && config.modelName) {
-        cloudApiKey = config.apiKey
-        cloudEndpoint = config.endpoint
-        cloudModelName = config.modelName
-        console.log('[CloudConfig] Loaded cloud configuration from file')
-        return true
-      }
+// 每个窗口独立的聊天状态（键为 webContents.id），多个窗口可以同时使用不同模型生成
+// Per-window chat state, keyed by webContents.id, so several windows can generate with different models at once
+const windowSessions = new Map()
+
+/**
+ * 获取窗口的聊天状态，首次访问时创建
+ * Get the chat state of a window, creating it on first use
+ *
+ * @param {Electron.WebContents} webContents - Sender of the IPC call
+ * @returns {{aiClient: OpenAI|null, modelType: 'local'|'cloud', modelId: string|null, modelName: string|null, endpoint: string|null, activeRequests: Map<string, AbortController>}}
+ */
+function getWindowSession(webContents) {
+  if (!windowSessions.has(webContents.id)) {
+    const session = {
+      aiClient: null,
+      modelType: 'local',
+      modelId: null,  // 模型选择器中的 ID / Id from the model selector ('cloud:<profile id>' or a local model id)
+      modelName: null,
+      endpoint: null,
+      // 进行中的生成请求（按请求 ID 取消）
+      // In-flight generations, cancelled by request id
+      activeRequests: new Map()
     }
-  } catch (error) {
-    console.error('[CloudConfig] Error loading cloud config:', error.message)
+    windowSessions.set(webContents.id, session)
+
+    const webContentsId = webContents.id
+    webContents.once('destroyed', () => {
+      session.activeRequests.forEach(controller => controller.abort())
+      windowSessions.delete(webContentsId)
+    })
   }
-  return false
+  return windowSessions.get(webContents.id)
 }
 
-// Save cloud config to file
-function saveCloudConfigToFile(config) {
-  try {
-    const configDir = path.join(os.homedir(), '.foundry-chat')
-    if (!fs.existsSync(configDir)) {
-      fs.mkdirSync(configDir, { recursive: true })
+/**
+ * 向所有窗口发送事件（可排除发送方）
+ * Send an event to every window, optionally skipping the sender
+ */
+function broadcast(channel, data, exceptWebContents = null) {
+  for (const window of BrowserWindow.getAllWindows()) {
+    if (!window.isDestroyed() && window.webContents !== exceptWebContents) {
+      window.webContents.send(channel, data)
     }
-    const configPath = path.join(configDir, 'cloud-config.json')
-    fs.writeFileSync(configPath, JSON.stringify(config, null, 2))
-    console.log('[CloudConfig] Saved cloud configuration to file')
-    return true
-  } catch (error) {
-    console.error('[CloudConfig] Error saving cloud config:', error.message)
-    return false
   }
 }
 
-// Clear cloud config file
-function clearCloudConfigFile() {
+// 启动时检查云端 Profile
+// Check for cloud profiles on startup
+const cloudProfileCount = listCloudProfiles().length
+
+if (cloudProfileCount === 0) {
+  console.warn('No cloud profiles configured. Cloud mode will not be available.')
+  console.warn('Add a profile in Settings, or set YOUR_API_KEY, YOUR_ENDPOINT, and YOUR_MODEL_NAME')
+} else {
+  console.log(`[CloudProfiles] ${cloudProfileCount} cloud profile(s) available`)
+}
+
+/**
+ * 初始化密钥存储：需要口令时尝试 FOUNDRY_CHAT_PASSPHRASE，然后迁移明文密钥
+ * Set up the secret store: try FOUNDRY_CHAT_PASSPHRASE when a passphrase is needed, then migrate plaintext keys
+ */
+function initializeSecretStore() {
   try {
-    const configPath = path.join(os.homedir(), '.foundry-chat', 'cloud-config.json')
-    if (fs.existsSync(configPath)) {
-      fs.unlinkSync(configPath)
-      console.log('[CloudConfig] Cleared cloud configuration file')
+    const status = getSecretStoreStatus()
+    console.log(`[SecretStore] Backend: ${status.backend}`)
+
+    if (!status.unlocked && process.env.FOUNDRY_CHAT_PASSPHRASE) {
+      unlockSecretStore(process.env.FOUNDRY_CHAT_PASSPHRASE)
+    }
+    if (getSecretStoreStatus().unlocked) {
+      migratePlaintextApiKeys()
+    } else {
+      console.warn('[SecretStore] Locked - cloud profiles need the passphrase (Settings or FOUNDRY_CHAT_PASSPHRASE)')
     }
-    return true
   } catch (error) {
-    console.error('[CloudConfig] Error clearing cloud config:', error.message)
-    return false
+    console.error('[SecretStore] Initialization failed:', error.message)
   }
 }
 
-// Load cloud config on startup
-loadCloudConfig()
-
-const hasCloudConfig = cloudApiKey && cloudEndpoint && cloudModelName
-
-if (!hasCloudConfig) {
-  console.warn('Cloud AI configuration not set in environment variables. Cloud mode will not be available.')
-  console.warn('To enable cloud mode, set: YOUR_API_KEY, YOUR_ENDPOINT, and YOUR_MODEL_NAME')
-}
-
 // Foundry service state
-const foundryManager = new FoundryLocalManager()
 let foundryServiceEndpoint = null
 let customServiceEndpoint = null
 
@@ -141,13 +236,11 @@ async function initializeFoundryService() {
       console.error('[Initialization]   - Check Foundry Local service logs')
       
       // 发送初始化失败事件到前端
-      if (mainWindow && !mainWindow.isDestroyed()) {
-        mainWindow.webContents.send('foundry-init-status', {
-          status: 'failed',
-          message: 'Failed to discover Foundry Local service',
-          endpoint: null
-        })
-      }
+      broadcast('foundry-init-status', {
+        status: 'failed',
+        message: 'Failed to discover Foundry Local service',
+        endpoint: null
+      })
       
       return false
     }
@@ -174,15 +267,14 @@ async function initializeFoundryService() {
     
     // 步骤 5: 通知前端初始化完成
     console.log('[Initialization] Step 4: Notifying frontend...')
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('foundry-init-status', {
-        status: 'ready',
-        message: 'Foundry Local service ready',
-        endpoint: foundryServiceEndpoint,
-        models: models,
-        modelCount: models.length
-      })
-    }
+    broadcast('foundry-init-status', {
+      status: 'ready',
+      message: 'Foundry Local service ready',
+      endpoint: foundryServiceEndpoint,
+      mock: isMockFoundryEnabled(),
+      models: models,
+      modelCount: models.length
+    })
     
     console.log('[Initialization] ========== Initialization Complete ==========')
     return true
@@ -190,18 +282,56 @@ async function initializeFoundryService() {
     console.error('[Initialization] Error during initialization:', error.message)
     console.error('[Initialization] Stack:', error.stack)
     
-    if (mainWindow && !mainWindow.isDestroyed()) {
-      mainWindow.webContents.send('foundry-init-status', {
-        status: 'error',
-        message: `Initialization error: ${error.message}`,
-        endpoint: null
-      })
-    }
+    broadcast('foundry-init-status', {
+      status: 'error',
+      message: `Initialization error: ${error.message}`,
+      endpoint: null
+    })
     
     return false
   }
 }
 
+/**
+ * 服务端点变化后更新状态，并为使用本地模型的窗口重建客户端
+ * After the service endpoint changed, update the state and rebuild the clients of windows using local models
+ *
+ * @param {string} endpoint - Endpoint found by the health monitor
+ * @param {string|null} previousEndpoint - Endpoint that stopped responding
+ */
+async function reconnectLocalSessions(endpoint, previousEndpoint) {
+  foundryServiceEndpoint = endpoint
+  cacheEndpoint(endpoint)
+  if (endpoint !== previousEndpoint) {
+    console.log(`[HealthMonitor] Foundry Local moved: ${previousEndpoint || 'none'} -> ${endpoint}`)
+  }
+
+  for (const session of windowSessions.values()) {
+    if (session.modelType !== 'local' || !session.modelId) continue
+    try {
+      const connection = await connectModel(session.modelId)
+      session.aiClient = connection.aiClient
+      session.endpoint = connection.endpoint
+      console.log(`[HealthMonitor] [OK] Rebuilt client for ${session.modelId}`)
+    } catch (error) {
+      console.warn(`[HealthMonitor] Could not rebuild client for ${session.modelId}: ${error.message}`)
+    }
+  }
+}
+
+/**
+ * 启动服务健康监测，连接状态推送到所有窗口的状态栏
+ * Start health monitoring; the connection state is pushed to the status bar of every window
+ */
+function startServiceMonitor() {
+  startHealthMonitor({
+    getEndpoint: () => customServiceEndpoint || foundryServiceEndpoint,
+    isCustomEndpoint: () => !!customServiceEndpoint,
+    onReconnect: reconnectLocalSessions,
+    onStatus: (state) => broadcast('service-health', state)
+  })
+}
+
 // IPC Handlers
 
 /**
@@ -212,7 +342,10 @@ ipcMain.handle('get-foundry-config', async () => {
   return {
     autoDiscovered: foundryServiceEndpoint,
     custom: customServiceEndpoint,
-    currentEndpoint: customServiceEndpoint || foundryServiceEndpoint
+    currentEndpoint: customServiceEndpoint || foundryServiceEndpoint,
+    // 自定义端点的认证与 CA 设置（令牌只含掩码）
+    // Auth and CA settings of the custom endpoint (the token is masked)
+    connection: customServiceEndpoint ? getEndpointSettings(customServiceEndpoint) : null
   }
 })
 
@@ -220,7 +353,7 @@ ipcMain.handle('get-foundry-config', async () => {
  * 设置自定义 Foundry 端点
  * Set custom Foundry endpoint
  */
-ipcMain.handle('set-foundry-endpoint', async (_, endpoint) => {
+ipcMain.handle('set-foundry-endpoint', async (_, endpoint, connection) => {
   try {
     if (!endpoint) {
       customServiceEndpoint = null
@@ -228,10 +361,20 @@ ipcMain.handle('set-foundry-endpoint', async (_, endpoint) => {
     }
     
     const normalized = normalizeEndpoint(endpoint)
+    if (!normalized) {
+      return { success: false, error: `Invalid endpoint URL: ${endpoint}` }
+    }
+    
+    // 先保存认证与 CA 设置，验证时即可使用
+    // Save the auth and CA settings first so verification uses them
+    if (connection) {
+      saveEndpointSettings(normalized, connection)
+    }
+    
     const isValid = await verifyEndpoint(normalized)
     
     if (!isValid) {
-      return { success: false, error: 'Endpoint is not responding' }
+      return { success: false, error: 'Endpoint is not responding (check the URL, credentials and CA certificate)' }
     }
     
     customServiceEndpoint = normalized
@@ -265,6 +408,17 @@ ipcMain.handle('get-local-models', async () => {
       return { success: true, models: [], warning: 'No models available. Please check Foundry Local service.' }
     }
     
+    // 标记哪些模型已加载到内存（失败时保持原状态）
+    // Mark which models are loaded into memory (keep the plain status if this fails)
+    try {
+      const loadedIds = await getLoadedModelIds(endpoint)
+      models.forEach(model => {
+        model.status = loadedIds.has(model.id) ? 'loaded' : 'cached'
+      })
+    } catch (error) {
+      console.warn(`[FoundryService] Could not query loaded models: ${error.message}`)
+    }
+    
     console.log(`[FoundryService] [OK] Found ${models.length} model(s)`)
     return { success: true, models: models }
   } catch (error) {
@@ -273,23 +427,108 @@ ipcMain.handle('get-local-models', async () => {
   }
 })
 
+/**
+ * 获取完整模型目录（含已缓存 / 已加载 / 未下载状态）
+ * Get the full model catalog (with cached / loaded / not-downloaded state)
+ */
+ipcMain.handle('get-model-catalog', async (_, refresh) => {
+  try {
+    const models = await listModelCatalog(customServiceEndpoint || foundryServiceEndpoint, refresh)
+    return { success: true, models: models }
+  } catch (error) {
+    console.error('[ModelManager] Error getting catalog:', error.message)
+    return { success: false, error: error.message, models: [] }
+  }
+})
+
+/**
+ * 下载模型，进度通过 model-download-progress 事件推送
+ * Download a model; progress is pushed through model-download-progress events
+ */
+ipcMain.handle('download-model', async (event, modelId) => {
+  try {
+    await downloadModel(customServiceEndpoint || foundryServiceEndpoint, modelId, (progress) => {
+      if (!event.sender.isDestroyed()) {
+        event.sender.send('model-download-progress', { modelId, progress })
+      }
+    })
+    return { success: true, message: `Downloaded ${modelId}` }
+  } catch (error) {
+    console.error('[ModelManager] Download failed:', error.message)
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 加载模型
+ * Load a model
+ */
+ipcMain.handle('load-model', async (_, modelId) => {
+  try {
+    await loadModel(customServiceEndpoint || foundryServiceEndpoint, modelId)
+    return { success: true, message: `Loaded ${modelId}` }
+  } catch (error) {
+    console.error('[ModelManager] Load failed:', error.message)
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 卸载模型
+ * Unload a model
+ */
+ipcMain.handle('unload-model', async (_, modelId) => {
+  try {
+    await unloadModel(customServiceEndpoint || foundryServiceEndpoint, modelId)
+    return { success: true, message: `Unloaded ${modelId}` }
+  } catch (error) {
+    console.error('[ModelManager] Unload failed:', error.message)
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 从缓存删除模型（先卸载）
+ * Delete a model from the cache (unloading it first)
+ */
+ipcMain.handle('delete-cached-model', async (_, modelId) => {
+  try {
+    try {
+      await unloadModel(customServiceEndpoint || foundryServiceEndpoint, modelId)
+    } catch (error) {
+      console.warn(`[ModelManager] Unload before delete failed: ${error.message}`)
+    }
+    await deleteCachedModel(modelId)
+    return { success: true, message: `Deleted ${modelId} from cache` }
+  } catch (error) {
+    console.error('[ModelManager] Delete failed:', error.message)
+    return { success: false, error: error.message }
+  }
+})
+
 /**
  * 测试连接到 Foundry 服务
  * Test connection to Foundry service
  */
-ipcMain.handle('test-foundry-connection', async (_, endpoint) => {
+ipcMain.handle('test-foundry-connection', async (_, endpoint, connection) => {
   try {
-    const testEndpoint = endpoint || customServiceEndpoint || foundryServiceEndpoint
+    const testEndpoint = endpoint ? normalizeEndpoint(endpoint) : customServiceEndpoint || foundryServiceEndpoint
     if (!testEndpoint) {
-      return { success: false, error: 'No endpoint configured' }
+      return { success: false, error: endpoint ? `Invalid endpoint URL: ${endpoint}` : 'No endpoint configured' }
     }
     
-    const isValid = await verifyEndpoint(testEndpoint)
+    // 使用设置面板中尚未保存的认证与 CA 设置
+    // Use the auth and CA settings from the panel, even if not saved yet
+    const connectionOptions = getEndpointConnection(testEndpoint, connection || undefined)
+    if (connectionOptions.error) {
+      return { success: false, error: connectionOptions.error }
+    }
+    const isValid = await verifyEndpoint(testEndpoint, 3000, connectionOptions)
     if (!isValid) {
-      return { success: false, error: 'Connection failed' }
+      return { success: false, error: 'Connection failed (check the URL, credentials and CA certificate)' }
     }
     
-    const models = await getAvailableModels(testEndpoint)
+    const models = await getAvailableModels(testEndpoint, connectionOptions)
     return { 
       success: true, 
       message: `Connected! ${models.length} model(s) available`,
@@ -302,269 +541,1351 @@ ipcMain.handle('test-foundry-connection', async (_, endpoint) => {
 })
 
 /**
- * 获取云配置
- * Get cloud configuration
+ * 选择自签名 CA 证书文件（PEM）
+ * Choose a self-signed CA certificate file (PEM)
  */
-ipcMain.handle('get-cloud-config', async () => {
-  return {
-    apiKey: cloudApiKey || '',
-    endpoint: cloudEndpoint || '',
-    modelName: cloudModelName || ''
+ipcMain.handle('choose-ca-file', async (event) => {
+  try {
+    const result = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: 'Choose CA Certificate',
+      properties: ['openFile'],
+      filters: [
+        { name: 'Certificates', extensions: ['pem', 'crt', 'cer'] },
+        { name: 'All Files', extensions: ['*'] }
+      ]
+    })
+    if (result.canceled || result.filePaths.length === 0) {
+      return { success: false, canceled: true }
+    }
+    return { success: true, path: result.filePaths[0] }
+  } catch (error) {
+    return { success: false, error: error.message }
   }
 })
 
 /**
- * 保存云配置
- * Save cloud configuration
+ * 获取云端 Profile 列表
+ * List cloud profiles
  */
-ipcMain.handle('save-cloud-config', async (_, config) => {
+ipcMain.handle('list-cloud-profiles', async () => {
   try {
-    if (!config.apiKey || !config.endpoint || !config.modelName) {
-      return { success: false, error: 'All fields are required' }
-    }
+    return { success: true, profiles: listCloudProfiles() }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
 
-    const saved = saveCloudConfigToFile(config)
-    if (saved) {
-      // Update runtime variables
-      cloudApiKey = config.apiKey
-      cloudEndpoint = config.endpoint
-      cloudModelName = config.modelName
-      
-      return { success: true, message: 'Cloud configuration saved successfully' }
-    } else {
-      return { success: false, error: 'Failed to save configuration' }
-    }
+/**
+ * 保存云端 Profile
+ * Save a cloud profile
+ */
+ipcMain.handle('save-cloud-profile', async (_, profile) => {
+  try {
+    const saved = saveCloudProfile(profile)
+    return { success: true, profile: saved, message: `Profile "${saved.name}" saved` }
   } catch (error) {
     return { success: false, error: error.message }
   }
 })
 
 /**
- * 清除云配置
- * Clear cloud configuration
+ * 删除云端 Profile
+ * Delete a cloud profile
  */
-ipcMain.handle('clear-cloud-config', async () => {
+ipcMain.handle('delete-cloud-profile', async (_, profileId) => {
   try {
-    const cleared = clearCloudConfigFile()
-    if (cleared) {
-      // Clear runtime variables
-      cloudApiKey = null
-      cloudEndpoint = null
-      cloudModelName = null
-      
-      return { success: true, message: 'Cloud configuration cleared successfully' }
-    } else {
-      return { success: false, error: 'Failed to clear configuration' }
-    }
+    deleteCloudProfile(profileId)
+    return { success: true }
   } catch (error) {
     return { success: false, error: error.message }
   }
 })
 
 /**
- * 切换模型
- * Switch to a different model
+ * 获取密钥加密存储状态
+ * Get the secret store status
  */
-ipcMain.handle('switch-model', async (_, modelId) => {
+ipcMain.handle('get-secret-store-status', async () => {
   try {
-    if (modelId === 'cloud') {
-      // Check if cloud config is available (either from env or config file)
-      const hasConfig = cloudApiKey && cloudEndpoint && cloudModelName
-      if (!hasConfig) {
-        return { success: false, error: 'Cloud model not configured. Please set up Azure AI settings.' }
-      }
-      
-      console.log('[Model] Switching to cloud model')
-      currentModelType = 'cloud'
-      useFoundrySDK = false
-      endpoint = cloudEndpoint
-      apiKey = cloudApiKey
-      modelName = cloudModelName
-      
-      aiClient = new OpenAI({
-        apiKey: apiKey,
-        baseURL: endpoint
-      })
-      foundryClient = null
-      
-      return { success: true, modelName: modelName, endpoint: endpoint }
-    } else {
-      // 切换到本地 Foundry 模型
-      console.log(`[Model] Switching to local model: ${modelId}`)
-      
-      const serviceEndpoint = customServiceEndpoint || foundryServiceEndpoint
-      if (!serviceEndpoint) {
-        return { success: false, error: 'Foundry service not available' }
-      }
-      
-      currentModelType = 'local'
-      modelName = modelId
-      endpoint = serviceEndpoint
-      useFoundrySDK = false
-      
-      // 获取模型别名（用于显示）
-      // Get model alias for display
-      let modelAlias = modelId
-      try {
-        const models = await getAvailableModels(serviceEndpoint)
-        const modelInfo = models.find(m => m.id === modelId)
-        if (modelInfo && modelInfo.alias) {
-          modelAlias = modelInfo.alias
-        }
-      } catch (e) {
-        console.warn(`[Model] Could not fetch model alias: ${e.message}`)
-      }
-      
-      // OpenAI 客户端需要 /v1 路径前缀
-      // OpenAI client requires /v1 path prefix
-      const v1Endpoint = serviceEndpoint.endsWith('/v1') 
-        ? serviceEndpoint 
-        : `${serviceEndpoint}/v1`
-      
-      aiClient = new OpenAI({
-        apiKey: 'sk-foundry-local',
-        baseURL: v1Endpoint
-      })
-      foundryClient = null
-      
-      console.log(`[Model] [OK] Model initialized: ${modelId}`)
-      console.log(`[Model] Using endpoint: ${v1Endpoint}`)
-      return { 
-        success: true, 
-        modelName: modelId,  // 返回完整的 Model ID
-        modelAlias: modelAlias,  // 返回别名
-        displayName: `${modelAlias} (${modelId})`,  // 返回显示名称
-        endpoint: serviceEndpoint 
-      }
-    }
+    return { success: true, status: getSecretStoreStatus() }
   } catch (error) {
-    console.error('[Model] Error switching model:', error.message)
     return { success: false, error: error.message }
   }
 })
 
 /**
- * 发送消息
- * Send message to AI model
+ * 使用口令解锁密钥存储（没有系统钥匙串时），并加密遗留的明文密钥
+ * Unlock the secret store with a passphrase (when there is no OS keychain) and encrypt leftover plaintext keys
  */
-ipcMain.handle('send-message', (_, messages) => {
-  return sendMessage(messages)
+ipcMain.handle('unlock-secret-store', async (_, passphrase) => {
+  try {
+    unlockSecretStore(passphrase)
+    const migrated = migratePlaintextApiKeys()
+    // 端点令牌现在可以解密，立即重新检查服务
+    // Endpoint tokens can be decrypted now, so the service is checked again right away
+    checkServiceHealth().catch(error => console.error('[HealthMonitor] Check failed:', error.message))
+    return { success: true, status: getSecretStoreStatus(), migrated }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
 })
 
-async function sendMessage(messages) {
+/**
+ * 列出 Profile 可用的部署 / 模型
+ * List the deployments / models available to a profile
+ */
+ipcMain.handle('list-cloud-deployments', async (_, profile) => {
   try {
-    if (!aiClient) {
-      console.error('[SendMessage] ERROR: OpenAI client not initialized')
-      throw new Error('OpenAI client not initialized')
+    const models = await listProfileModels(profile)
+    return { success: true, models }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 为模型选择器中的 ID 创建客户端连接
+ * Create a client connection for a model selector id
+ *
+ * @param {string} modelId - 'cloud:<profile id>' (or the legacy 'cloud') or a local model id
+ * @returns {Promise<{aiClient: OpenAI, modelType: 'local'|'cloud', modelId: string, modelName: string, modelAlias?: string, displayName: string, endpoint: string}>}
+ */
+async function connectModel(modelId) {
+  if (modelId === 'cloud' || modelId.startsWith('cloud:')) {
+    // 旧版 "cloud" ID 对应第一个 Profile
+    // The legacy "cloud" id maps to the first profile
+    const profileId = modelId.startsWith('cloud:') ? modelId.slice('cloud:'.length) : null
+    const profile = getCloudProfile(profileId)
+    if (!profile) {
+      throw new Error('Cloud profile not found. Please add one in Settings.')
     }
 
-    console.log('=== Sending message ===')
-    console.log(`[SendMessage] Endpoint: ${endpoint}`)
-    console.log(`[SendMessage] Model: ${modelName}`)
-    console.log(`[SendMessage] Type: ${currentModelType}`)
-    console.log(`[SendMessage] Messages count: ${messages.length}`)
+    console.log(`[Model] Connecting to cloud profile: ${profile.name} (${profile.type})`)
+    return {
+      aiClient: createCloudClient(profile),
+      modelType: 'cloud',
+      modelId: `cloud:${profile.id}`,
+      modelName: profile.deployment,
+      displayName: `${profile.name} (${profile.deployment})`,
+      endpoint: profile.endpoint
+    }
+  }
 
-    const stream = await aiClient.chat.completions.create({
-      model: modelName,
-      messages: messages,
-      stream: true
-    })
+  // 本地 Foundry 模型
+  // Local Foundry model
+  console.log(`[Model] Connecting to local model: ${modelId}`)
 
-    console.log('[SendMessage] Stream created successfully')
-    
-    let chunkCount = 0
-    let totalContent = ''
-    for await (const chunk of stream) {
-      chunkCount++
-      const content = chunk.choices[0]?.delta?.content
-      if (content) {
-        totalContent += content
-        mainWindow.webContents.send('chat-chunk', content)
-        if (chunkCount === 1) {
-          console.log('[SendMessage] First chunk received')
-        }
-      }
+  const serviceEndpoint = customServiceEndpoint || foundryServiceEndpoint
+  if (!serviceEndpoint) {
+    throw new Error('Foundry service not available')
+  }
+
+  // 获取模型别名（用于显示）
+  // Get model alias for display
+  let modelAlias = modelId
+  try {
+    const models = await getAvailableModels(serviceEndpoint)
+    const modelInfo = models.find(m => m.id === modelId)
+    if (modelInfo && modelInfo.alias) {
+      modelAlias = modelInfo.alias
     }
-    
-    console.log(`[SendMessage] Stream complete: ${chunkCount} chunks, ${totalContent.length} characters`)
-    mainWindow.webContents.send('chat-complete')
-    return { success: true }
-  } catch (error) {
-    console.error('[SendMessage] ERROR:', error)
-    console.error('[SendMessage] Error stack:', error.stack)
-    console.error('[SendMessage] Current state:', { endpoint, modelName, currentModelType })
-    return { success: false, error: error.message }
+  } catch (e) {
+    console.warn(`[Model] Could not fetch model alias: ${e.message}`)
+  }
+
+  // OpenAI 客户端需要 /v1 路径前缀
+  // OpenAI client requires /v1 path prefix
+  const v1Endpoint = serviceEndpoint.endsWith('/v1')
+    ? serviceEndpoint
+    : `${serviceEndpoint}/v1`
+
+  // 自定义端点可能需要认证头和自签名 CA
+  // A custom endpoint may need auth headers and a self-signed CA
+  const connection = getEndpointConnection(serviceEndpoint)
+  if (connection.error) {
+    throw new Error(connection.error)
+  }
+
+  console.log(`[Model] Using endpoint: ${v1Endpoint}`)
+  return {
+    aiClient: new OpenAI({
+      apiKey: 'sk-foundry-local',
+      baseURL: v1Endpoint,
+      defaultHeaders: Object.keys(connection.headers).length > 0 ? connection.headers : undefined,
+      httpAgent: connection.ca ? new https.Agent({ ca: connection.ca }) : undefined
+    }),
+    modelType: 'local',
+    modelId: modelId,
+    modelName: modelId,
+    modelAlias: modelAlias,
+    displayName: `${modelAlias} (${modelId})`,
+    endpoint: serviceEndpoint
   }
 }
 
 /**
- * 创建窗口
- * Create main window
+ * 网关 /v1/models 列出的模型：Foundry Local 模型与云端 Profile（cloud:<id>）
+ * Models listed on the gateway's /v1/models: Foundry Local models and cloud profiles (cloud:<id>)
  */
-async function createWindow() {
-  const __filename = fileURLToPath(import.meta.url)
-  const __dirname = path.dirname(__filename)
-  const preloadPath = path.join(__dirname, 'preload.cjs')
-  
-  mainWindow = new BrowserWindow({
-    width: 1200,
-    height: 800,
-    minWidth: 900,
-    minHeight: 600,
-    icon: path.join(__dirname, 'icon.png'),
-    autoHideMenuBar: false,
-    webPreferences: {
-      allowRunningInsecureContent: true,
-      nodeIntegration: false,
-      contextIsolation: true,
-      preload: preloadPath,
-      enableRemoteModule: false,
-      sandbox: false
-    }
-  })
-
-  Menu.setApplicationMenu(null)
-  console.log('[App] Creating chat window')
-  mainWindow.loadFile('chat.html')
-  
-  return mainWindow
+async function listGatewayModels() {
+  const serviceEndpoint = customServiceEndpoint || foundryServiceEndpoint
+  const localModels = serviceEndpoint ? await getAvailableModels(serviceEndpoint) : []
+  return [
+    ...localModels.map(m => ({ id: m.id, ownedBy: 'foundry-local' })),
+    ...listCloudProfiles().map(p => ({ id: `cloud:${p.id}`, ownedBy: p.name }))
+  ]
 }
 
 /**
- * App 生命周期
- * App lifecycle
+ * 按模型名为网关请求找到目标：本地模型 ID，或云端 Profile 的 cloud:<id>、名称、部署名
+ * Resolve the target of a gateway request by model name: a local model id, or a cloud
+ * profile's cloud:<id>, name or deployment name
+ *
+ * @param {string} name - Model name sent by the client
+ * @returns {Promise<object|null>} Connection from connectModel, or null when no model matches
  */
-app.whenReady().then(async () => {
-  console.log('[App] ========== Application Starting ==========')
-  
-  // 创建窗口
-  const window = createWindow()
-  console.log('[App] [OK] Chat window created')
-  
-  // 注意：不要等待初始化，让初始化在后台进行
-  // 初始化完成时会通过 IPC 通知前端
-  // Don't wait for initialization, let it run in the background
-  // Frontend will be notified when ready via IPC
-  console.log('[App] Starting Foundry service initialization in background...')
-  
-  // 在后台启动初始化
-  initializeFoundryService()
-    .then((success) => {
-      if (success) {
-        console.log('[App] [OK] Foundry initialization succeeded')
-      } else {
-        console.log('[App] [WARN] Foundry initialization failed - manual configuration may be needed')
-      }
-    })
-    .catch((error) => {
-      console.error('[App] Unexpected error during initialization:', error)
-    })
+async function resolveGatewayModel(name) {
+  const profiles = listCloudProfiles()
+  if (name.startsWith('cloud:')) {
+    return profiles.some(p => `cloud:${p.id}` === name) ? connectModel(name) : null
+  }
 
-  app.on('activate', () => {
-    if (BrowserWindow.getAllWindows().length === 0) {
-      createWindow()
+  // 每次请求都使用当前发现的端点，Foundry 端口变化后网关仍然可用
+  // Each request uses the currently discovered endpoint, so the gateway survives Foundry port changes
+  const serviceEndpoint = customServiceEndpoint || foundryServiceEndpoint
+  if (serviceEndpoint) {
+    const localModels = await getAvailableModels(serviceEndpoint)
+    if (localModels.some(m => m.id === name)) {
+      return connectModel(name)
     }
-  })
+  }
+
+  const profile = profiles.find(p => p.name === name || p.deployment === name)
+  return profile ? connectModel(`cloud:${profile.id}`) : null
+}
+
+const gatewayHandlers = {
+  listModels: listGatewayModels,
+  resolveModel: resolveGatewayModel
+}
+
+/**
+ * 获取本地网关状态
+ * Get the local gateway status
+ */
+ipcMain.handle('get-gateway-status', async () => {
+  try {
+    return { success: true, status: getGatewayStatus() }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 保存网关设置并按新设置重启网关
+ * Save the gateway settings and restart the gateway with them
+ */
+ipcMain.handle('save-gateway-settings', async (_, settings) => {
+  try {
+    saveGatewaySettings(settings || {})
+    return { success: true, status: await applyGatewaySettings(gatewayHandlers) }
+  } catch (error) {
+    console.error('[Gateway] Error applying settings:', error.message)
+    return { success: false, error: error.message, status: getGatewayStatus() }
+  }
+})
+
+/**
+ * 知识库的嵌入函数：本地来源使用 Foundry Local 上的嵌入模型，云端来源使用 Profile 的连接
+ * Embedding function of the knowledge base: the local source uses an embedding model on Foundry
+ * Local, a cloud source uses the profile's connection
+ */
+async function createKnowledgeEmbedder(settings) {
+  const connection = await connectModel(settings.embeddingSource === 'local' ? settings.embeddingModel : settings.embeddingSource)
+  console.log(`[Knowledge] Embedding with ${settings.embeddingModel} (${connection.modelType})`)
+  return async (texts, signal) => {
+    const response = await connection.aiClient.embeddings.create({
+      model: settings.embeddingModel,
+      input: texts,
+      encoding_format: 'float'
+    }, { signal })
+    return response.data.sort((a, b) => a.index - b.index).map(item => item.embedding)
+  }
+}
+
+const knowledgeHandlers = {
+  createEmbedder: createKnowledgeEmbedder,
+  onStatus: (status) => broadcast('knowledge-status', status)
+}
+
+/**
+ * 获取知识库状态
+ * Get the knowledge base status
+ */
+ipcMain.handle('get-knowledge-status', async () => {
+  try {
+    return { success: true, status: getKnowledgeStatus() }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 保存知识库设置并按新设置重新监视、同步索引
+ * Save the knowledge base settings, then watch and sync the index with them
+ */
+ipcMain.handle('save-knowledge-settings', async (_, settings) => {
+  try {
+    saveKnowledgeSettings(settings || {})
+    return { success: true, status: applyKnowledgeSettings(knowledgeHandlers) }
+  } catch (error) {
+    console.error('[Knowledge] Error applying settings:', error.message)
+    return { success: false, error: error.message, status: getKnowledgeStatus() }
+  }
+})
+
+/**
+ * 选择要加入知识库的文件夹
+ * Pick a folder to add to the knowledge base
+ */
+ipcMain.handle('add-knowledge-folder', async (event) => {
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: 'Add Folder to Knowledge Base',
+      properties: ['openDirectory']
+    })
+    if (canceled || filePaths.length === 0) {
+      return { success: false, canceled: true }
+    }
+    const { folders } = getKnowledgeStatus().settings
+    saveKnowledgeSettings({ folders: [...folders, filePaths[0]] })
+    return { success: true, status: applyKnowledgeSettings(knowledgeHandlers) }
+  } catch (error) {
+    console.error('[Knowledge] Error adding folder:', error.message)
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 从知识库移除文件夹（其中的文件在下次同步时移出索引）
+ * Remove a folder from the knowledge base (its files leave the index on the next sync)
+ */
+ipcMain.handle('remove-knowledge-folder', async (_, folder) => {
+  try {
+    const { folders } = getKnowledgeStatus().settings
+    saveKnowledgeSettings({ folders: folders.filter(f => f !== folder) })
+    return { success: true, status: applyKnowledgeSettings(knowledgeHandlers) }
+  } catch (error) {
+    console.error('[Knowledge] Error removing folder:', error.message)
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 清空并重建知识库索引
+ * Clear and rebuild the knowledge base index
+ */
+ipcMain.handle('rebuild-knowledge-index', async () => {
+  try {
+    return { success: true, status: await rebuildKnowledgeIndex() }
+  } catch (error) {
+    console.error('[Knowledge] Error rebuilding the index:', error.message)
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 用系统默认程序打开回答中引用的来源文件；只允许打开索引中的文件
+ * Open a source cited in a reply with the system's default app; only indexed files may be opened
+ */
+ipcMain.handle('open-knowledge-source', async (_, filePath) => {
+  try {
+    if (!isIndexedFile(filePath)) {
+      throw new Error('This file is not in the knowledge base')
+    }
+    const error = await shell.openPath(filePath)
+    if (error) {
+      throw new Error(error)
+    }
+    return { success: true }
+  } catch (error) {
+    console.error('[Knowledge] Error opening source:', error.message)
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 获取聊天工具设置
+ * Get the chat tool settings
+ */
+ipcMain.handle('get-tool-settings', async () => {
+  try {
+    return { success: true, settings: getToolSettings() }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 保存聊天工具设置（从下一条消息开始生效）
+ * Save the chat tool settings (used from the next message on)
+ */
+ipcMain.handle('save-tool-settings', async (_, settings) => {
+  try {
+    return { success: true, settings: saveToolSettings(settings || {}) }
+  } catch (error) {
+    console.error('[Tools] Error saving settings:', error.message)
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 选择与文件工具共享的文件夹
+ * Pick a folder to share with the file tools
+ */
+ipcMain.handle('add-tool-directory', async (event) => {
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: 'Share Folder with Tools',
+      properties: ['openDirectory']
+    })
+    if (canceled || filePaths.length === 0) {
+      return { success: false, canceled: true }
+    }
+    const { allowedDirectories } = getToolSettings()
+    return { success: true, settings: saveToolSettings({ allowedDirectories: [...allowedDirectories, filePaths[0]] }) }
+  } catch (error) {
+    console.error('[Tools] Error adding folder:', error.message)
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 停止与文件工具共享文件夹
+ * Stop sharing a folder with the file tools
+ */
+ipcMain.handle('remove-tool-directory', async (_, dir) => {
+  try {
+    const { allowedDirectories } = getToolSettings()
+    return { success: true, settings: saveToolSettings({ allowedDirectories: allowedDirectories.filter(d => d !== dir) }) }
+  } catch (error) {
+    console.error('[Tools] Error removing folder:', error.message)
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 切换模型
+ * Switch to a different model
+ */
+ipcMain.handle('switch-model', async (event, modelId) => {
+  const session = getWindowSession(event.sender)
+  try {
+    const connection = await connectModel(modelId)
+    session.aiClient = connection.aiClient
+    session.modelType = connection.modelType
+    session.modelId = connection.modelId
+    session.modelName = connection.modelName
+    session.endpoint = connection.endpoint
+
+    console.log(`[Model] [OK] Model initialized: ${connection.displayName}`)
+    return {
+      success: true,
+      modelId: connection.modelId,
+      modelName: connection.modelName,  // 返回完整的 Model ID
+      modelAlias: connection.modelAlias,  // 返回别名
+      displayName: connection.displayName,  // 返回显示名称
+      endpoint: connection.endpoint
+    }
+  } catch (error) {
+    console.error('[Model] Error switching model:', error.message)
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 获取模型的生成参数
+ * Get generation parameters for a model
+ */
+ipcMain.handle('get-model-params', async (_, modelId) => {
+  try {
+    return { success: true, modelId: modelId, parameters: getModelParams(modelId) }
+  } catch (error) {
+    return { success: false, error: error.message, parameters: {} }
+  }
+})
+
+/**
+ * 保存模型的生成参数
+ * Save generation parameters for a model
+ */
+ipcMain.handle('save-model-params', async (_, modelId, parameters) => {
+  try {
+    return { success: true, modelId: modelId, parameters: saveModelParams(modelId, parameters) }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 获取角色列表
+ * List personas
+ */
+ipcMain.handle('list-personas', async () => {
+  try {
+    return { success: true, personas: listPersonas() }
+  } catch (error) {
+    console.error('[Personas] Error listing personas:', error.message)
+    return { success: false, error: error.message, personas: [] }
+  }
+})
+
+/**
+ * 保存角色
+ * Save a persona
+ */
+ipcMain.handle('save-persona', async (_, persona) => {
+  try {
+    return { success: true, persona: savePersona(persona) }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 删除角色
+ * Delete a persona
+ */
+ipcMain.handle('delete-persona', async (_, id) => {
+  try {
+    deletePersona(id)
+    return { success: true }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 获取提示词模板和内置斜杠命令
+ * List prompt templates and the built-in slash commands
+ */
+ipcMain.handle('list-prompt-templates', async () => {
+  try {
+    return { success: true, templates: listTemplates(), commands: SLASH_COMMANDS }
+  } catch (error) {
+    console.error('[Templates] Error listing templates:', error.message)
+    return { success: false, error: error.message, templates: [], commands: SLASH_COMMANDS }
+  }
+})
+
+/**
+ * 保存提示词模板
+ * Save a prompt template
+ */
+ipcMain.handle('save-prompt-template', async (_, template) => {
+  try {
+    return { success: true, template: saveTemplate(template) }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 删除提示词模板
+ * Delete a prompt template
+ */
+ipcMain.handle('delete-prompt-template', async (_, name) => {
+  try {
+    deleteTemplate(name)
+    return { success: true }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 在文件管理器中打开模板目录，方便复制或共享模板文件
+ * Open the templates folder in the file manager, to copy or share the template files
+ */
+ipcMain.handle('open-templates-folder', async () => {
+  try {
+    const error = await shell.openPath(getTemplatesDir())
+    if (error) {
+      throw new Error(error)
+    }
+    return { success: true }
+  } catch (error) {
+    console.error('[Templates] Error opening the templates folder:', error.message)
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 发送消息
+ * Send message to AI model
+ */
+ipcMain.handle('send-message', (event, messages, options) => {
+  return sendMessage(event.sender, messages, options)
+})
+
+/**
+ * 估算文本的 token 数
+ * Estimate the token count of texts
+ */
+ipcMain.handle('count-tokens', async (_, texts) => {
+  return { success: true, counts: (texts || []).map(estimateTokens) }
+})
+
+/**
+ * 获取模型的上下文预算设置
+ * Get the context budget settings of a model
+ */
+ipcMain.handle('get-context-settings', async (event, modelId) => {
+  try {
+    return { success: true, modelId, settings: getContextSettings(modelId || getWindowSession(event.sender).modelId) }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 保存模型的上下文预算设置（null 表示恢复默认）
+ * Save the context budget settings of a model (null resets to the default)
+ */
+ipcMain.handle('save-context-settings', async (_, modelId, settings) => {
+  try {
+    return { success: true, modelId, settings: saveContextSettings(modelId, settings) }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+// 云端 Profile 按部署名判断是否接受图片，本地模型按模型 ID 判断
+// Cloud profiles are judged by their deployment name, local models by their id
+function getVisionModelName(modelId) {
+  if (modelId === 'cloud' || modelId.startsWith('cloud:')) {
+    const profileId = modelId.startsWith('cloud:') ? modelId.slice('cloud:'.length) : null
+    return getCloudProfile(profileId)?.deployment || modelId
+  }
+  return modelId
+}
+
+/**
+ * 获取模型是否接受图片
+ * Get whether a model accepts images
+ */
+ipcMain.handle('get-vision-support', async (event, modelId) => {
+  try {
+    const id = modelId || getWindowSession(event.sender).modelId
+    if (!id) {
+      return { success: true, modelId: null, settings: { vision: false, isDefault: true } }
+    }
+    return { success: true, modelId: id, settings: getVisionSupport(id, getVisionModelName(id)) }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 标记模型是否接受图片（null 表示按名称推断）
+ * Mark whether a model accepts images (null goes back to guessing from the name)
+ */
+ipcMain.handle('save-vision-support', async (_, modelId, vision) => {
+  try {
+    return { success: true, modelId, settings: saveVisionSupport(modelId, vision, getVisionModelName(modelId)) }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 取消正在进行的生成（未指定请求 ID 时取消该窗口的所有生成）
+ * Cancel an in-flight generation (all of the window's generations when no request id is given)
+ */
+ipcMain.handle('cancel-message', async (event, requestId) => {
+  const { activeRequests } = getWindowSession(event.sender)
+  const controllers = requestId ? [activeRequests.get(requestId)].filter(Boolean) : [...activeRequests.values()]
+  if (controllers.length === 0) {
+    return { success: false, error: 'No generation in progress' }
+  }
+  console.log(`[SendMessage] Cancel requested${requestId ? `: ${requestId}` : ''}`)
+  controllers.forEach(controller => controller.abort())
+  return { success: true }
+})
+
+/**
+ * 获取会话列表
+ * List saved conversations
+ */
+ipcMain.handle('list-conversations', async () => {
+  try {
+    return { success: true, conversations: listConversations() }
+  } catch (error) {
+    console.error('[Conversations] Error listing conversations:', error.message)
+    return { success: false, error: error.message, conversations: [] }
+  }
+})
+
+/**
+ * 读取会话
+ * Load a saved conversation
+ */
+ipcMain.handle('get-conversation', async (_, id) => {
+  try {
+    const conversation = loadConversation(id)
+    if (!conversation) {
+      return { success: false, error: 'Conversation not found' }
+    }
+    return { success: true, conversation: conversation }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 保存会话（记录当前使用的模型和端点）
+ * Save a conversation, recording the model and endpoint currently in use
+ */
+ipcMain.handle('save-conversation', async (event, conversation) => {
+  try {
+    const session = getWindowSession(event.sender)
+    const saved = saveConversation({
+      ...conversation,
+      model: {
+        id: conversation.model?.id || session.modelName,
+        type: session.modelType,
+        name: session.modelName,
+        endpoint: session.endpoint,
+        ...conversation.model
+      }
+    })
+    // 每次回复完成后渲染进程都会保存会话，搜索索引随之更新
+    // The renderer saves the conversation after every reply, which keeps the search index current
+    indexConversation(saved)
+    broadcast('conversations-changed', null, event.sender)
+    return { success: true, conversation: saved }
+  } catch (error) {
+    console.error('[Conversations] Error saving conversation:', error.message)
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 重命名会话
+ * Rename a conversation
+ */
+ipcMain.handle('rename-conversation', async (event, id, title) => {
+  try {
+    const conversation = renameConversation(id, title)
+    indexConversation(conversation)
+    broadcast('conversations-changed', null, event.sender)
+    return { success: true, conversation: conversation }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 删除会话
+ * Delete a conversation
+ */
+ipcMain.handle('delete-conversation', async (event, id) => {
+  try {
+    deleteConversation(id)
+    removeConversationFromIndex(id)
+    broadcast('conversations-changed', null, event.sender)
+    return { success: true }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 全文搜索所有会话的消息
+ * Full-text search across the messages of every conversation
+ */
+ipcMain.handle('search-conversations', async (_, query, filters) => {
+  try {
+    return { success: true, ...(await searchConversations(String(query || ''), filters || {})) }
+  } catch (error) {
+    console.error('[Search] Error searching conversations:', error.message)
+    return { success: false, error: error.message, results: [], total: 0, models: [] }
+  }
+})
+
+/**
+ * 导出会话到文件（Markdown / JSON / HTML）
+ * Export a conversation to a file (Markdown / JSON / HTML)
+ */
+ipcMain.handle('export-conversation', async (event, id, format) => {
+  try {
+    const exportFormat = EXPORT_FORMATS[format]
+    if (!exportFormat) {
+      return { success: false, error: `Unsupported export format: ${format}` }
+    }
+
+    const conversation = loadConversation(id)
+    if (!conversation) {
+      return { success: false, error: 'Conversation not found' }
+    }
+
+    const { canceled, filePath } = await dialog.showSaveDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: 'Export Conversation',
+      defaultPath: path.join(app.getPath('documents'), getExportFileName(conversation, format)),
+      filters: [{ name: exportFormat.name, extensions: [exportFormat.extension] }]
+    })
+    if (canceled || !filePath) {
+      return { success: false, canceled: true }
+    }
+
+    fs.writeFileSync(filePath, exportConversation(conversation, format), 'utf8')
+    console.log(`[Conversations] Exported ${id} as ${format}: ${filePath}`)
+    return { success: true, filePath }
+  } catch (error) {
+    console.error('[Conversations] Error exporting conversation:', error.message)
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 从 JSON 文件导入会话（本应用导出的 JSON 或 OpenAI 格式的 messages）
+ * Import a conversation from a JSON file (this app's export or OpenAI-style messages)
+ */
+ipcMain.handle('import-conversation', async (event) => {
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: 'Import Conversation',
+      properties: ['openFile'],
+      filters: [{ name: 'JSON', extensions: ['json'] }]
+    })
+    if (canceled || filePaths.length === 0) {
+      return { success: false, canceled: true }
+    }
+
+    const imported = parseImportedConversation(fs.readFileSync(filePaths[0], 'utf8'))
+    // 导入的会话总是新建，不覆盖现有会话
+    // An import always creates a new conversation and never overwrites an existing one
+    const saved = saveConversation({ ...imported, id: undefined })
+    indexConversation(saved)
+    broadcast('conversations-changed', null, event.sender)
+    console.log(`[Conversations] Imported ${saved.messages.length} message(s) from ${filePaths[0]}`)
+    return { success: true, conversation: saved }
+  } catch (error) {
+    console.error('[Conversations] Error importing conversation:', error.message)
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 读取附件文本，按模型的上下文预算截断；读不了的文件单独报告，不影响其他文件
+ * Read the text of attachments, truncated to the model's context budget; files that cannot be read
+ * are reported one by one without failing the others
+ */
+async function readAttachments(sender, filePaths, modelId) {
+  const { budget } = getContextSettings(modelId || getWindowSession(sender).modelId)
+  const attachments = []
+  const errors = []
+  for (const filePath of filePaths) {
+    try {
+      attachments.push(await readAttachment(filePath, { budget }))
+    } catch (error) {
+      console.error('[Attachments] Error reading attachment:', error.message)
+      errors.push({ name: path.basename(filePath), error: error.message })
+    }
+  }
+  return { success: true, attachments, errors }
+}
+
+/**
+ * 选择要附加到消息的文件
+ * Pick files to attach to a message
+ */
+ipcMain.handle('pick-attachments', async (event, modelId) => {
+  try {
+    const { canceled, filePaths } = await dialog.showOpenDialog(BrowserWindow.fromWebContents(event.sender), {
+      title: 'Attach Files',
+      properties: ['openFile', 'multiSelections'],
+      filters: [
+        { name: 'Text, code and documents', extensions: ATTACHMENT_EXTENSIONS },
+        { name: 'All files', extensions: ['*'] }
+      ]
+    })
+    if (canceled || filePaths.length === 0) {
+      return { success: false, canceled: true }
+    }
+    return await readAttachments(event.sender, filePaths, modelId)
+  } catch (error) {
+    console.error('[Attachments] Error picking attachments:', error.message)
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 读取拖放到窗口的文件
+ * Read files dropped onto the window
+ */
+ipcMain.handle('read-attachments', async (event, filePaths, modelId) => {
+  try {
+    return await readAttachments(event.sender, filePaths || [], modelId)
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 请用户确认模型要求的工具调用
+ * Ask the user to approve a tool call the model asked for
+ *
+ * @returns {Promise<boolean>} Whether the call was allowed
+ */
+async function confirmToolCall(sender, name, args) {
+  const options = {
+    type: 'question',
+    buttons: ['Allow', 'Deny'],
+    defaultId: 0,
+    cancelId: 1,
+    noLink: true,
+    title: 'Tool Call',
+    message: `The model wants to use the ${name} tool`,
+    detail: `${describeToolCall(name, args)}\n\nArguments:\n${JSON.stringify(args, null, 2)}`
+  }
+  const window = sender.isDestroyed() ? null : BrowserWindow.fromWebContents(sender)
+  const { response } = window ? await dialog.showMessageBox(window, options) : await dialog.showMessageBox(options)
+  return response === 0
+}
+
+/**
+ * 等待重试的退避时间；请求被取消时提前结束
+ * Wait out the retry backoff, ending early when the request is cancelled
+ */
+function waitForRetry(ms, signal) {
+  return new Promise((resolve) => {
+    const done = () => {
+      clearTimeout(timer)
+      signal.removeEventListener('abort', done)
+      resolve()
+    }
+    const timer = setTimeout(done, ms)
+    signal.addEventListener('abort', done)
+  })
+}
+
+/**
+ * 流式生成回复；事件带有请求 ID，并只发送给发起请求的窗口
+ * 指定 modelId 时使用该模型而不是窗口当前的模型（对比模式）
+ *
+ * Stream a reply; events carry the request id and go only to the window that asked
+ * With a modelId, that model is used instead of the window's current one (compare mode)
+ *
+ * @param {Electron.WebContents} sender - Window that sent the request
+ * @param {Array} messages - Chat history; user messages may carry attachments (file-attachments.js) and images (image-input.js)
+ * @param {{requestId?: string, modelId?: string, parameters?: object}} options
+ */
+async function sendMessage(sender, messages, options = {}) {
+  const session = getWindowSession(sender)
+  // 知识库按用户输入的文字检索，不含附件内容
+  // The knowledge base is searched with the typed text, without the attachments
+  const query = messages[messages.length - 1]?.content || ''
+  // 附件作为带标签的上下文块放在用户消息之前
+  // Attachments become labelled context blocks ahead of the user's message
+  messages = messages.map(expandAttachments)
+  const requestId = options.requestId || crypto.randomUUID()
+  const controller = new AbortController()
+  session.activeRequests.set(requestId, controller)
+  let totalContent = ''
+  let target = session
+
+  // 首个 token 延迟与总耗时
+  // Time to first token and total time
+  const startedAt = Date.now()
+  let firstTokenAt = null
+  const getMetrics = () => ({
+    firstTokenMs: firstTokenAt ? firstTokenAt - startedAt : null,
+    totalMs: Date.now() - startedAt,
+    characters: totalContent.length
+  })
+
+  const send = (channel, data) => {
+    if (!sender.isDestroyed()) {
+      sender.send(channel, { requestId, ...data })
+    }
+  }
+
+  try {
+    if (options.modelId && options.modelId !== session.modelId) {
+      target = await connectModel(options.modelId)
+    }
+    if (!target.aiClient) {
+      console.error('[SendMessage] ERROR: OpenAI client not initialized')
+      throw new Error('OpenAI client not initialized')
+    }
+
+    console.log(`=== Sending message (${requestId}) ===`)
+    console.log(`[SendMessage] Endpoint: ${target.endpoint}`)
+    console.log(`[SendMessage] Model: ${target.modelName}`)
+    console.log(`[SendMessage] Type: ${target.modelType}`)
+    console.log(`[SendMessage] Messages count: ${messages.length}`)
+
+    // 模型参数为基础，角色参数覆盖其中已设置的项
+    // Per-model parameters are the base; persona parameters override the keys they set
+    const generationParams = {
+      ...getModelParams(target.modelId),
+      ...normalizeGenerationParams(options.parameters)
+    }
+    if (Object.keys(generationParams).length > 0) {
+      console.log('[SendMessage] Parameters:', generationParams)
+    }
+
+    // 图片留在消息上参与 token 估算，发送时才转换为内容片段；模型不接受图片时以一行说明代替
+    // Images stay on the messages for the token estimate and become content parts when sent;
+    // a model that does not accept images gets a note instead
+    messages = messages.map(normalizeMessageImages)
+    if (!getVisionSupport(target.modelId, target.modelName).vision) {
+      messages = messages.map(omitImages)
+    }
+
+    // 知识库的相关片段作为带编号的来源放在用户消息之前；检索失败时照常发送
+    // Matching knowledge base chunks go ahead of the user's message as numbered sources; a failed lookup does not stop the message
+    let sources = []
+    try {
+      const retrieved = await retrieveKnowledge(messages, { query, signal: controller.signal })
+      messages = retrieved.messages
+      sources = retrieved.sources
+    } catch (error) {
+      if (controller.signal.aborted) {
+        throw error
+      }
+      console.warn('[SendMessage] Knowledge base lookup failed:', error.message)
+    }
+
+    // 启用工具时随请求声明；模型要求的调用逐个经用户确认后执行，结果发回模型继续生成
+    // With tools enabled they are declared in the request; each call the model asks for runs once the
+    // user approves it, and the results go back to the model so it can carry on
+    const toolSettings = getToolSettings()
+    const tools = toolSettings.enabled ? getToolDefinitions(toolSettings) : null
+    const toolMessages = []
+    let toolRound = 0
+    let roundStart = 0
+
+    // 按模型的上下文预算裁剪历史（系统提示词始终保留）；每次回复只裁剪一次，工具轮次和重试都沿用结果
+    // 启用工具时留出部分预算给工具调用和结果
+    // Fit the history into the model's context budget (system prompts are always kept); this happens once per
+    // reply, and tool rounds and retries reuse the result. With tools enabled, part of the budget is left for
+    // tool calls and results
+    const fitted = await fitMessagesToBudget(messages, {
+      ...getContextSettings(target.modelId),
+      reserve: generationParams.max_tokens,
+      tools: Boolean(tools),
+      summarize: createSummarizer(target.aiClient, target.modelName, controller.signal)
+    })
+
+    const streamReply = async () => {
+      // 工具轮次的消息放在裁剪后的历史之后，调用和结果不会被拆开；结果按剩余预算截短
+      // Tool round messages follow the fitted history so a call is never cut from its result; results are cut to the remaining budget
+      const round = fitToolMessages(toolMessages, fitted.remainingTokens)
+      const context = {
+        promptTokens: fitted.promptTokens + round.tokens,
+        budget: fitted.budget,
+        strategy: fitted.strategy,
+        droppedCount: fitted.droppedCount,
+        summarizedCount: fitted.summarizedCount,
+        overBudget: fitted.overBudget || round.tokens > fitted.remainingTokens
+      }
+
+      // SDK 自身不重试，重试由下面的循环负责并通知渲染进程；最后一轮不再允许调用工具
+      // The SDK does not retry on its own; the loop below retries and tells the renderer. The last round allows no more calls
+      const stream = await target.aiClient.chat.completions.create({
+        ...generationParams,
+        model: target.modelName,
+        messages: [...fitted.messages.map(toContentParts), ...round.messages],
+        ...(tools ? { tools, ...(toolRound >= MAX_TOOL_ROUNDS ? { tool_choice: 'none' } : {}) } : {}),
+        stream: true
+      }, { signal: controller.signal, maxRetries: 0 })
+
+      console.log('[SendMessage] Stream created successfully')
+
+      let chunkCount = 0
+      const toolCalls = []
+      for await (const chunk of stream) {
+        chunkCount++
+        // Azure 内容过滤会在流中途结束回复
+        // The Azure content filter ends the reply mid-stream
+        if (chunk.choices[0]?.finish_reason === 'content_filter') {
+          throw Object.assign(new Error('The reply was stopped by the content filter'), { code: 'content_filter' })
+        }
+        const delta = chunk.choices[0]?.delta
+        if (delta?.tool_calls) {
+          mergeToolCallDeltas(toolCalls, delta.tool_calls)
+        }
+        const content = delta?.content
+        if (content) {
+          if (firstTokenAt === null) {
+            firstTokenAt = Date.now()
+            console.log(`[SendMessage] First chunk received after ${firstTokenAt - startedAt} ms`)
+          }
+          totalContent += content
+          send('chat-chunk', { content })
+        }
+      }
+      return { context, chunkCount, toolCalls: toolCalls.filter(call => call?.function.name) }
+    }
+
+    const streamWithRetries = async () => {
+      for (let retry = 0; ; retry++) {
+        try {
+          return await streamReply()
+        } catch (error) {
+          if (controller.signal.aborted) {
+            throw error
+          }
+          const classified = classifyChatError(error, {
+            modelType: target.modelType,
+            receivedContent: totalContent.length > roundStart
+          })
+          error.classified = classified
+          if (!classified.retryable || retry >= MAX_RETRIES) {
+            throw error
+          }
+
+          // 与本地服务的连接中断时先检查服务（必要时重连到新端点）
+          // A broken connection to the local service is checked first (reconnecting to a new endpoint if needed)
+          if (target.modelType === 'local' && isConnectionError(error)) {
+            console.warn(`[SendMessage] Connection to Foundry Local lost (${error.message}), checking the service before retrying...`)
+            const health = await checkServiceHealth()
+            if (health.status !== 'connected' || controller.signal.aborted) {
+              throw error
+            }
+            if (target !== session) {
+              target = await connectModel(target.modelId)
+            }
+          }
+
+          // 渲染进程丢弃本轮已显示的部分，等待退避时间（可被取消）后重试本轮
+          // The renderer drops what this round already showed; after the backoff (cancellable) the round starts over
+          const delayMs = getRetryDelay(classified, retry + 1)
+          console.warn(`[SendMessage] ${classified.category}: ${error.message} - retry ${retry + 1}/${MAX_RETRIES} in ${delayMs} ms`)
+          totalContent = totalContent.slice(0, roundStart)
+          if (roundStart === 0) {
+            firstTokenAt = null
+          }
+          send('chat-retry', {
+            reason: error.message,
+            category: classified.category,
+            attempt: retry + 1,
+            maxRetries: MAX_RETRIES,
+            delayMs,
+            keptCharacters: roundStart
+          })
+          await waitForRetry(delayMs, controller.signal)
+          if (controller.signal.aborted) {
+            throw error
+          }
+        }
+      }
+    }
+
+    // 逐个确认并执行工具调用（chat-tools.js）；调用和结果都作为本轮之后的消息发给模型
+    // Confirm and run the tool calls (chat-tools.js); the calls and their results follow the round as messages for the model
+    const runRoundToolCalls = async (toolCalls) => {
+      toolCalls.forEach(call => { call.id ||= `call_${crypto.randomUUID()}` })
+      toolMessages.push({ role: 'assistant', content: totalContent.slice(roundStart) || null, tool_calls: toolCalls })
+      toolMessages.push(...await runToolCalls(toolCalls, {
+        confirm: (name, args) => confirmToolCall(sender, name, args),
+        settings: toolSettings,
+        signal: controller.signal,
+        onStep: step => send('chat-tool-call', { step })
+      }))
+    }
+
+    let reply
+    for (;;) {
+      roundStart = totalContent.length
+      reply = await streamWithRetries()
+      if (reply.toolCalls.length === 0 || controller.signal.aborted) break
+      console.log(`[SendMessage] Tool round ${toolRound + 1}: ${reply.toolCalls.map(call => call.function.name).join(', ')}`)
+      await runRoundToolCalls(reply.toolCalls)
+      if (controller.signal.aborted) break
+      toolRound++
+      // 工具调用前后的文字分成两段
+      // Text written before and after the tool calls becomes two paragraphs
+      if (totalContent && !totalContent.endsWith('\n\n')) {
+        totalContent += '\n\n'
+        send('chat-chunk', { content: '\n\n' })
+      }
+    }
+    const { context, chunkCount } = reply
+    
+    // 中途取消时流会静默结束
+    // The stream ends silently when aborted mid-way
+    if (controller.signal.aborted) {
+      console.log(`[SendMessage] Stream cancelled: ${chunkCount} chunks, ${totalContent.length} characters kept`)
+      send('chat-complete', { interrupted: true, context, sources, metrics: getMetrics() })
+      return { success: true, requestId, interrupted: true }
+    }
+
+    console.log(`[SendMessage] Stream complete: ${chunkCount} chunks, ${totalContent.length} characters`)
+    send('chat-complete', { interrupted: false, context, sources, metrics: getMetrics() })
+    return { success: true, requestId }
+  } catch (error) {
+    if (controller.signal.aborted) {
+      console.log(`[SendMessage] Request cancelled: ${totalContent.length} characters kept`)
+      send('chat-complete', { interrupted: true, metrics: getMetrics() })
+      return { success: true, requestId, interrupted: true }
+    }
+
+    const classified = error.classified || classifyChatError(error, {
+      modelType: target.modelType,
+      receivedContent: totalContent.length > 0
+    })
+    console.error(`[SendMessage] ERROR (${classified.category}):`, error)
+    console.error('[SendMessage] Error stack:', error.stack)
+    console.error('[SendMessage] Current state:', {
+      endpoint: target.endpoint,
+      modelName: target.modelName,
+      modelType: target.modelType
+    })
+    return {
+      success: false,
+      requestId,
+      error: error.message,
+      category: classified.category,
+      hint: classified.hint,
+      status: classified.status
+    }
+  } finally {
+    session.activeRequests.delete(requestId)
+  }
+}
+
+/**
+ * 打开新的聊天窗口
+ * Open another chat window
+ */
+ipcMain.handle('open-new-window', async () => {
+  try {
+    await createWindow()
+    return { success: true }
+  } catch (error) {
+    return { success: false, error: error.message }
+  }
+})
+
+/**
+ * 创建聊天窗口（可以同时打开多个，每个窗口有自己的会话和模型）
+ * Create a chat window (several can be open, each with its own conversation and model)
+ */
+async function createWindow() {
+  const __filename = fileURLToPath(import.meta.url)
+  const __dirname = path.dirname(__filename)
+  const preloadPath = path.join(__dirname, 'preload.cjs')
+  
+  const window = new BrowserWindow({
+    width: 1200,
+    height: 800,
+    minWidth: 900,
+    minHeight: 600,
+    icon: path.join(__dirname, 'icon.png'),
+    autoHideMenuBar: false,
+    webPreferences: {
+      allowRunningInsecureContent: false,
+      nodeIntegration: false,
+      contextIsolation: true,
+      preload: preloadPath,
+      enableRemoteModule: false,
+      sandbox: false
+    }
+  })
+
+  // 渲染后的 Markdown 链接在系统浏览器中打开，窗口本身不允许跳转
+  // Links in rendered Markdown open in the system browser; the window itself never navigates away
+  window.webContents.setWindowOpenHandler(({ url }) => {
+    if (/^https?:\/\//i.test(url)) {
+      shell.openExternal(url)
+    }
+    return { action: 'deny' }
+  })
+  window.webContents.on('will-navigate', (event, url) => {
+    if (url !== window.webContents.getURL()) {
+      event.preventDefault()
+    }
+  })
+
+  Menu.setApplicationMenu(null)
+  console.log('[App] Creating chat window')
+  window.loadFile('chat.html')
+  
+  return window
+}
+
+/**
+ * App 生命周期
+ * App lifecycle
+ */
+app.whenReady().then(async () => {
+  console.log('[App] ========== Application Starting ==========')
+  if (isMockFoundryEnabled()) {
+    console.log('[App] Mock Foundry mode: using the built-in mock service instead of Foundry Local')
+  }
+
+  // safeStorage 只能在 app ready 之后使用；在此加密旧版明文密钥
+  // safeStorage only works once the app is ready, so plaintext keys are migrated here
+  initializeSecretStore()
+
+  // 本地网关（在设置中启用）
+  // Local gateway (enabled in Settings)
+  applyGatewaySettings(gatewayHandlers).catch((error) => {
+    console.error('[Gateway] Failed to start:', error.message)
+  })
+  
+  // 创建窗口
+  createWindow()
+  console.log('[App] [OK] Chat window created')
+
+  // 会话搜索索引在后台建立，首次搜索不必等待读取所有会话
+  // The conversation search index is built in the background, so the first search does not wait for every file
+  buildSearchIndex().catch((error) => {
+    console.error('[Search] Failed to build the index:', error.message)
+  })
+  
+  // 注意：不要等待初始化，让初始化在后台进行
+  // 初始化完成时会通过 IPC 通知前端
+  // Don't wait for initialization, let it run in the background
+  // Frontend will be notified when ready via IPC
+  console.log('[App] Starting Foundry service initialization in background...')
+  
+  // 在后台启动初始化
+  initializeFoundryService()
+    .then((success) => {
+      if (success) {
+        console.log('[App] [OK] Foundry initialization succeeded')
+      } else {
+        console.log('[App] [WARN] Foundry initialization failed - manual configuration may be needed')
+      }
+    })
+    .catch((error) => {
+      console.error('[App] Unexpected error during initialization:', error)
+    })
+    // 无论初始化是否成功都开始监测：服务稍后启动或换端口时自动连接
+    // Monitor either way, so a service started later or moved to a new port is picked up
+    .finally(() => {
+      startServiceMonitor()
+      // 知识库（在设置中启用）在服务初始化后同步，本地嵌入模型此时才可用
+      // The knowledge base (enabled in Settings) syncs after the service is initialized, when local embedding models are reachable
+      applyKnowledgeSettings(knowledgeHandlers)
+    })
+
+  app.on('activate', () => {
+    if (BrowserWindow.getAllWindows().length === 0) {
+      createWindow()
+    }
+  })
+})
+
+app.on('will-quit', () => {
+  stopHealthMonitor()
+  stopGateway()
+  stopKnowledgeBase()
+  stopMockFoundry()
 })
 
 app.on('window-all-closed', () => {
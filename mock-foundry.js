@@ -0,0 +1,485 @@
+/**
+ * mock-foundry.js
+ *
+ * 离线的模拟 Foundry Local：用本地 HTTP 服务代替真实服务，提供 /v1/models、流式 /v1/chat/completions、
+ * /v1/embeddings 以及 SDK 使用的模型管理接口（目录、下载、加载、卸载），并模拟 `foundry service status / start` 等 CLI 命令，
+ * 这样无需安装 Foundry Local 就能端到端运行和测试整个应用（演示、Linux CI）
+ * 用 --mock-foundry 参数或 FOUNDRY_CHAT_MOCK=1 启用；回复、延迟和错误可用脚本文件配置
+ * （--mock-script=<file> 或 FOUNDRY_CHAT_MOCK_SCRIPT，格式见 README）
+ *
+ * Offline mock of Foundry Local: a local HTTP stand-in serving /v1/models, streaming /v1/chat/completions,
+ * /v1/embeddings and the model management routes the SDK uses (catalog, download, load, unload), plus fake
+ * `foundry service status / start` CLI commands, so the whole app can run and be tested end to end
+ * without Foundry Local installed (demos, Linux CI)
+ * Enabled with the --mock-foundry flag or FOUNDRY_CHAT_MOCK=1; replies, delays and errors can be scripted
+ * in a file (--mock-script=<file> or FOUNDRY_CHAT_MOCK_SCRIPT, format in the README)
+ */
+
+import http from 'http'
+import fs from 'fs'
+
+const MOCK_HOST = '127.0.0.1'
+
+// 未提供脚本时的模型与回复
+// Models and replies used when no script is given
+const DEFAULT_SCRIPT = {
+  startDelayMs: 500,
+  models: [
+    { id: 'mock-chat-cpu', alias: 'mock-chat', runtime: 'CPUExecutionProvider', cached: true, loaded: true },
+    { id: 'mock-chat-gpu', alias: 'mock-chat', runtime: 'WebGpuExecutionProvider', cached: true },
+    { id: 'mock-reasoner-cpu', alias: 'mock-reasoner', runtime: 'CPUExecutionProvider' },
+    { id: 'mock-vision-cpu', alias: 'mock-vision', runtime: 'CPUExecutionProvider', cached: true }
+  ],
+  replies: [
+    { match: '\\b(error|fail)\\b', error: { status: 500, message: 'Mock Foundry: scripted server error' } },
+    { match: '\\b(interrupt|drop)\\b', reply: 'This reply is cut off by the mock service after a few words and never finishes', dropAfterChunks: 5 },
+    { match: '\\bwhat time\\b', toolCall: { name: 'get_current_time', arguments: {} }, reply: 'According to the clock tool it is {{tool}}' },
+    { match: '\\b(image|picture|screenshot)s?\\b', reply: 'The mock service received {{images}} image(s) with this message' }
+  ],
+  default: { reply: 'Mock reply from {{model}}: {{prompt}}', delayMs: 300, chunkDelayMs: 30 }
+}
+
+let server = null
+let endpoint = null
+let startingUntil = 0
+let script = null
+let catalog = []
+const cachedModels = new Set()
+const loadedModels = new Set()
+
+/**
+ * 是否启用模拟服务
+ * Whether the mock service is enabled
+ *
+ * @returns {boolean}
+ */
+export function isMockFoundryEnabled() {
+  return process.argv.includes('--mock-foundry') || /^(1|true|yes)$/i.test(process.env.FOUNDRY_CHAT_MOCK || '')
+}
+
+function getScriptPath() {
+  const arg = process.argv.find(value => value.startsWith('--mock-script='))
+  return arg ? arg.slice('--mock-script='.length) : process.env.FOUNDRY_CHAT_MOCK_SCRIPT || ''
+}
+
+/**
+ * 读取脚本文件（未设置时使用内置脚本）；脚本格式错误时抛出异常
+ * Read the script file (the built-in script when none is set); throws on an invalid script
+ *
+ * @param {string} [scriptPath]
+ * @returns {object}
+ */
+export function loadMockScript(scriptPath = getScriptPath()) {
+  if (!scriptPath) {
+    return DEFAULT_SCRIPT
+  }
+
+  const loaded = JSON.parse(fs.readFileSync(scriptPath, 'utf8'))
+  if (!Array.isArray(loaded.models) || loaded.models.length === 0) {
+    throw new Error(`Mock script needs a non-empty models array: ${scriptPath}`)
+  }
+  for (const rule of loaded.replies || []) {
+    // 提前编译以便报告错误的正则
+    // Compiled up front so a bad pattern is reported here
+    new RegExp(rule.match || '', 'i')
+  }
+  console.log(`[MockFoundry] Loaded script: ${scriptPath}`)
+  return { ...DEFAULT_SCRIPT, ...loaded }
+}
+
+function resetModels() {
+  catalog = script.models.map(model => ({
+    name: model.id,
+    alias: model.alias || model.id,
+    version: '1',
+    runtime: { executionProvider: model.runtime || 'CPUExecutionProvider' },
+    uri: `azureml://registries/mock/models/${model.id}/versions/1`,
+    fileSizeMb: model.fileSizeMb || 1024,
+    promptTemplate: {},
+    providerType: 'AzureFoundry',
+    publisher: 'Mock',
+    license: 'MIT',
+    task: 'chat-completion'
+  }))
+  cachedModels.clear()
+  loadedModels.clear()
+  for (const model of script.models) {
+    if (model.cached || model.loaded) cachedModels.add(model.id)
+    if (model.loaded) loadedModels.add(model.id)
+  }
+}
+
+function delay(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms || 0))
+}
+
+function sendJson(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify(body))
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = []
+    req.on('data', chunk => chunks.push(chunk))
+    req.on('end', () => resolve(Buffer.concat(chunks).toString('utf8')))
+    req.on('error', reject)
+  })
+}
+
+/**
+ * 为请求选择脚本规则：第一条 match（不区分大小写的正则）命中最后一条用户消息、且 model 相符的规则；
+ * 带 toolCall 的规则只在请求声明了该工具时使用
+ * Pick the script rule for a request: the first whose match (case-insensitive regex) hits the last user message and whose model fits;
+ * rules with a toolCall only apply when the request declares that tool
+ */
+function findRule(model, prompt, toolNames) {
+  const rule = (script.replies || []).find(candidate =>
+    (!candidate.model || candidate.model === model) &&
+    (!candidate.toolCall || toolNames.includes(candidate.toolCall.name)) &&
+    new RegExp(candidate.match || '', 'i').test(prompt)
+  )
+  return { ...script.default, ...rule }
+}
+
+// 按词切分，保留空白，拼接后与原文一致
+// Split into words with their whitespace, so the chunks join back to the original text
+function splitIntoChunks(text) {
+  return text.match(/\S+\s*|\s+/g) || []
+}
+
+async function handleChatCompletions(req, res) {
+  let body
+  try {
+    body = JSON.parse(await readBody(req))
+  } catch (error) {
+    sendJson(res, 400, { error: { message: `Invalid JSON body: ${error.message}`, type: 'invalid_request_error', code: null } })
+    return
+  }
+
+  if (!cachedModels.has(body.model)) {
+    sendJson(res, 404, { error: { message: `Model ${body.model} is not downloaded`, type: 'invalid_request_error', code: null } })
+    return
+  }
+  // 与真实服务一样按需加载
+  // Loaded on demand, like the real service
+  loadedModels.add(body.model)
+
+  const lastUser = [...(body.messages || [])].reverse().find(m => m.role === 'user')
+  // 内容片段只取文字来匹配规则，图片数量可用 {{images}} 引用
+  // Content parts match rules by their text; {{images}} quotes the number of images
+  const parts = Array.isArray(lastUser?.content) ? lastUser.content : null
+  const prompt = parts
+    ? parts.filter(part => part?.type === 'text').map(part => part.text).join('\n')
+    : String(lastUser?.content ?? '')
+  const images = parts ? parts.filter(part => part?.type === 'image_url').length : 0
+  const toolNames = body.tool_choice === 'none' ? [] : (body.tools || []).map(tool => tool.function?.name)
+  const rule = findRule(body.model, prompt, toolNames)
+  // 最后一条是用户消息时调用工具；工具结果回来后用 {{tool}} 引用
+  // The tool is called when the last message is the user's; once the result is back, {{tool}} quotes it
+  const lastMessage = body.messages?.[body.messages.length - 1]
+  const toolCall = rule.toolCall && lastMessage?.role === 'user' ? rule.toolCall : null
+  const toolResult = lastMessage?.role === 'tool' ? String(lastMessage.content ?? '') : ''
+  console.log(`[MockFoundry] ${body.model}${body.stream ? ' (stream)' : ''}: ${rule.error ? `error ${rule.error.status || 500}` : toolCall ? `tool call ${toolCall.name}` : 'reply'}`)
+
+  await delay(rule.delayMs)
+  if (rule.error) {
+    sendJson(res, rule.error.status || 500, {
+      error: { message: rule.error.message || 'Mock error', type: rule.error.type || 'server_error', code: null }
+    })
+    return
+  }
+
+  const reply = toolCall ? '' : String(rule.reply || '')
+    .replaceAll('{{prompt}}', prompt)
+    .replaceAll('{{model}}', body.model)
+    .replaceAll('{{tool}}', toolResult)
+    .replaceAll('{{images}}', String(images))
+  const id = `chatcmpl-mock-${Date.now()}`
+  const created = Math.floor(Date.now() / 1000)
+  const usage = { prompt_tokens: Math.ceil(prompt.length / 4), completion_tokens: Math.ceil(reply.length / 4) }
+  usage.total_tokens = usage.prompt_tokens + usage.completion_tokens
+
+  if (toolCall) {
+    const call = { id: `call_mock_${Date.now()}`, type: 'function', function: { name: toolCall.name, arguments: JSON.stringify(toolCall.arguments || {}) } }
+    if (!body.stream) {
+      sendJson(res, 200, {
+        id,
+        object: 'chat.completion',
+        created,
+        model: body.model,
+        choices: [{ index: 0, message: { role: 'assistant', content: null, tool_calls: [call] }, finish_reason: 'tool_calls' }],
+        usage
+      })
+      return
+    }
+    // 与真实服务一样，参数分成几段流式发送
+    // Like the real services, the arguments are streamed in pieces
+    const half = Math.ceil(call.function.arguments.length / 2)
+    const deltas = [
+      { role: 'assistant', content: null, tool_calls: [{ index: 0, id: call.id, type: 'function', function: { name: call.function.name, arguments: call.function.arguments.slice(0, half) } }] },
+      { tool_calls: [{ index: 0, function: { arguments: call.function.arguments.slice(half) } }] }
+    ]
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' })
+    for (const delta of deltas) {
+      res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model: body.model, choices: [{ index: 0, delta, finish_reason: null }] })}\n\n`)
+      await delay(rule.chunkDelayMs)
+    }
+    res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model: body.model, choices: [{ index: 0, delta: {}, finish_reason: 'tool_calls' }], usage })}\n\n`)
+    res.end('data: [DONE]\n\n')
+    return
+  }
+
+  if (!body.stream) {
+    sendJson(res, 200, {
+      id,
+      object: 'chat.completion',
+      created,
+      model: body.model,
+      choices: [{ index: 0, message: { role: 'assistant', content: reply }, finish_reason: 'stop' }],
+      usage
+    })
+    return
+  }
+
+  res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache', Connection: 'keep-alive' })
+  const chunks = splitIntoChunks(reply)
+  for (let index = 0; index < chunks.length; index++) {
+    if (res.destroyed) return
+    if (rule.dropAfterChunks !== undefined && index >= rule.dropAfterChunks) {
+      // 模拟服务中途断开
+      // Simulate the service going away mid-reply
+      console.log(`[MockFoundry] Dropping the connection after ${index} chunk(s)`)
+      res.destroy()
+      return
+    }
+    const delta = index === 0 ? { role: 'assistant', content: chunks[index] } : { content: chunks[index] }
+    res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model: body.model, choices: [{ index: 0, delta, finish_reason: null }] })}\n\n`)
+    await delay(rule.chunkDelayMs)
+  }
+  res.write(`data: ${JSON.stringify({ id, object: 'chat.completion.chunk', created, model: body.model, choices: [{ index: 0, delta: {}, finish_reason: 'stop' }], usage })}\n\n`)
+  res.end('data: [DONE]\n\n')
+}
+
+// 词袋哈希向量：共享词越多越相似，足以测试检索
+// Hashed bag-of-words vectors: texts sharing more words are more similar, which is enough to test retrieval
+const EMBEDDING_DIMENSIONS = 1024
+
+function embedText(text) {
+  const vector = new Array(EMBEDDING_DIMENSIONS).fill(0)
+  for (const word of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+    // FNV-1a
+    let hash = 0x811c9dc5
+    for (const char of word) {
+      hash = Math.imul(hash ^ char.codePointAt(0), 0x01000193) >>> 0
+    }
+    vector[hash % EMBEDDING_DIMENSIONS] += 1
+  }
+  return vector
+}
+
+async function handleEmbeddings(req, res) {
+  let body
+  try {
+    body = JSON.parse(await readBody(req))
+  } catch (error) {
+    sendJson(res, 400, { error: { message: `Invalid JSON body: ${error.message}`, type: 'invalid_request_error', code: null } })
+    return
+  }
+  const inputs = Array.isArray(body.input) ? body.input : [body.input]
+  if (inputs.some(input => typeof input !== 'string')) {
+    sendJson(res, 400, { error: { message: 'input must be a string or an array of strings', type: 'invalid_request_error', code: null } })
+    return
+  }
+  sendJson(res, 200, {
+    object: 'list',
+    model: body.model,
+    data: inputs.map((input, index) => {
+      // OpenAI SDK 默认请求 base64（小端 float32）
+      // The OpenAI SDK asks for base64 (little-endian float32) by default
+      const embedding = embedText(input)
+      return {
+        object: 'embedding',
+        index,
+        embedding: body.encoding_format === 'base64' ? Buffer.from(Float32Array.from(embedding).buffer).toString('base64') : embedding
+      }
+    }),
+    usage: { prompt_tokens: 0, total_tokens: 0 }
+  })
+}
+
+async function handleDownload(req, res) {
+  const body = JSON.parse(await readBody(req) || '{}')
+  const name = body.model?.Name
+  if (!catalog.some(model => model.name === name)) {
+    sendJson(res, 404, { success: false, error: `Unknown model: ${name}` })
+    return
+  }
+
+  // 与真实服务相同：先输出进度行，最后输出 JSON 结果
+  // Like the real service: progress lines first, then the JSON result
+  res.writeHead(200, { 'Content-Type': 'text/plain' })
+  for (const percent of [10, 35, 60, 85, 100]) {
+    res.write(`Total ${percent}% Downloading ${name}\n`)
+    await delay(script.downloadStepMs ?? 200)
+  }
+  cachedModels.add(name)
+  res.end(JSON.stringify({ success: true, error: null }))
+}
+
+function handleModelCommand(res, action, name) {
+  if (!catalog.some(model => model.name === name)) {
+    res.writeHead(400, { 'Content-Type': 'text/plain' })
+    res.end(`No OpenAIService provider found for modelName ${name}`)
+    return
+  }
+  if (action === 'load') {
+    if (!cachedModels.has(name)) {
+      res.writeHead(400, { 'Content-Type': 'text/plain' })
+      res.end(`No OpenAIService provider found for modelName ${name}`)
+      return
+    }
+    loadedModels.add(name)
+  } else {
+    loadedModels.delete(name)
+  }
+  sendJson(res, 200, { success: true })
+}
+
+async function handleRequest(req, res) {
+  const url = new URL(req.url, `http://${MOCK_HOST}`)
+  const route = `${req.method} ${url.pathname}`
+
+  try {
+    if (route === 'GET /openai/status') {
+      sendJson(res, 200, { endpoints: [endpoint], modelDirPath: '/mock/models', pipeName: 'mock-foundry' })
+    } else if (route === 'GET /v1/models') {
+      sendJson(res, 200, {
+        object: 'list',
+        data: [...cachedModels].map(id => ({ id, object: 'model', created: 0, owned_by: 'Mock' }))
+      })
+    } else if (route === 'POST /v1/chat/completions') {
+      await handleChatCompletions(req, res)
+    } else if (route === 'POST /v1/embeddings') {
+      await handleEmbeddings(req, res)
+    } else if (route === 'GET /foundry/list') {
+      sendJson(res, 200, catalog)
+    } else if (route === 'GET /openai/models') {
+      sendJson(res, 200, [...cachedModels])
+    } else if (route === 'GET /openai/loadedmodels') {
+      sendJson(res, 200, [...loadedModels])
+    } else if (route === 'POST /openai/download') {
+      await handleDownload(req, res)
+    } else if (req.method === 'GET' && /^\/openai\/(load|unload)\//.test(url.pathname)) {
+      const [, , action, name] = url.pathname.split('/')
+      handleModelCommand(res, action, decodeURIComponent(name))
+    } else {
+      sendJson(res, 404, { error: { message: `Unknown route: ${route}`, type: 'invalid_request_error', code: null } })
+    }
+  } catch (error) {
+    if (!res.headersSent) {
+      sendJson(res, 500, { error: { message: error.message, type: 'server_error', code: null } })
+    } else {
+      res.destroy()
+    }
+  }
+}
+
+/**
+ * 启动模拟服务（已启动时直接返回地址）
+ * Start the mock service (returns the address when it is already running)
+ *
+ * @param {{port?: number, script?: object}} [options] - Port (FOUNDRY_CHAT_MOCK_PORT or a free port by default) and script (loaded from the file by default)
+ * @returns {Promise<string>} The service endpoint, e.g. http://127.0.0.1:54321
+ */
+export async function startMockFoundry(options = {}) {
+  if (server) {
+    return endpoint
+  }
+
+  script = options.script || loadMockScript()
+  resetModels()
+
+  const instance = http.createServer((req, res) => {
+    handleRequest(req, res)
+  })
+  const port = options.port ?? Number(process.env.FOUNDRY_CHAT_MOCK_PORT || 0)
+  await new Promise((resolve, reject) => {
+    instance.once('error', reject)
+    instance.listen(port, MOCK_HOST, () => {
+      instance.off('error', reject)
+      resolve()
+    })
+  })
+
+  server = instance
+  endpoint = `http://${MOCK_HOST}:${instance.address().port}`
+  startingUntil = Date.now() + (script.startDelayMs || 0)
+  console.log(`[MockFoundry] [OK] Mock service listening on ${endpoint} (${catalog.length} model(s))`)
+  return endpoint
+}
+
+/**
+ * 停止模拟服务
+ * Stop the mock service
+ *
+ * @returns {Promise<void>}
+ */
+export function stopMockFoundry() {
+  if (!server) {
+    return Promise.resolve()
+  }
+
+  const closing = server
+  server = null
+  endpoint = null
+  return new Promise((resolve) => {
+    closing.close(() => resolve())
+    closing.closeAllConnections()
+    console.log('[MockFoundry] Stopped')
+  })
+}
+
+/**
+ * 模拟 foundry CLI：service status / service start / service stop / cache remove <id>
+ * 输出与真实 CLI 的文本格式相同，由 service-status-parser.js 解析
+ *
+ * Fake foundry CLI: service status / service start / service stop / cache remove <id>
+ * The output uses the real CLI's text format, so service-status-parser.js parses it
+ *
+ * @param {string} command - Arguments after `foundry`, e.g. 'service status'
+ * @returns {Promise<{stdout: string, stderr: string}>}
+ */
+export async function runMockCli(command) {
+  const [group, action, ...args] = command.trim().split(/\s+/)
+
+  if (group === 'service' && action === 'status') {
+    // startDelayMs 内报告未运行，调用方像对真实 CLI 一样轮询，直到输出中出现服务 URL
+    // Within startDelayMs the service is reported as not running, so callers poll until the output has the
+    // service URL, as they do with the real CLI
+    if (!server || Date.now() < startingUntil) {
+      return { stdout: '🔴 Model management service is not running!\nTo start the service, run the following command: foundry service start\n', stderr: '' }
+    }
+    return { stdout: `🟢 Model management service is running on ${endpoint}/openai/status\n`, stderr: '' }
+  }
+
+  if (group === 'service' && action === 'start') {
+    const url = await startMockFoundry()
+    return { stdout: `🟢 Service is Started on ${url}/, PID 0!\n`, stderr: '' }
+  }
+
+  if (group === 'service' && action === 'stop') {
+    await stopMockFoundry()
+    return { stdout: '🔴 Service is stopped.\n', stderr: '' }
+  }
+
+  if (group === 'cache' && action === 'remove' && args[0]) {
+    if (!cachedModels.delete(args[0])) {
+      throw Object.assign(new Error(`Model ${args[0]} is not in the cache`), { stderr: `Model ${args[0]} is not in the cache` })
+    }
+    loadedModels.delete(args[0])
+    return { stdout: `Model ${args[0]} was removed from the cache\n`, stderr: '' }
+  }
+
+  throw Object.assign(new Error(`Mock Foundry CLI does not support: foundry ${command}`), { stderr: '' })
+}
@@ -0,0 +1,210 @@
+/**
+ * model-manager.js
+ *
+ * Foundry Local 模型生命周期管理：目录、下载、加载、卸载、删除缓存
+ * 通过 foundry-local-sdk 访问已发现的服务端点；SDK 不支持删除缓存，因此删除使用 CLI
+ *
+ * Foundry Local model lifecycle: catalog, download, load, unload, delete from cache
+ * Uses foundry-local-sdk against the discovered service endpoint; the SDK cannot
+ * delete cached models, so removal goes through the CLI
+ */
+
+import { exec } from 'child_process'
+import { Agent, Headers, fetch } from 'undici'
+import { FoundryLocalManager } from 'foundry-local-sdk/browser'
+import { getEndpointConnection } from './endpoint-settings.js'
+import { isMockFoundryEnabled, runMockCli } from './mock-foundry.js'
+
+// 每个服务端点一个 SDK 实例（SDK 内部缓存模型目录）
+// One SDK instance per service endpoint (the SDK caches the catalog internally)
+const managers = new Map()
+
+// 每个 CA 证书一个连接池（自签名 HTTPS 端点）
+// One connection pool per CA certificate (self-signed HTTPS endpoints)
+const caAgents = new Map()
+
+// 正在下载的模型，防止重复下载
+// Models currently downloading, to prevent duplicate downloads
+const activeDownloads = new Set()
+
+function getCaAgent(ca) {
+  if (!ca) {
+    return undefined
+  }
+  if (!caAgents.has(ca)) {
+    caAgents.set(ca, new Agent({ connect: { ca } }))
+  }
+  return caAgents.get(ca)
+}
+
+function getManager(endpoint) {
+  if (!endpoint) {
+    throw new Error('Foundry service not available')
+  }
+
+  // SDK 需要不带 /v1 的服务根地址
+  // The SDK expects the service root, without /v1
+  const serviceUrl = endpoint.replace(/\/v1\/?$/, '').replace(/\/$/, '')
+  if (!managers.has(serviceUrl)) {
+    // 每次请求都带上端点当前的认证头和 CA 证书；SDK 传入的 headers 可能是 Headers 实例
+    // Every request carries the endpoint's current auth headers and CA certificate;
+    // the headers the SDK passes may be a Headers instance
+    const authorizedFetch = async (url, init = {}) => {
+      const connection = getEndpointConnection(serviceUrl)
+      if (connection.error) {
+        throw new Error(connection.error)
+      }
+      const headers = new Headers(init.headers)
+      for (const [name, value] of Object.entries(connection.headers)) {
+        headers.set(name, value)
+      }
+      return fetch(url, { ...init, headers, dispatcher: getCaAgent(connection.ca) })
+    }
+    managers.set(serviceUrl, new FoundryLocalManager({ serviceUrl, fetch: authorizedFetch }))
+  }
+  return managers.get(serviceUrl)
+}
+
+/**
+ * 获取完整模型目录，并标记每个模型的状态
+ * Get the full model catalog with the state of each model
+ *
+ * @param {string} endpoint - Foundry service endpoint
+ * @param {boolean} refresh - Re-fetch the catalog instead of using the SDK cache
+ * @returns {Promise<Array<{id: string, alias: string, runtime: string, modelSize: number, task: string, publisher: string, license: string, status: 'loaded'|'cached'|'not-downloaded', downloading: boolean}>>}
+ */
+export async function listModelCatalog(endpoint, refresh = false) {
+  const manager = getManager(endpoint)
+  if (refresh) {
+    await manager.refreshCatalog()
+  }
+
+  const [catalog, cached, loaded] = await Promise.all([
+    manager.listCatalogModels(),
+    manager.listCachedModels(),
+    manager.listLoadedModels()
+  ])
+
+  const cachedIds = new Set(cached.map(m => m.id))
+  const loadedIds = new Set(loaded.map(m => m.id))
+
+  console.log(`[ModelManager] Catalog: ${catalog.length} model(s), ${cachedIds.size} cached, ${loadedIds.size} loaded`)
+
+  return catalog.map(model => ({
+    id: model.id,
+    alias: model.alias,
+    version: model.version,
+    runtime: model.runtime,
+    modelSize: model.modelSize,
+    task: model.task,
+    publisher: model.publisher,
+    license: model.license,
+    status: loadedIds.has(model.id) ? 'loaded' : (cachedIds.has(model.id) ? 'cached' : 'not-downloaded'),
+    downloading: activeDownloads.has(model.id)
+  }))
+}
+
+/**
+ * 获取已加载模型的 ID 集合
+ * Get the ids of the models currently loaded
+ *
+ * @param {string} endpoint - Foundry service endpoint
+ * @returns {Promise<Set<string>>}
+ */
+export async function getLoadedModelIds(endpoint) {
+  const loaded = await getManager(endpoint).listLoadedModels()
+  return new Set(loaded.map(m => m.id))
+}
+
+/**
+ * 下载模型到本地缓存
+ * Download a model into the local cache
+ *
+ * @param {string} endpoint - Foundry service endpoint
+ * @param {string} modelId - Model id or alias
+ * @param {(progress: number) => void} onProgress - Progress callback (0-100)
+ * @returns {Promise<object>} The downloaded model info
+ */
+export async function downloadModel(endpoint, modelId, onProgress) {
+  if (activeDownloads.has(modelId)) {
+    throw new Error(`Model ${modelId} is already downloading`)
+  }
+
+  activeDownloads.add(modelId)
+  try {
+    console.log(`[ModelManager] Downloading model: ${modelId}`)
+    const info = await getManager(endpoint).downloadModel(modelId, undefined, false, onProgress)
+    console.log(`[ModelManager] [OK] Downloaded model: ${info.id}`)
+    return info
+  } finally {
+    activeDownloads.delete(modelId)
+  }
+}
+
+/**
+ * 加载模型到内存
+ * Load a model into memory
+ *
+ * @param {string} endpoint - Foundry service endpoint
+ * @param {string} modelId - Model id or alias
+ * @param {number} [ttl] - Seconds the service keeps an idle model loaded (SDK default when omitted)
+ * @returns {Promise<object>} The loaded model info
+ */
+export async function loadModel(endpoint, modelId, ttl) {
+  console.log(`[ModelManager] Loading model: ${modelId}`)
+  const info = await getManager(endpoint).loadModel(modelId, ttl)
+  console.log(`[ModelManager] [OK] Loaded model: ${info.id}`)
+  return info
+}
+
+/**
+ * 从内存卸载模型
+ * Unload a model from memory
+ *
+ * @param {string} endpoint - Foundry service endpoint
+ * @param {string} modelId - Model id or alias
+ */
+export async function unloadModel(endpoint, modelId) {
+  console.log(`[ModelManager] Unloading model: ${modelId}`)
+  await getManager(endpoint).unloadModel(modelId, true)
+  console.log(`[ModelManager] [OK] Unloaded model: ${modelId}`)
+}
+
+/**
+ * 从本地缓存删除模型（使用 CLI: foundry cache remove）
+ * Delete a model from the local cache (via CLI: foundry cache remove)
+ *
+ * @param {string} modelId - Model id
+ * @returns {Promise<void>}
+ */
+export function deleteCachedModel(modelId) {
+  // 模型 ID 会拼接进命令行，只允许安全字符
+  // The id goes into a shell command, so only allow safe characters
+  if (!/^[A-Za-z0-9._:-]+$/.test(modelId || '')) {
+    return Promise.reject(new Error(`Invalid model id: ${modelId}`))
+  }
+
+  if (isMockFoundryEnabled()) {
+    console.log(`[ModelManager] Removing cached model from the mock service: ${modelId}`)
+    return runMockCli(`cache remove ${modelId}`).then(() => {})
+  }
+
+  return new Promise((resolve, reject) => {
+    console.log(`[ModelManager] Removing cached model via CLI: ${modelId}`)
+    const child = exec(`foundry cache remove ${modelId}`, { timeout: 60000 }, (error, stdout, stderr) => {
+      if (stdout) {
+        console.log(`[ModelManager] Remove stdout: ${stdout}`)
+      }
+      if (error) {
+        console.warn(`[ModelManager] Remove failed: ${stderr || error.message}`)
+        reject(new Error(stderr?.trim() || error.message))
+        return
+      }
+      resolve()
+    })
+
+    // CLI 可能会要求确认
+    // The CLI may ask for confirmation
+    child.stdin?.end('y\n')
+  })
+}
@@ -0,0 +1,105 @@
+/**
+ * model-params-store.js
+ *
+ * 按模型保存生成参数（temperature、top_p、max_tokens 等）
+ * 保存在 ~/.foundry-chat/model-params.json，键为模型选择器中的模型 ID（云端 Profile 为 "cloud:<id>"）
+ *
+ * Per-model generation parameters (temperature, top_p, max_tokens, ...)
+ * Stored in ~/.foundry-chat/model-params.json, keyed by the model selector id ("cloud:<id>" for cloud profiles)
+ */
+
+import path from 'path'
+import { getDataDir, readJsonFile, writeJsonFile } from './app-storage.js'
+
+// 数值型参数及其允许范围（与 OpenAI Chat Completions API 一致）
+// Numeric parameters and their allowed ranges (as in the OpenAI Chat Completions API)
+const NUMERIC_PARAMS = {
+  temperature: { min: 0, max: 2 },
+  top_p: { min: 0, max: 1 },
+  max_tokens: { min: 1, max: Number.MAX_SAFE_INTEGER, integer: true },
+  frequency_penalty: { min: -2, max: 2 },
+  presence_penalty: { min: -2, max: 2 },
+  seed: { min: Number.MIN_SAFE_INTEGER, max: Number.MAX_SAFE_INTEGER, integer: true }
+}
+
+// API 最多接受 4 个停止序列
+// The API accepts at most 4 stop sequences
+const MAX_STOP_SEQUENCES = 4
+
+function getParamsPath() {
+  return path.join(getDataDir(), 'model-params.json')
+}
+
+function readAllParams() {
+  const stored = readJsonFile(getParamsPath(), {})
+  return stored && typeof stored === 'object' && !Array.isArray(stored) ? stored : {}
+}
+
+/**
+ * 只保留已知且有效的生成参数
+ * Keep only known generation parameters with usable values
+ *
+ * @param {object} parameters - Raw parameters (from the renderer or a file)
+ * @returns {object} Parameters safe to pass to chat.completions.create
+ */
+export function normalizeGenerationParams(parameters) {
+  const normalized = {}
+  if (!parameters || typeof parameters !== 'object') {
+    return normalized
+  }
+
+  for (const [key, range] of Object.entries(NUMERIC_PARAMS)) {
+    const value = parameters[key]
+    if (typeof value !== 'number' || !Number.isFinite(value)) continue
+    if (value < range.min || value > range.max) continue
+    normalized[key] = range.integer ? Math.round(value) : value
+  }
+
+  const stop = Array.isArray(parameters.stop) ? parameters.stop : [parameters.stop]
+  const stopSequences = stop
+    .filter(s => typeof s === 'string' && s.length > 0)
+    .slice(0, MAX_STOP_SEQUENCES)
+  if (stopSequences.length > 0) {
+    normalized.stop = stopSequences
+  }
+
+  return normalized
+}
+
+/**
+ * 获取某个模型的生成参数
+ * Get the generation parameters saved for a model
+ *
+ * @param {string} modelId - Model selector id
+ * @returns {object}
+ */
+export function getModelParams(modelId) {
+  if (!modelId) return {}
+  return normalizeGenerationParams(readAllParams()[modelId])
+}
+
+/**
+ * 保存某个模型的生成参数（空对象表示恢复默认）
+ * Save the generation parameters for a model (an empty object resets to defaults)
+ *
+ * @param {string} modelId - Model selector id
+ * @param {object} parameters - Parameters to save
+ * @returns {object} The normalized parameters that were saved
+ */
+export function saveModelParams(modelId, parameters) {
+  if (!modelId) {
+    throw new Error('Model id is required')
+  }
+
+  const normalized = normalizeGenerationParams(parameters)
+  const all = readAllParams()
+  if (Object.keys(normalized).length > 0) {
+    all[modelId] = normalized
+  } else {
+    delete all[modelId]
+  }
+  writeJsonFile(getParamsPath(), all)
+
+  console.log(`[ModelParams] Saved parameters for ${modelId}:`, normalized)
+  return normalized
+}
@@ -0,0 +1,100 @@
+/**
+ * persona-store.js
+ *
+ * 角色（Persona）库：系统提示词 + 默认模型 + 生成参数
+ * 保存在 ~/.foundry-chat/personas.json
+ *
+ * Persona library: system prompt + default model + generation parameters
+ * Stored in ~/.foundry-chat/personas.json
+ */
+
+import path from 'path'
+import crypto from 'crypto'
+import { getDataDir, readJsonFile, writeJsonFile } from './app-storage.js'
+
+/**
+ * 内置默认角色，不可删除
+ * Built-in default persona; it can be edited but not deleted
+ */
+export const DEFAULT_PERSONA = {
+  id: 'default',
+  name: 'Default Assistant',
+  systemPrompt: `You are a helpful, harmless, and honest AI chat assistant.
+Your responses should be:
+- Clear and concise
+- Factually accurate
+- Respectful and non-judgmental
+- Helpful in addressing the user's needs
+- Free of harmful content
+
+Respond in the same language as the user's input.
+Focus on providing direct answers without unnecessary meta-commentary.`,
+  defaultModel: null,
+  parameters: {},
+  builtIn: true
+}
+
+function getPersonasPath() {
+  return path.join(getDataDir(), 'personas.json')
+}
+
+function readPersonas() {
+  const stored = readJsonFile(getPersonasPath(), [])
+  return Array.isArray(stored) ? stored : []
+}
+
+/**
+ * 获取所有角色（默认角色始终在第一位）
+ * List all personas, with the default persona always first
+ *
+ * @returns {Array<{id: string, name: string, systemPrompt: string, defaultModel: string|null, parameters: object}>}
+ */
+export function listPersonas() {
+  const stored = readPersonas()
+  const storedDefault = stored.find(p => p.id === DEFAULT_PERSONA.id)
+  const others = stored.filter(p => p.id !== DEFAULT_PERSONA.id)
+
+  return [{ ...DEFAULT_PERSONA, ...storedDefault, builtIn: true }, ...others]
+}
+
+/**
+ * 新建或更新角色
+ * Create or update a persona
+ *
+ * @param {{id?: string, name: string, systemPrompt?: string, defaultModel?: string|null, parameters?: object}} persona
+ * @returns {object} The saved persona
+ */
+export function savePersona(persona) {
+  const name = String(persona?.name || '').trim()
+  if (!name) {
+    throw new Error('Persona name is required')
+  }
+
+  const saved = {
+    id: persona.id || crypto.randomUUID(),
+    name: name,
+    systemPrompt: String(persona.systemPrompt || ''),
+    defaultModel: persona.defaultModel || null,
+    parameters: persona.parameters || {}
+  }
+
+  const personas = readPersonas().filter(p => p.id !== saved.id)
+  personas.push(saved)
+  writeJsonFile(getPersonasPath(), personas)
+
+  console.log(`[Personas] Saved persona: ${saved.name}`)
+  return { ...saved, builtIn: saved.id === DEFAULT_PERSONA.id }
+}
+
+/**
+ * 删除角色
+ * Delete a persona
+ *
+ * @param {string} id - Persona id
+ */
+export function deletePersona(id) {
+  if (id === DEFAULT_PERSONA.id) {
+    throw new Error('The default persona cannot be deleted')
+  }
+  writeJsonFile(getPersonasPath(), readPersonas().filter(p => p.id !== id))
+}
@@ -1,4 +1,4 @@
-const { contextBridge, ipcRenderer } = require('electron');
+const { contextBridge, ipcRenderer, webUtils } = require('electron');
 
 console.log('Preload script starting...');
 console.log('Current directory:', __dirname);
@@ -18,29 +18,104 @@ try {
     console.log('Versions bridge exposed');
 
     contextBridge.exposeInMainWorld('mainAPI', {
-        sendMessage: (messages) => ipcRenderer.invoke('send-message', messages),
-        onChatChunk: (callback) => ipcRenderer.on('chat-chunk', (_, chunk) => callback(chunk)),
-        onChatComplete: (callback) => ipcRenderer.on('chat-complete', () => callback()),
-        removeAllChatListeners: () => {
-            ipcRenderer.removeAllListeners('chat-chunk');
-            ipcRenderer.removeAllListeners('chat-complete');
-        },
+        sendMessage: (messages, options) => ipcRenderer.invoke('send-message', messages, options),
+        // Streaming events carry the request id of the generation they belong to
+        onChatChunk: (callback) => ipcRenderer.on('chat-chunk', (_, data) => callback(data.content, data.requestId)),
+        onChatComplete: (callback) => ipcRenderer.on('chat-complete', (_, info) => callback(info || {})),
+        // Sent when a broken connection is retried; the reply starts over
+        onChatRetry: (callback) => ipcRenderer.on('chat-retry', (_, data) => callback(data)),
+        // Tool calls of a reply: sent while a call waits for approval and again with its result
+        onChatToolCall: (callback) => ipcRenderer.on('chat-tool-call', (_, data) => callback(data)),
+        cancelMessage: (requestId) => ipcRenderer.invoke('cancel-message', requestId),
+        openNewWindow: () => ipcRenderer.invoke('open-new-window'),
+        onConversationsChanged: (callback) => ipcRenderer.on('conversations-changed', () => callback()),
         getLocalModels: () => ipcRenderer.invoke('get-local-models'),
         switchModel: (modelId) => ipcRenderer.invoke('switch-model', modelId),
         onInitializeWithCloud: (callback) => ipcRenderer.on('initialize-with-cloud', () => callback()),
         
         // Foundry service initialization status
         onFoundryInitStatus: (callback) => ipcRenderer.on('foundry-init-status', (_, data) => callback(data.status, data)),
+        onServiceHealth: (callback) => ipcRenderer.on('service-health', (_, state) => callback(state)),
         
         // Foundry endpoint configuration
         getFoundryConfig: () => ipcRenderer.invoke('get-foundry-config'),
-        setFoundryEndpoint: (endpoint) => ipcRenderer.invoke('set-foundry-endpoint', endpoint),
-        testFoundryConnection: (endpoint) => ipcRenderer.invoke('test-foundry-connection', endpoint),
+        setFoundryEndpoint: (endpoint, connection) => ipcRenderer.invoke('set-foundry-endpoint', endpoint, connection),
+        testFoundryConnection: (endpoint, connection) => ipcRenderer.invoke('test-foundry-connection', endpoint, connection),
+        chooseCaFile: () => ipcRenderer.invoke('choose-ca-file'),
         
-        // Cloud configuration
-        getCloudConfig: () => ipcRenderer.invoke('get-cloud-config'),
-        saveCloudConfig: (config) => ipcRenderer.invoke('save-cloud-config', config),
-        clearCloudConfig: () => ipcRenderer.invoke('clear-cloud-config')
+        // Cloud provider profiles
+        listCloudProfiles: () => ipcRenderer.invoke('list-cloud-profiles'),
+        saveCloudProfile: (profile) => ipcRenderer.invoke('save-cloud-profile', profile),
+        deleteCloudProfile: (profileId) => ipcRenderer.invoke('delete-cloud-profile', profileId),
+        listCloudDeployments: (profile) => ipcRenderer.invoke('list-cloud-deployments', profile),
+        getSecretStoreStatus: () => ipcRenderer.invoke('get-secret-store-status'),
+        unlockSecretStore: (passphrase) => ipcRenderer.invoke('unlock-secret-store', passphrase),
+        
+        // Local OpenAI-compatible gateway
+        getGatewayStatus: () => ipcRenderer.invoke('get-gateway-status'),
+        saveGatewaySettings: (settings) => ipcRenderer.invoke('save-gateway-settings', settings),
+        
+        // Conversation storage
+        listConversations: () => ipcRenderer.invoke('list-conversations'),
+        getConversation: (id) => ipcRenderer.invoke('get-conversation', id),
+        saveConversation: (conversation) => ipcRenderer.invoke('save-conversation', conversation),
+        renameConversation: (id, title) => ipcRenderer.invoke('rename-conversation', id, title),
+        deleteConversation: (id) => ipcRenderer.invoke('delete-conversation', id),
+        exportConversation: (id, format) => ipcRenderer.invoke('export-conversation', id, format),
+        importConversation: () => ipcRenderer.invoke('import-conversation'),
+        searchConversations: (query, filters) => ipcRenderer.invoke('search-conversations', query, filters),
+        
+        // Message attachments; dropped files only expose their path through webUtils
+        pickAttachments: (modelId) => ipcRenderer.invoke('pick-attachments', modelId),
+        readAttachments: (filePaths, modelId) => ipcRenderer.invoke('read-attachments', filePaths, modelId),
+        getPathForFile: (file) => webUtils.getPathForFile(file),
+
+        // Image input: whether a model accepts images (guessed from its name unless marked in Settings)
+        getVisionSupport: (modelId) => ipcRenderer.invoke('get-vision-support', modelId),
+        saveVisionSupport: (modelId, vision) => ipcRenderer.invoke('save-vision-support', modelId, vision),
+
+        // Built-in tools the model can call (each call is approved in a dialog)
+        getToolSettings: () => ipcRenderer.invoke('get-tool-settings'),
+        saveToolSettings: (settings) => ipcRenderer.invoke('save-tool-settings', settings),
+        addToolDirectory: () => ipcRenderer.invoke('add-tool-directory'),
+        removeToolDirectory: (dir) => ipcRenderer.invoke('remove-tool-directory', dir),
+
+        // Local document knowledge base
+        getKnowledgeStatus: () => ipcRenderer.invoke('get-knowledge-status'),
+        saveKnowledgeSettings: (settings) => ipcRenderer.invoke('save-knowledge-settings', settings),
+        addKnowledgeFolder: () => ipcRenderer.invoke('add-knowledge-folder'),
+        removeKnowledgeFolder: (folder) => ipcRenderer.invoke('remove-knowledge-folder', folder),
+        rebuildKnowledgeIndex: () => ipcRenderer.invoke('rebuild-knowledge-index'),
+        openKnowledgeSource: (filePath) => ipcRenderer.invoke('open-knowledge-source', filePath),
+        onKnowledgeStatus: (callback) => ipcRenderer.on('knowledge-status', (_, status) => callback(status)),
+
+        // Persona library
+        listPersonas: () => ipcRenderer.invoke('list-personas'),
+        savePersona: (persona) => ipcRenderer.invoke('save-persona', persona),
+        deletePersona: (id) => ipcRenderer.invoke('delete-persona', id),
+        
+        // Prompt templates (/name in the message box) and built-in slash commands
+        listPromptTemplates: () => ipcRenderer.invoke('list-prompt-templates'),
+        savePromptTemplate: (template) => ipcRenderer.invoke('save-prompt-template', template),
+        deletePromptTemplate: (name) => ipcRenderer.invoke('delete-prompt-template', name),
+        openTemplatesFolder: () => ipcRenderer.invoke('open-templates-folder'),
+        
+        // Per-model generation parameters
+        getModelParams: (modelId) => ipcRenderer.invoke('get-model-params', modelId),
+        saveModelParams: (modelId, parameters) => ipcRenderer.invoke('save-model-params', modelId, parameters),
+        
+        // Context window
+        countTokens: (texts) => ipcRenderer.invoke('count-tokens', texts),
+        getContextSettings: (modelId) => ipcRenderer.invoke('get-context-settings', modelId),
+        saveContextSettings: (modelId, settings) => ipcRenderer.invoke('save-context-settings', modelId, settings),
+        
+        // Foundry Local model lifecycle
+        getModelCatalog: (refresh) => ipcRenderer.invoke('get-model-catalog', refresh),
+        downloadModel: (modelId) => ipcRenderer.invoke('download-model', modelId),
+        loadModel: (modelId) => ipcRenderer.invoke('load-model', modelId),
+        unloadModel: (modelId) => ipcRenderer.invoke('unload-model', modelId),
+        deleteCachedModel: (modelId) => ipcRenderer.invoke('delete-cached-model', modelId),
+        onModelDownloadProgress: (callback) => ipcRenderer.on('model-download-progress', (_, data) => callback(data))
     })
 
     console.log('mainAPI bridge exposed');
@@ -0,0 +1,140 @@
+/**
+ * prompt-templates.js
+ *
+ * 提示词模板库：在输入框中输入 /名称 使用模板，模板中的 {{变量}} 通过表单填写
+ * 每个模板保存为 ~/.foundry-chat/templates/<名称>.json（{ description, prompt }），文件名即命令名，
+ * 可以直接复制到其他电脑或放进代码仓库与团队共享
+ *
+ * Prompt template library: typing /name in the message box uses a template, whose {{variables}} are filled in a form
+ * Each template is saved as ~/.foundry-chat/templates/<name>.json ({ description, prompt }); the file name is the
+ * command name, so the files can be copied to another machine or kept in a repository and shared with a team
+ */
+
+import fs from 'fs'
+import path from 'path'
+import { getDataDir, readJsonFile, writeJsonFile } from './app-storage.js'
+
+// 模板名称：小写字母、数字、- 和 _，同时用作文件名
+// Template names: lowercase letters, digits, - and _; the name is also the file name
+const TEMPLATE_NAME = /^[a-z0-9][a-z0-9_-]{0,39}$/
+
+// {{变量}}，变量名可以是任意不含花括号的文字（包括中文）
+// {{variable}}; a variable name is any text without braces (Chinese included)
+const VARIABLE = /\{\{\s*([^{}]*?)\s*\}\}/g
+
+/**
+ * 内置斜杠命令（由渲染进程执行），模板不能使用这些名称
+ * Built-in slash commands (run by the renderer); templates cannot use these names
+ */
+export const SLASH_COMMANDS = [
+  { name: 'clear', usage: '/clear', description: 'Start a new conversation' },
+  { name: 'model', usage: '/model <id>', description: 'Switch the model of this window' },
+  { name: 'system', usage: '/system <prompt>', description: 'Set the system prompt of this conversation' },
+  { name: 'export', usage: '/export [markdown|json|html]', description: 'Export this conversation' }
+]
+
+/**
+ * 模板目录（不存在时自动创建）
+ * The templates directory, created when missing
+ *
+ * @returns {string}
+ */
+export function getTemplatesDir() {
+  return getDataDir('templates')
+}
+
+function getTemplatePath(name) {
+  if (!TEMPLATE_NAME.test(name || '')) {
+    throw new Error('Template names use lowercase letters, digits, - and _ (up to 40 characters)')
+  }
+  return path.join(getTemplatesDir(), `${name}.json`)
+}
+
+/**
+ * 按出现顺序列出提示词中的变量（去重）
+ * List the variables of a prompt in order of appearance, without duplicates
+ *
+ * @param {string} prompt
+ * @returns {string[]}
+ */
+export function extractVariables(prompt) {
+  const names = Array.from(String(prompt || '').matchAll(VARIABLE), match => match[1]).filter(Boolean)
+  return [...new Set(names)]
+}
+
+/**
+ * 获取所有模板（按名称排序），无法读取的文件会被跳过
+ * List all templates sorted by name; files that cannot be read are skipped
+ *
+ * @returns {Array<{name: string, description: string, prompt: string, variables: string[]}>}
+ */
+export function listTemplates() {
+  const templates = []
+
+  for (const file of fs.readdirSync(getTemplatesDir()).sort()) {
+    if (!file.endsWith('.json')) continue
+
+    const name = file.slice(0, -'.json'.length)
+    const stored = readJsonFile(path.join(getTemplatesDir(), file))
+    if (!TEMPLATE_NAME.test(name) || typeof stored?.prompt !== 'string') {
+      console.warn(`[Templates] Skipping ${file}: expected a lowercase file name and a "prompt" string`)
+      continue
+    }
+
+    templates.push({
+      name,
+      description: typeof stored.description === 'string' ? stored.description : '',
+      prompt: stored.prompt,
+      variables: extractVariables(stored.prompt)
+    })
+  }
+
+  return templates
+}
+
+/**
+ * 新建或更新模板；previousName 与 name 不同时为重命名
+ * Create or update a template; a previousName other than name renames it
+ *
+ * @param {{name: string, previousName?: string, description?: string, prompt: string}} template
+ * @returns {{name: string, description: string, prompt: string, variables: string[]}} The saved template
+ */
+export function saveTemplate(template) {
+  const name = String(template?.name || '').trim().replace(/^\//, '').toLowerCase()
+  const prompt = String(template?.prompt || '')
+  if (!name) {
+    throw new Error('Template name is required')
+  }
+  if (SLASH_COMMANDS.some(command => command.name === name)) {
+    throw new Error(`/${name} is a built-in command`)
+  }
+  if (!prompt.trim()) {
+    throw new Error('Template prompt is required')
+  }
+
+  const filePath = getTemplatePath(name)
+  const previousName = template.previousName || null
+  if (previousName !== name && fs.existsSync(filePath)) {
+    throw new Error(`A template named /${name} already exists`)
+  }
+
+  const saved = { description: String(template.description || '').trim(), prompt }
+  writeJsonFile(filePath, saved)
+  if (previousName && previousName !== name) {
+    fs.rmSync(getTemplatePath(previousName), { force: true })
+  }
+
+  console.log(`[Templates] Saved template: /${name}`)
+  return { name, ...saved, variables: extractVariables(prompt) }
+}
+
+/**
+ * 删除模板
+ * Delete a template
+ *
+ * @param {string} name - Template name
+ */
+export function deleteTemplate(name) {
+  fs.rmSync(getTemplatePath(name), { force: true })
+  console.log(`[Templates] Deleted template: /${name}`)
+}
@@ -0,0 +1,179 @@
+/**
+ * secret-store.js
+ *
+ * 敏感信息（API 密钥）加密存储
+ * 优先使用 Electron safeStorage（系统钥匙串）；在 Linux 上没有钥匙串后端时，
+ * 改用用户口令派生的密钥（scrypt + AES-256-GCM）加密
+ *
+ * Encryption for secrets (API keys) at rest
+ * Uses Electron safeStorage (the OS keychain) when available; where Linux has no
+ * keychain backend, falls back to a key derived from a user passphrase (scrypt + AES-256-GCM)
+ */
+
+import path from 'path'
+import crypto from 'crypto'
+import { safeStorage } from 'electron'
+import { getDataDir, readJsonFile, writeJsonFile } from './app-storage.js'
+
+// 加密值前缀，用于区分加密方式
+// Prefixes that mark how a value was encrypted
+const KEYCHAIN_PREFIX = 'safe:v1:'
+const PASSPHRASE_PREFIX = 'pass:v1:'
+
+// 用于校验口令是否正确的已知明文
+// Known plaintext used to check that a passphrase is correct
+const VERIFIER_TEXT = 'foundry-chat-secret-store'
+
+// 口令派生的密钥只保存在内存中
+// The passphrase-derived key only lives in memory
+let passphraseKey = null
+
+function getStoreMetaPath() {
+  return path.join(getDataDir(), 'secret-store.json')
+}
+
+/**
+ * 系统钥匙串是否可用（必须在 app ready 之后调用）
+ * Whether the OS keychain can be used (call after app is ready)
+ *
+ * Linux 上的 basic_text 后端只用固定口令加密，不视为可用
+ * The Linux basic_text backend encrypts with a hardcoded password, so it does not count
+ */
+function isKeychainAvailable() {
+  if (!safeStorage.isEncryptionAvailable()) {
+    return false
+  }
+  if (process.platform === 'linux') {
+    return safeStorage.getSelectedStorageBackend() !== 'basic_text'
+  }
+  return true
+}
+
+function encryptWithKey(key, plaintext) {
+  const iv = crypto.randomBytes(12)
+  const cipher = crypto.createCipheriv('aes-256-gcm', key, iv)
+  const data = Buffer.concat([cipher.update(plaintext, 'utf8'), cipher.final()])
+  return [iv, cipher.getAuthTag(), data].map(b => b.toString('base64')).join(':')
+}
+
+function decryptWithKey(key, payload) {
+  const [iv, tag, data] = payload.split(':').map(part => Buffer.from(part, 'base64'))
+  const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv)
+  decipher.setAuthTag(tag)
+  return Buffer.concat([decipher.update(data), decipher.final()]).toString('utf8')
+}
+
+/**
+ * 获取加密存储状态
+ * Get the secret store status
+ *
+ * @returns {{backend: 'keychain'|'passphrase', initialized: boolean, unlocked: boolean}}
+ */
+export function getSecretStoreStatus() {
+  if (isKeychainAvailable()) {
+    return { backend: 'keychain', initialized: true, unlocked: true }
+  }
+  return {
+    backend: 'passphrase',
+    initialized: !!readJsonFile(getStoreMetaPath())?.salt,
+    unlocked: passphraseKey !== null
+  }
+}
+
+/**
+ * 当前是否可以加密 / 解密
+ * Whether secrets can be encrypted and decrypted right now
+ *
+ * @returns {boolean}
+ */
+export function isSecretStoreReady() {
+  return isKeychainAvailable() || passphraseKey !== null
+}
+
+/**
+ * 使用口令解锁（首次使用时设置口令）
+ * Unlock with a passphrase (the first passphrase used sets it)
+ *
+ * @param {string} passphrase - User passphrase
+ */
+export function unlockSecretStore(passphrase) {
+  if (!passphrase) {
+    throw new Error('Passphrase is required')
+  }
+
+  const meta = readJsonFile(getStoreMetaPath())
+  if (!meta?.salt) {
+    const salt = crypto.randomBytes(16)
+    const key = crypto.scryptSync(passphrase, salt, 32)
+    writeJsonFile(getStoreMetaPath(), {
+      salt: salt.toString('base64'),
+      verifier: encryptWithKey(key, VERIFIER_TEXT)
+    }, { mode: 0o600 })
+    passphraseKey = key
+    console.log('[SecretStore] Passphrase store initialized')
+    return
+  }
+
+  const key = crypto.scryptSync(passphrase, Buffer.from(meta.salt, 'base64'), 32)
+  try {
+    if (decryptWithKey(key, meta.verifier) !== VERIFIER_TEXT) {
+      throw new Error('Verifier mismatch')
+    }
+  } catch (error) {
+    throw new Error('Incorrect passphrase')
+  }
+  passphraseKey = key
+  console.log('[SecretStore] Passphrase store unlocked')
+}
+
+/**
+ * 加密密钥
+ * Encrypt a secret
+ *
+ * @param {string} plaintext - Secret to encrypt
+ * @returns {string} Encrypted value with a scheme prefix
+ */
+export function encryptSecret(plaintext) {
+  if (isKeychainAvailable()) {
+    return KEYCHAIN_PREFIX + safeStorage.encryptString(plaintext).toString('base64')
+  }
+  if (!passphraseKey) {
+    throw new Error('Secret store is locked. Enter your passphrase in Settings.')
+  }
+  return PASSPHRASE_PREFIX + encryptWithKey(passphraseKey, plaintext)
+}
+
+/**
+ * 解密密钥
+ * Decrypt a secret
+ *
+ * @param {string} value - Value returned by encryptSecret
+ * @returns {string}
+ */
+export function decryptSecret(value) {
+  if (value.startsWith(KEYCHAIN_PREFIX)) {
+    if (!safeStorage.isEncryptionAvailable()) {
+      throw new Error('This key was encrypted with the OS keychain, which is not available')
+    }
+    return safeStorage.decryptString(Buffer.from(value.slice(KEYCHAIN_PREFIX.length), 'base64'))
+  }
+  if (value.startsWith(PASSPHRASE_PREFIX)) {
+    if (!passphraseKey) {
+      throw new Error('Secret store is locked. Enter your passphrase in Settings.')
+    }
+    return decryptWithKey(passphraseKey, value.slice(PASSPHRASE_PREFIX.length))
+  }
+  throw new Error('Unknown secret format')
+}
+
+/**
+ * 生成可以显示给用户的掩码（只保留最后 4 位）
+ * Build a mask that is safe to show (only the last 4 characters are kept)
+ *
+ * @param {string} plaintext - Secret
+ * @returns {string}
+ */
+export function maskSecret(plaintext) {
+  if (!plaintext) return ''
+  return plaintext.length > 8 ? `••••••••${plaintext.slice(-4)}` : '••••••••'
+}
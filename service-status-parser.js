@@ -0,0 +1,120 @@
+/**
+ * service-status-parser.js
+ *
+ * 解析 `foundry service status` 的英文文本输出：状态行中的服务 URL 在各版本中都存在，其次按图标和关键词判断状态
+ * 其他语言的输出和 JSON 输出不处理，只能通过服务 URL 识别
+ * 返回服务状态（running / stopped）、端点、匹配到的格式，以及解析失败的原因
+ * 不依赖 Electron 或 CLI，可以离线测试（见 test/service-status-parser.test.js）
+ *
+ * Parses the English text output of `foundry service status`: the service URL on the status line, present
+ * in every version, then the state from the icon and keywords
+ * Output in other languages and JSON output are not handled beyond finding the service URL
+ * Reports the service state (running / stopped), the endpoint, which format matched, and why parsing failed
+ * Has no Electron or CLI dependency, so it can be tested offline (see test/service-status-parser.test.js)
+ */
+
+export const SERVICE_STATES = ['running', 'stopped', 'unknown']
+
+// CLI 在状态行前使用的图标，与语言无关
+// Icons the CLI puts in front of the status line, the same in every locale
+const STATE_ICONS = {
+  '🟢': 'running',
+  '🔴': 'stopped'
+}
+
+// CLI 的英文状态消息，用于没有图标的输出；先检查否定形式（"not running" 也包含 "running"）
+// The CLI's English status messages, for output without an icon; the negative form is checked first
+// ("not running" contains "running")
+const STATE_KEYWORDS = [
+  ['stopped', /\bnot running\b|\bis stopped\b/i],
+  ['running', /\bis running\b|\brunning on\b/i]
+]
+
+// http(s) URL，端口必须显式给出；主机可以是 IPv6（方括号）
+// An http(s) URL with an explicit port; the host may be IPv6 (in brackets)
+const URL_PATTERN = /https?:\/\/(?:\[[0-9a-f:.]+\]|[a-z0-9.-]+):\d{1,5}(?:\/[^\s"'<>]*)?/i
+
+// 终端颜色控制符
+// Terminal color escape sequences
+const ANSI_PATTERN = /\u001b\[[0-9;]*[A-Za-z]/g
+
+function result(fields) {
+  return {
+    state: 'unknown',
+    endpoint: null,
+    port: null,
+    format: null,
+    reason: '',
+    error: null,
+    ...fields
+  }
+}
+
+function endpointFromUrl(url) {
+  try {
+    const parsed = new URL(url)
+    return { endpoint: parsed.origin, port: Number(parsed.port) || null }
+  } catch (error) {
+    return null
+  }
+}
+
+function detectState(text) {
+  for (const [icon, state] of Object.entries(STATE_ICONS)) {
+    if (text.includes(icon)) return state
+  }
+  for (const [state, pattern] of STATE_KEYWORDS) {
+    if (pattern.test(text)) return state
+  }
+  return 'unknown'
+}
+
+/**
+ * 文本输出：状态行中的服务 URL（各版本通用），否则只判断状态
+ * Text output: the service URL on the status line (the same in every version), otherwise the state alone
+ */
+function parseText(text) {
+  const state = detectState(text)
+  const urlMatch = text.match(URL_PATTERN)
+
+  if (urlMatch && state !== 'stopped') {
+    const location = endpointFromUrl(urlMatch[0])
+    if (location) {
+      return result({
+        // 带有服务 URL 而没有其他状态信息时，视为正在运行
+        // A service URL with no other state information means the service is running
+        state: state === 'unknown' ? 'running' : state,
+        ...location,
+        format: 'text-url',
+        reason: `service URL in text output (${urlMatch[0]})`
+      })
+    }
+  }
+
+  if (state !== 'unknown') {
+    return result({
+      state,
+      format: 'text-state',
+      reason: 'state keyword in text output',
+      error: state === 'running' ? 'The service is running but the output has no URL' : null
+    })
+  }
+
+  const firstLine = text.split('\n').find(line => line.trim()) || ''
+  return result({ error: `Unrecognized output: ${firstLine.trim().slice(0, 120)}` })
+}
+
+/**
+ * 解析 `foundry service status` 的输出
+ * Parse the output of `foundry service status`
+ *
+ * @param {string} output - stdout (and stderr) of the CLI
+ * @returns {{state: 'running'|'stopped'|'unknown', endpoint: string|null, port: number|null, format: 'text-url'|'text-state'|null, reason: string, error: string|null}}
+ */
+export function parseServiceStatus(output) {
+  const text = String(output ?? '').replace(ANSI_PATTERN, '').replace(/^﻿/, '').trim()
+  if (!text) {
+    return result({ error: 'No output from foundry service status' })
+  }
+  return parseText(text)
+}
@@ -0,0 +1,134 @@
+/**
+ * chat-errors.test.js
+ *
+ * 用 OpenAI SDK 对模拟 Foundry 服务和临时 HTTP 服务发出的真实请求测试错误分类与重试等待时间
+ * Tests error classification and retry delays with real OpenAI SDK requests against the mock Foundry
+ * service and throwaway HTTP servers
+ *
+ * npm test
+ */
+
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import http from 'http'
+import OpenAI from 'openai'
+import { classifyChatError, getRetryDelay, parseRetryAfter } from '../chat-errors.js'
+import { startMockFoundry, stopMockFoundry } from '../mock-foundry.js'
+
+const servers = []
+
+// 用固定的状态码、响应头和正文回应所有请求的 HTTP 服务
+// HTTP server answering every request with a fixed status, headers and body
+async function startFixedServer(status, headers, body) {
+  const server = http.createServer((req, res) => {
+    req.resume()
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers })
+    res.end(JSON.stringify(body))
+  })
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  servers.push(server)
+  return `http://127.0.0.1:${server.address().port}/v1`
+}
+
+async function requestError(baseURL, model = 'test-model') {
+  const client = new OpenAI({ apiKey: 'sk-test', baseURL, maxRetries: 0 })
+  try {
+    await client.chat.completions.create({ model, messages: [{ role: 'user', content: 'hi' }] })
+  } catch (error) {
+    return error
+  }
+  assert.fail('The request should have failed')
+}
+
+after(async () => {
+  servers.forEach(server => server.close())
+  await stopMockFoundry()
+})
+
+test('connection refused', async () => {
+  const server = http.createServer()
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve))
+  const port = server.address().port
+  await new Promise(resolve => server.close(resolve))
+
+  const classified = classifyChatError(await requestError(`http://127.0.0.1:${port}/v1`), { modelType: 'local' })
+  assert.equal(classified.category, 'connection-refused')
+  assert.equal(classified.retryable, true)
+  assert.match(classified.hint, /foundry service start/)
+})
+
+test('rate limit with Retry-After', async () => {
+  const error = await requestError(await startFixedServer(429, { 'retry-after': '7' }, { error: { message: 'Rate limit reached', code: '429' } }))
+  const classified = classifyChatError(error, { modelType: 'cloud' })
+  assert.equal(classified.category, 'rate-limit')
+  assert.equal(classified.retryable, true)
+  assert.equal(classified.retryAfterMs, 7000)
+  assert.equal(getRetryDelay(classified, 1), 7000)
+})
+
+test('exhausted quota is not retried', async () => {
+  const error = await requestError(await startFixedServer(429, {}, { error: { message: 'You exceeded your current quota', code: 'insufficient_quota' } }))
+  const classified = classifyChatError(error, { modelType: 'cloud' })
+  assert.equal(classified.category, 'rate-limit')
+  assert.equal(classified.retryable, false)
+})
+
+test('authentication failures', async () => {
+  const error = await requestError(await startFixedServer(401, {}, { error: { message: 'Access denied due to invalid subscription key' } }))
+  const classified = classifyChatError(error, { modelType: 'cloud' })
+  assert.equal(classified.category, 'auth')
+  assert.equal(classified.retryable, false)
+  assert.match(classified.hint, /API key/)
+})
+
+test('Azure content filter', async () => {
+  const error = await requestError(await startFixedServer(400, {}, {
+    error: {
+      message: "The response was filtered due to the prompt triggering Azure OpenAI's content management policy.",
+      code: 'content_filter'
+    }
+  }))
+  assert.equal(classifyChatError(error, { modelType: 'cloud' }).category, 'content-filter')
+})
+
+test('context overflow', async () => {
+  const error = await requestError(await startFixedServer(400, {}, {
+    error: { message: "This model's maximum context length is 4096 tokens.", code: 'context_length_exceeded' }
+  }))
+  const classified = classifyChatError(error, { modelType: 'cloud' })
+  assert.equal(classified.category, 'context-overflow')
+  assert.equal(classified.retryable, false)
+})
+
+test('model not downloaded on the mock service', async () => {
+  const endpoint = await startMockFoundry({ script: { models: [{ id: 'only-catalog' }], replies: [], default: { reply: 'x' } }, port: 0 })
+  const classified = classifyChatError(await requestError(`${endpoint}/v1`, 'only-catalog'), { modelType: 'local' })
+  assert.equal(classified.category, 'model-not-loaded')
+  assert.match(classified.hint, /Model Manager/)
+})
+
+test('server errors are retried with backoff', async () => {
+  const error = await requestError(await startFixedServer(503, {}, { error: { message: 'Service unavailable' } }))
+  const classified = classifyChatError(error, { modelType: 'local' })
+  assert.equal(classified.category, 'server')
+  assert.equal(classified.retryable, true)
+  assert.equal(classified.retryAfterMs, null)
+  const delays = [1, 2, 3].map(attempt => getRetryDelay(classified, attempt))
+  assert.ok(delays[0] >= 800 && delays[0] <= 1200)
+  assert.ok(delays[2] >= 3200 && delays[2] <= 4800)
+})
+
+test('a connection error after content is a mid-stream disconnect', () => {
+  const error = Object.assign(new Error('Premature close'), { code: 'ERR_STREAM_PREMATURE_CLOSE' })
+  assert.equal(classifyChatError(error, { modelType: 'local', receivedContent: true }).category, 'stream-disconnect')
+  assert.equal(classifyChatError(new Error('Something odd'), { modelType: 'local' }).category, 'unknown')
+})
+
+test('parses Retry-After formats', () => {
+  assert.equal(parseRetryAfter({ 'retry-after-ms': '1500' }), 1500)
+  assert.equal(parseRetryAfter({ 'retry-after': '2' }), 2000)
+  const inFiveSeconds = new Date(Date.now() + 5000).toUTCString()
+  assert.ok(parseRetryAfter({ 'retry-after': inFiveSeconds }) <= 5000)
+  assert.equal(parseRetryAfter({ 'retry-after': 'soon' }), null)
+  assert.equal(parseRetryAfter(undefined), null)
+})
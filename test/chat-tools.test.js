@@ -0,0 +1,153 @@
+/**
+ * chat-tools.test.js
+ *
+ * 内置工具：算术求值、共享文件夹之外的路径被拒绝、流式 tool_calls 增量合并，以及与模拟 Foundry 的完整调用往返
+ * Built-in tools: arithmetic, paths outside the shared folders are refused, merging streamed
+ * tool_calls deltas, and a full call round trip with the mock Foundry
+ *
+ * npm test
+ */
+
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import OpenAI from 'openai'
+import {
+  evaluateArithmetic,
+  mergeToolCallDeltas,
+  parseToolArguments,
+  getToolDefinitions,
+  runTool,
+  runToolCalls
+} from '../chat-tools.js'
+import { startMockFoundry, stopMockFoundry } from '../mock-foundry.js'
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'foundry-chat-tools-'))
+const shared = path.join(dir, 'shared')
+const outside = path.join(dir, 'outside')
+fs.mkdirSync(path.join(shared, 'notes'), { recursive: true })
+fs.mkdirSync(outside)
+fs.writeFileSync(path.join(shared, 'notes', 'todo.md'), '- buy milk\n')
+fs.writeFileSync(path.join(outside, 'secret.txt'), 'do not read')
+const settings = { enabled: true, allowedDirectories: [shared] }
+
+after(async () => {
+  await stopMockFoundry()
+  fs.rmSync(dir, { recursive: true, force: true })
+})
+
+test('evaluates arithmetic without eval', () => {
+  assert.equal(evaluateArithmetic('1 + 2 * 3'), 7)
+  assert.equal(evaluateArithmetic('(1 + 2) * 3'), 9)
+  assert.equal(evaluateArithmetic('-2^2'), -4)
+  assert.equal(evaluateArithmetic('2 ** 3 ^ 2'), 512)
+  assert.equal(evaluateArithmetic('max(1, sqrt(16), 3) % 3'), 1)
+  assert.equal(evaluateArithmetic('1.5e3 / .5'), 3000)
+  assert.ok(Math.abs(evaluateArithmetic('sin(pi / 2)') - 1) < 1e-12)
+  assert.throws(() => evaluateArithmetic('process.exit()'), /Unknown symbol "process"/)
+  // 对象原型上的名称不是函数或常量
+  // Names from the object prototype are neither functions nor constants
+  for (const name of ['constructor', 'toString', '__proto__', 'hasOwnProperty']) {
+    assert.throws(() => evaluateArithmetic(`${name}(1)`), new RegExp(`Unknown symbol "${name}"`))
+    assert.throws(() => evaluateArithmetic(`${name} + 1`), new RegExp(`Unknown symbol "${name}"`))
+  }
+  assert.throws(() => evaluateArithmetic('1 / 0'), /not a finite number/)
+  assert.throws(() => evaluateArithmetic('(1 + 2'), /Expected "\)" at the end/)
+  assert.throws(() => evaluateArithmetic('2 3'), /Unexpected "3"/)
+})
+
+test('merges streamed tool call deltas by index', () => {
+  const calls = []
+  mergeToolCallDeltas(calls, [{ index: 0, id: 'call_1', type: 'function', function: { name: 'calculate', arguments: '{"expr' } }])
+  mergeToolCallDeltas(calls, [
+    { index: 0, function: { arguments: 'ession":"1+1"}' } },
+    { index: 1, id: 'call_2', function: { name: 'get_current_time', arguments: '' } }
+  ])
+  assert.deepEqual(calls, [
+    { id: 'call_1', type: 'function', function: { name: 'calculate', arguments: '{"expression":"1+1"}' } },
+    { id: 'call_2', type: 'function', function: { name: 'get_current_time', arguments: '' } }
+  ])
+  assert.deepEqual(parseToolArguments(''), {})
+  assert.throws(() => parseToolArguments('{"a":'), /not valid JSON/)
+  assert.throws(() => parseToolArguments('[1]'), /must be a JSON object/)
+})
+
+test('file tools only see the shared folders', async () => {
+  assert.deepEqual(getToolDefinitions({ allowedDirectories: [] }).map(t => t.function.name), ['calculate', 'get_current_time'])
+  assert.equal(await runTool('read_file', { path: 'notes/todo.md' }, settings), '- buy milk')
+  assert.match(await runTool('list_directory', {}, settings), /notes\//)
+
+  await assert.rejects(runTool('read_file', { path: '../outside/secret.txt' }, settings), /outside the shared folders/)
+  await assert.rejects(runTool('read_file', { path: path.join(outside, 'secret.txt') }, settings), /outside the shared folders/)
+  await assert.rejects(runTool('list_directory', { path: '/' }, { allowedDirectories: [] }), /No folders are shared/)
+
+  // 共享文件夹中的符号链接不能指向外面
+  // A symbolic link in a shared folder cannot lead outside it
+  fs.symlinkSync(outside, path.join(shared, 'link'))
+  await assert.rejects(runTool('read_file', { path: 'link/secret.txt' }, settings), /outside the shared folders/)
+})
+
+test('does not run a tool approved after Stop was pressed', async () => {
+  const calls = [
+    { id: 'call_1', function: { name: 'calculate', arguments: '{"expression":"1+1"}' } },
+    { id: 'call_2', function: { name: 'calculate', arguments: '{"expression":"2+2"}' } },
+    { id: 'call_3', function: { name: 'calculate', arguments: '{"expression":"3+3"}' } }
+  ]
+  const controller = new AbortController()
+  const steps = []
+  const asked = []
+  const results = await runToolCalls(calls, {
+    settings,
+    signal: controller.signal,
+    onStep: step => steps.push(`${step.id}:${step.status}`),
+    // 第一次调用获准；第二次确认对话框打开时用户按下停止，随后才点了允许
+    // The first call is approved; Stop is pressed while the second dialog is open, and Allow only afterwards
+    confirm: async (name, args) => {
+      asked.push(args.expression)
+      if (asked.length === 2) controller.abort()
+      return true
+    }
+  })
+
+  assert.deepEqual(asked, ['1+1', '2+2'])
+  assert.deepEqual(steps, ['call_1:pending', 'call_1:done', 'call_2:pending', 'call_2:stopped'])
+  assert.deepEqual(results, [{ role: 'tool', tool_call_id: 'call_1', content: '2' }])
+})
+
+test('reports the time in a time zone', async () => {
+  assert.match(await runTool('get_current_time', { timezone: 'Asia/Tokyo' }, settings), /time zone Asia\/Tokyo; UTC \d{4}-/)
+  await assert.rejects(runTool('get_current_time', { timezone: 'Mars/Olympus' }, settings), /Unknown time zone/)
+})
+
+test('runs a tool call round trip against the mock service', async () => {
+  const endpoint = await startMockFoundry({
+    script: {
+      models: [{ id: 'mock-tools', cached: true }],
+      replies: [{ match: 'how much', toolCall: { name: 'calculate', arguments: { expression: '6 * 7' } }, reply: 'It is {{tool}}.' }],
+      default: { reply: 'No tool' }
+    },
+    port: 0
+  })
+  const client = new OpenAI({ apiKey: 'local', baseURL: `${endpoint}/v1` })
+  const messages = [{ role: 'user', content: 'how much is six times seven?' }]
+  const tools = getToolDefinitions(settings)
+
+  const calls = []
+  for await (const chunk of await client.chat.completions.create({ model: 'mock-tools', messages, tools, stream: true })) {
+    mergeToolCallDeltas(calls, chunk.choices[0]?.delta?.tool_calls)
+  }
+  assert.equal(calls.length, 1)
+  const result = await runTool(calls[0].function.name, parseToolArguments(calls[0].function.arguments), settings)
+  assert.equal(result, '42')
+
+  messages.push({ role: 'assistant', content: null, tool_calls: calls }, { role: 'tool', tool_call_id: calls[0].id, content: result })
+  const reply = await client.chat.completions.create({ model: 'mock-tools', messages, tools })
+  assert.equal(reply.choices[0].message.content, 'It is 42.')
+
+  // 没有声明工具时不调用工具
+  // No tool is called when the request declares none
+  const plain = await client.chat.completions.create({ model: 'mock-tools', messages: messages.slice(0, 1) })
+  assert.equal(plain.choices[0].message.content, 'No tool')
+})
@@ -0,0 +1,159 @@
+/**
+ * context-window.test.js
+ *
+ * 上下文窗口：token 估算、回复预留、丢弃最早轮次与总结两种策略、系统提示词始终保留、放不下时的超预算结果，以及按模型保存的设置
+ * Context window: token estimates, the reply reserve, the drop-oldest and summarize strategies, system
+ * prompts always kept, the over-budget result when nothing more can go, and the per-model settings
+ *
+ * npm test
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { useTempHome } from './helpers/temp-home.js'
+
+useTempHome('context')
+const context = await import('../context-window.js')
+
+// 一条内容为 tokens 个估算 token 的消息（另加 4 个格式开销）
+// A message whose content estimates to the given number of tokens (plus 4 of formatting overhead)
+function message(role, tokens, tag = '') {
+  return { role, content: `${tag}${'x'.repeat(tokens * 4 - tag.length)}` }
+}
+
+const system = message('system', 46, 'sys')
+const conversation = [
+  system,
+  message('user', 96, 'q1'),
+  message('assistant', 96, 'a1'),
+  message('user', 96, 'q2'),
+  message('assistant', 96, 'a2'),
+  message('user', 96, 'q3')
+]
+
+test('estimates tokens for text, CJK and images', () => {
+  assert.equal(context.estimateTokens(''), 0)
+  assert.equal(context.estimateTokens('abcdefgh'), 2)
+  assert.equal(context.estimateTokens('总结日志'), 4)
+  assert.equal(context.countMessageTokens({ role: 'user', content: 'abcd', images: [{}, {}] }), 1 + 2 * context.IMAGE_TOKENS + 4)
+})
+
+test('leaves a history that fits untouched', async () => {
+  const fitted = await context.fitMessagesToBudget(conversation, { budget: null, strategy: 'drop-oldest' })
+  assert.equal(fitted.messages, conversation)
+  assert.equal(fitted.promptTokens, 550)
+  assert.equal(fitted.overBudget, false)
+})
+
+test('keeps the reply reserve free, up to half of the budget', async () => {
+  // 550 个 token 在 1024 的预算内，但默认预留 512 个给回复
+  // 550 tokens are within a budget of 1024, but 512 are reserved for the reply by default
+  assert.equal((await context.fitMessagesToBudget(conversation, { budget: 1024, strategy: 'drop-oldest' })).droppedCount, 2)
+  assert.equal((await context.fitMessagesToBudget(conversation, { budget: 1024, strategy: 'drop-oldest', reserve: 200 })).droppedCount, 0)
+  // 预留最多占一半：预留 900 在 1100 的预算下只算 550
+  // The reserve takes at most half: 900 reserved out of 1100 counts as 550
+  assert.equal((await context.fitMessagesToBudget(conversation, { budget: 1100, strategy: 'drop-oldest', reserve: 900 })).droppedCount, 0)
+})
+
+test('drops the oldest turns but keeps the system prompt and the question', async () => {
+  const fitted = await context.fitMessagesToBudget(conversation, { budget: 800, strategy: 'drop-oldest', reserve: 400 })
+  assert.deepEqual(fitted.messages, [system, conversation[3], conversation[4], conversation[5]])
+  assert.equal(fitted.droppedCount, 2)
+  assert.equal(fitted.summarizedCount, 0)
+  assert.equal(fitted.promptTokens, 350)
+  assert.equal(fitted.overBudget, false)
+})
+
+test('does not start the kept turns with an assistant reply', async () => {
+  // 去掉 q1 就能放下，但 a1 没有了问题，所以一并去掉
+  // Dropping q1 would be enough, but a1 would have lost its question, so it goes too
+  const fitted = await context.fitMessagesToBudget(conversation, { budget: 900, strategy: 'drop-oldest', reserve: 450 })
+  assert.equal(fitted.droppedCount, 2)
+  assert.equal(fitted.messages[1], conversation[3])
+})
+
+test('summarizes the dropped turns and reuses the summary', async () => {
+  const calls = []
+  const summarize = async (previousSummary, messages) => {
+    calls.push({ previousSummary, messages })
+    return 'They talked about s1 to s4.'
+  }
+  const history = [system, message('user', 96, 's1'), message('assistant', 96, 's2'), message('user', 96, 's3'), message('assistant', 96, 's4'), message('user', 96, 's5')]
+
+  const fitted = await context.fitMessagesToBudget(history, { budget: 1000, strategy: 'summarize', reserve: 480, summarize })
+  assert.equal(fitted.summarizedCount, 4)
+  assert.equal(fitted.droppedCount, 0)
+  assert.deepEqual(fitted.messages, [
+    system,
+    { role: 'system', content: 'Summary of the earlier conversation:\nThey talked about s1 to s4.' },
+    history[5]
+  ])
+  assert.deepEqual(calls, [{ previousSummary: '', messages: history.slice(1, 5) }])
+
+  await context.fitMessagesToBudget(history, { budget: 1000, strategy: 'summarize', reserve: 480, summarize })
+  assert.equal(calls.length, 1)
+})
+
+test('drops the oldest turns when the summary fails', async () => {
+  const history = [system, message('user', 96, 'f1'), message('assistant', 96, 'f2'), message('user', 96, 'f3')]
+  const fitted = await context.fitMessagesToBudget(history, {
+    budget: 500,
+    strategy: 'summarize',
+    reserve: 200,
+    summarize: async () => { throw new Error('model unloaded') }
+  })
+  assert.deepEqual(fitted.messages, [system, history[3]])
+  assert.equal(fitted.droppedCount, 2)
+  assert.equal(fitted.summaryError, 'model unloaded')
+})
+
+test('reports over budget when the system prompt and the question alone do not fit', async () => {
+  const question = message('user', 800, 'big')
+  const fitted = await context.fitMessagesToBudget([system, message('user', 96), message('assistant', 96), question], { budget: 600, strategy: 'drop-oldest' })
+  assert.deepEqual(fitted.messages, [system, question])
+  assert.equal(fitted.overBudget, true)
+})
+
+test('saves budgets and strategies per model', () => {
+  assert.deepEqual(context.getContextSettings('phi-4-mini-cpu'), { budget: 4096, strategy: 'drop-oldest', isDefault: true })
+  assert.deepEqual(context.getContextSettings('cloud:azure'), { budget: null, strategy: 'drop-oldest', isDefault: true })
+
+  assert.deepEqual(context.saveContextSettings('phi-4-mini-cpu', { budget: '2048.4', strategy: 'summarize' }), { budget: 2048, strategy: 'summarize', isDefault: false })
+  assert.equal(context.saveContextSettings('cloud:azure', { budget: 8000, strategy: 'unknown' }).strategy, 'drop-oldest')
+  assert.throws(() => context.saveContextSettings('phi-4-mini-cpu', { budget: 100 }), /at least 256/)
+
+  assert.equal(context.saveContextSettings('phi-4-mini-cpu', null).isDefault, true)
+})
+
+test('leaves part of the budget for tool calls and results', async () => {
+  // 预算的四分之一留给工具：1024 - 300 - 256 = 468 放不下 550 个 token
+  // A quarter of the budget is left for tools: 1024 - 300 - 256 = 468 cannot hold 550 tokens
+  const withoutTools = await context.fitMessagesToBudget(conversation, { budget: 1024, strategy: 'drop-oldest', reserve: 300 })
+  assert.equal(withoutTools.droppedCount, 0)
+  assert.equal(withoutTools.remainingTokens, 174)
+
+  const withTools = await context.fitMessagesToBudget(conversation, { budget: 1024, strategy: 'drop-oldest', reserve: 300, tools: true })
+  assert.equal(withTools.droppedCount, 2)
+  assert.equal(withTools.remainingTokens, 374)
+
+  assert.equal((await context.fitMessagesToBudget(conversation, { budget: null, strategy: 'drop-oldest', tools: true })).remainingTokens, Infinity)
+})
+
+test('cuts tool results to the remaining budget, oldest first', () => {
+  const call = (id) => ({ role: 'assistant', content: null, tool_calls: [{ id, type: 'function', function: { name: 'read_file', arguments: '{}' } }] })
+  const rounds = [
+    call('call_1'),
+    { role: 'tool', tool_call_id: 'call_1', content: 'a'.repeat(4000) },
+    call('call_2'),
+    { role: 'tool', tool_call_id: 'call_2', content: 'b'.repeat(400) }
+  ]
+
+  assert.deepEqual(context.fitToolMessages(rounds, Infinity).messages, rounds)
+
+  const fitted = context.fitToolMessages(rounds, 400)
+  assert.ok(fitted.tokens <= 400)
+  assert.equal(fitted.messages[3], rounds[3])
+  assert.match(fitted.messages[1].content, /^a+\n\[Truncated to fit the context window\]$/)
+  assert.equal(fitted.messages[1].tool_call_id, 'call_1')
+  assert.equal(rounds[1].content.length, 4000)
+})
@@ -0,0 +1,111 @@
+/**
+ * conversation-export.test.js
+ *
+ * 会话树的 JSON 导出与导入：分支往返保留、损坏的树被拒绝、Markdown 只导出当前分支
+ * JSON export and import of conversation trees: branches survive a round trip, damaged trees are
+ * rejected, Markdown only exports the branch on screen
+ *
+ * npm test
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { exportConversation, parseImportedConversation } from '../conversation-export.js'
+
+// 第一个回答被重新生成过一次，当前显示第二个回答
+// The first reply was regenerated once and the second reply is on screen
+const CONVERSATION = {
+  id: 'c1',
+  title: 'Branches',
+  createdAt: 1,
+  updatedAt: 2,
+  model: { id: 'mock-chat-cpu' },
+  messages: [
+    { role: 'system', content: 'Be brief.' },
+    { id: 'u1', parentId: null, role: 'user', content: 'Hi' },
+    { id: 'a2', parentId: 'u1', role: 'assistant', content: 'Hello again', model: 'mock-chat-gpu' }
+  ],
+  tree: {
+    nodes: [
+      { id: 'u1', parentId: null, role: 'user', content: 'Hi' },
+      { id: 'a1', parentId: 'u1', role: 'assistant', content: 'Hello', model: 'mock-chat-cpu' },
+      { id: 'a2', parentId: 'u1', role: 'assistant', content: 'Hello again', model: 'mock-chat-gpu' }
+    ],
+    selected: { u1: 'a2' }
+  }
+}
+
+function withTree(tree) {
+  const data = JSON.parse(exportConversation(CONVERSATION, 'json'))
+  data.conversation.tree = tree
+  return JSON.stringify(data)
+}
+
+test('keeps every branch through a JSON round trip', () => {
+  const imported = parseImportedConversation(exportConversation(CONVERSATION, 'json'))
+  assert.deepEqual(imported.tree, CONVERSATION.tree)
+  assert.deepEqual(imported.messages.map(m => m.content), ['Be brief.', 'Hi', 'Hello again'])
+})
+
+test('imports exports without a tree', () => {
+  assert.equal(parseImportedConversation(withTree(undefined)).tree, null)
+  assert.equal(parseImportedConversation(JSON.stringify([{ role: 'user', content: 'Hi' }])).tree, undefined)
+})
+
+test('rejects damaged trees', () => {
+  const nodes = CONVERSATION.tree.nodes
+  assert.throws(() => parseImportedConversation(withTree({ nodes: 'x' })), /no nodes array/)
+  assert.throws(() => parseImportedConversation(withTree({ nodes: [nodes[0], nodes[0]] })), /duplicate id/)
+  assert.throws(() => parseImportedConversation(withTree({ nodes: [nodes[1], nodes[0]] })), /parent of node a1 is missing/)
+  assert.throws(
+    () => parseImportedConversation(withTree({ nodes: [{ ...nodes[0], role: 'system' }] })),
+    /node u1 has role system/
+  )
+})
+
+test('drops selections that do not point at a child', () => {
+  const imported = parseImportedConversation(withTree({
+    nodes: CONVERSATION.tree.nodes,
+    selected: { root: 'a1', u1: 'missing', a1: 'u1' }
+  }))
+  assert.deepEqual(imported.tree.selected, {})
+})
+
+test('Markdown exports only the branch on screen', () => {
+  const markdown = exportConversation(CONVERSATION, 'markdown')
+  assert.match(markdown, /Hello again/)
+  assert.doesNotMatch(markdown, /Hello\n/)
+})
+
+test('keeps knowledge base sources and lists them in Markdown', () => {
+  const sources = [{ number: 1, path: '/docs/garden.md', name: 'garden.md', location: 'lines 1-4', score: 0.47 }]
+  const conversation = {
+    ...CONVERSATION,
+    tree: undefined,
+    messages: [
+      { role: 'user', content: 'Water?' },
+      { role: 'assistant', content: 'Every morning [1].', sources }
+    ]
+  }
+  assert.match(exportConversation(conversation, 'markdown'), /\*\*Sources\*\*\n\n- \[1\] garden\.md \(lines 1-4\)/)
+  const imported = parseImportedConversation(exportConversation(conversation, 'json'))
+  assert.deepEqual(imported.messages[1].sources, sources)
+})
+
+test('keeps images and imports image parts of OpenAI messages', () => {
+  const image = { name: 'shot.png', dataUrl: 'data:image/jpeg;base64,/9j/4AAQ', width: 2, height: 1, size: 9 }
+  const conversation = { ...CONVERSATION, tree: undefined, messages: [{ role: 'user', content: 'What is this?', images: [image] }] }
+  assert.match(exportConversation(conversation, 'markdown'), /🖼 shot\.png/)
+  assert.match(exportConversation(conversation, 'html'), /<img src="data:image\/jpeg;base64,\/9j\/4AAQ" alt="shot\.png">/)
+  assert.deepEqual(parseImportedConversation(exportConversation(conversation, 'json')).messages[0].images, [image])
+
+  const imported = parseImportedConversation(JSON.stringify([{
+    role: 'user',
+    content: [
+      { type: 'text', text: 'Compare' },
+      { type: 'image_url', image_url: { url: 'data:image/png;base64,iVBORw0K' } },
+      { type: 'image_url', image_url: { url: 'https://example.com/remote.png' } }
+    ]
+  }]))
+  assert.deepEqual(imported.messages[0], { role: 'user', content: 'Compare', images: [{ name: 'Image 1', dataUrl: 'data:image/png;base64,iVBORw0K' }] })
+})
@@ -0,0 +1,112 @@
+/**
+ * conversation-search.test.js
+ *
+ * 会话全文搜索：从已保存的会话建立索引、排序与高亮摘要、前缀和中文搜索、按模型/日期/本地或云端筛选、
+ * 分支中的消息，以及保存和删除后的增量更新
+ * Full-text search across conversations: building the index from saved conversations, ranking and
+ * highlighted snippets, prefix and Chinese queries, filters by model, date and local or cloud,
+ * messages on other branches, and incremental updates after saves and deletes
+ *
+ * npm test
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import { useTempHome } from './helpers/temp-home.js'
+
+useTempHome('search')
+const store = await import('../conversation-store.js')
+const search = await import('../conversation-search.js')
+const DAY = 24 * 60 * 60 * 1000
+const now = Date.now()
+
+const garden = store.saveConversation({
+  model: { id: 'phi-4-mini-cpu', type: 'local' },
+  messages: [
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'How often should I water tomatoes?', timestamp: now - 40 * DAY },
+    { role: 'assistant', content: 'Water tomatoes every morning; tomatoes like deep watering.', timestamp: now - 40 * DAY, model: 'phi-4-mini-cpu' }
+  ]
+})
+const deploy = store.saveConversation({
+  model: { id: 'cloud:azure', type: 'cloud' },
+  messages: [
+    { id: 'u1', parentId: null, role: 'user', content: 'Explain the Kubernetes deployment rollout', timestamp: now },
+    { id: 'a2', parentId: 'u1', role: 'assistant', content: 'A rollout replaces pods gradually.', timestamp: now, model: 'cloud:azure' }
+  ],
+  tree: {
+    nodes: [
+      { id: 'u1', parentId: null, role: 'user', content: 'Explain the Kubernetes deployment rollout', timestamp: now },
+      { id: 'a1', parentId: 'u1', role: 'assistant', content: 'Tomatoes are unrelated, but a rollout updates pods.', timestamp: now, model: 'phi-4-mini-cpu' },
+      { id: 'a2', parentId: 'u1', role: 'assistant', content: 'A rollout replaces pods gradually.', timestamp: now, model: 'cloud:azure' }
+    ],
+    selected: { u1: 'a2' }
+  }
+})
+store.saveConversation({ messages: [{ role: 'user', content: '请总结这个日志文件中的错误', timestamp: now }] })
+
+test('splits words and CJK text into terms', () => {
+  assert.deepEqual(search.tokenize('Hello, GPT-4o world'), ['hello', 'gpt', '4o', 'world'])
+  assert.deepEqual(search.tokenize('总结日志'), ['总', '结', '日', '志', '总结', '结日', '日志'])
+  assert.deepEqual(search.tokenize('总结日志', { query: true }), ['总结', '结日', '日志'])
+})
+
+test('ranks messages and highlights the matches', async () => {
+  assert.deepEqual(await search.buildSearchIndex(), { conversations: 3, messages: 6 })
+
+  const { results, total } = await search.searchConversations('tomatoes')
+  assert.equal(total, 3)
+  // 词频更高的回答排在前面
+  // The reply with more occurrences ranks first
+  assert.equal(results[0].conversationId, garden.id)
+  assert.equal(results[0].role, 'assistant')
+  assert.equal(results[0].messageIndex, 1)
+  assert.deepEqual(results[0].highlights.map(([from, to]) => results[0].snippet.slice(from, to)), ['tomatoes', 'tomatoes'])
+
+  // 其他分支上的消息按节点 ID 定位
+  // Messages on other branches are found by their node id
+  const branch = results.find(hit => hit.conversationId === deploy.id)
+  assert.equal(branch.messageId, 'a1')
+  assert.equal(branch.title, 'Explain the Kubernetes deployment rollout')
+})
+
+test('matches the last word as a prefix and every word in the same message', async () => {
+  assert.equal((await search.searchConversations('kubern')).total, 1)
+  assert.equal((await search.searchConversations('rollout pods')).total, 2)
+  assert.equal((await search.searchConversations('water kubernetes')).total, 0)
+  const chinese = await search.searchConversations('日志')
+  assert.equal(chinese.total, 1)
+  assert.equal(chinese.results[0].snippet.slice(...chinese.results[0].highlights[0]), '日志')
+})
+
+test('filters by model, local or cloud, and date', async () => {
+  // 用户消息没有模型时按会话的模型归类
+  // A user message without a model counts under the conversation's model
+  assert.deepEqual((await search.searchConversations('rollout', { model: 'cloud:azure' })).results.map(hit => hit.messageId).sort(), ['a2', 'u1'])
+  assert.deepEqual((await search.searchConversations('rollout', { location: 'local' })).results.map(hit => hit.messageId), ['a1'])
+  assert.equal((await search.searchConversations('explain', { location: 'cloud' })).total, 1)
+  assert.equal((await search.searchConversations('tomatoes', { from: now - 7 * DAY })).total, 1)
+  assert.deepEqual((await search.searchConversations('x')).models, ['cloud:azure', 'phi-4-mini-cpu'])
+})
+
+test('follows saved and deleted conversations', async () => {
+  const updated = store.saveConversation({ ...store.loadConversation(garden.id), messages: [{ role: 'user', content: 'Cucumbers instead' }] })
+  search.indexConversation(updated)
+  assert.equal((await search.searchConversations('cucumbers')).total, 1)
+  assert.equal((await search.searchConversations('tomatoes')).total, 1)
+
+  store.deleteConversation(deploy.id)
+  search.removeConversationFromIndex(deploy.id)
+  assert.equal((await search.searchConversations('tomatoes')).total, 0)
+  assert.equal((await search.searchConversations('rollout')).total, 0)
+})
+
+test('highlights the match after characters that change length when lowercased', async () => {
+  // 'İ'.toLowerCase() 是两个 UTF-16 单元，高亮位置仍须落在原文的命中上
+  // 'İ'.toLowerCase() is two UTF-16 units; the highlight still has to land on the match in the original text
+  const trip = store.saveConversation({ messages: [{ role: 'user', content: 'İstanbul İzmir: pack sunscreen for İzmir', timestamp: now }] })
+  search.indexConversation(trip)
+
+  const [hit] = (await search.searchConversations('sunscreen')).results
+  assert.deepEqual(hit.highlights.map(([from, to]) => hit.snippet.slice(from, to)), ['sunscreen'])
+})
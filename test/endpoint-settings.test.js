@@ -0,0 +1,88 @@
+/**
+ * endpoint-settings.test.js
+ *
+ * 自定义端点的连接设置：认证头、只用于 https 端点的 CA 证书（按修改时间缓存），以及无法解密的令牌只报告一次
+ * （electron 由 helpers/fake-electron.js 代替）
+ *
+ * Connection settings for custom endpoints: auth headers, CA certificates for https endpoints only (cached
+ * by modification time), and a token that cannot be decrypted being reported once (electron is replaced
+ * by helpers/fake-electron.js)
+ *
+ * npm test
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { register } from 'node:module'
+import { useTempHome } from './helpers/temp-home.js'
+
+register('./helpers/electron-loader.js', import.meta.url)
+const home = useTempHome('endpoints')
+
+const { safeStorage } = await import('./helpers/fake-electron.js')
+const { unlockSecretStore } = await import('../secret-store.js')
+const endpoints = await import('../endpoint-settings.js')
+
+const caFile = path.join(home, 'ca.pem')
+const PEM = '-----BEGIN CERTIFICATE-----\nMIIB\n-----END CERTIFICATE-----\n'
+fs.writeFileSync(caFile, PEM)
+unlockSecretStore('endpoint tests')
+
+test('sends the saved token as a bearer or API key header', () => {
+  endpoints.saveEndpointSettings('https://foundry.example.com:8443/v1', { authType: 'bearer', secret: 'tok-123456789' })
+  assert.deepEqual(endpoints.getEndpointConnection('https://foundry.example.com:8443/openai/status'), {
+    headers: { Authorization: 'Bearer tok-123456789' }
+  })
+  assert.equal(endpoints.getEndpointSettings('https://foundry.example.com:8443').secretMask, '••••••••6789')
+
+  endpoints.saveEndpointSettings('http://[::1]:5273', { authType: 'api-key', headerName: 'X-Key', secret: 'key-1' })
+  assert.deepEqual(endpoints.getEndpointConnection('http://[::1]:5273').headers, { 'X-Key': 'key-1' })
+})
+
+test('uses a CA certificate for https endpoints only', () => {
+  assert.throws(
+    () => endpoints.saveEndpointSettings('http://192.168.1.20:5273', { authType: 'none', caFile }),
+    /only applies to https/
+  )
+  // 测试连接时传入的未保存设置同样不会给 http 端点加上 CA
+  // Unsaved settings from Test Connection do not give an http endpoint a CA either
+  assert.equal(endpoints.getEndpointConnection('http://192.168.1.20:5273', { authType: 'none', caFile }).ca, undefined)
+
+  endpoints.saveEndpointSettings('https://secure.example.com', { authType: 'none', caFile })
+  assert.equal(endpoints.getEndpointConnection('https://secure.example.com').ca, PEM)
+})
+
+test('reads the CA certificate again only after it changes', (t) => {
+  const read = t.mock.method(fs, 'readFileSync')
+  const readsOf = () => read.mock.calls.filter(call => call.arguments[0] === caFile).length
+
+  endpoints.getEndpointConnection('https://secure.example.com')
+  endpoints.getEndpointConnection('https://secure.example.com')
+  assert.equal(readsOf(), 0)
+
+  const renewed = PEM.replace('MIIB', 'MIIC')
+  fs.writeFileSync(caFile, renewed)
+  const later = new Date(Date.now() + 5000)
+  fs.utimesSync(caFile, later, later)
+  assert.equal(endpoints.getEndpointConnection('https://secure.example.com').ca, renewed)
+  assert.equal(readsOf(), 1)
+})
+
+test('reports a token it cannot decrypt once, and sends no auth header', (t) => {
+  safeStorage.available = true
+  try {
+    endpoints.saveEndpointSettings('https://keychain.example.com', { authType: 'bearer', secret: 'tok-keychain' })
+  } finally {
+    safeStorage.available = false
+  }
+
+  const warn = t.mock.method(console, 'warn', () => {})
+  for (let tick = 0; tick < 3; tick++) {
+    const connection = endpoints.getEndpointConnection('https://keychain.example.com')
+    assert.deepEqual(connection.headers, {})
+    assert.match(connection.error, /^The saved token cannot be used: .*OS keychain/)
+  }
+  assert.equal(warn.mock.callCount(), 1)
+})
@@ -0,0 +1,109 @@
+/**
+ * file-attachments.test.js
+ *
+ * 附件文本提取、编码识别、按上下文预算截断，以及发送给模型的上下文块格式
+ * Attachment text extraction, encoding detection, truncation to the context budget and the format
+ * of the context blocks sent to the model
+ *
+ * npm test
+ */
+
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+import { readAttachment, expandAttachments, getAttachmentKind, getAttachmentTokenLimit } from '../file-attachments.js'
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'foundry-chat-attachments-'))
+
+function writeFile(name, content) {
+  const filePath = path.join(dir, name)
+  fs.writeFileSync(filePath, content)
+  return filePath
+}
+
+// 一页写着 "Hello PDF" 的最小 PDF
+// Smallest PDF with one page that reads "Hello PDF"
+function minimalPdf() {
+  const stream = 'BT /F1 18 Tf 20 100 Td (Hello PDF) Tj ET'
+  const objects = [
+    '<< /Type /Catalog /Pages 2 0 R >>',
+    '<< /Type /Pages /Kids [3 0 R] /Count 1 >>',
+    '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 300 144] /Contents 4 0 R /Resources << /Font << /F1 5 0 R >> >> >>',
+    `<< /Length ${stream.length} >>\nstream\n${stream}\nendstream`,
+    '<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica >>'
+  ]
+  let pdf = '%PDF-1.4\n'
+  const offsets = objects.map((object, index) => {
+    const offset = pdf.length
+    pdf += `${index + 1} 0 obj\n${object}\nendobj\n`
+    return offset
+  })
+  const xref = pdf.length
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`
+  pdf += offsets.map(offset => `${String(offset).padStart(10, '0')} 00000 n \n`).join('')
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root 1 0 R >>\nstartxref\n${xref}\n%%EOF\n`
+  return pdf
+}
+
+after(() => fs.rmSync(dir, { recursive: true, force: true }))
+
+test('detects the kind from the file name', () => {
+  assert.equal(getAttachmentKind('main.PY'), 'code')
+  assert.equal(getAttachmentKind('Dockerfile'), 'code')
+  assert.equal(getAttachmentKind('notes.md'), 'markdown')
+  assert.equal(getAttachmentKind('data.tsv'), 'csv')
+  assert.equal(getAttachmentKind('report.pdf'), 'pdf')
+  assert.equal(getAttachmentKind('image.png'), null)
+})
+
+test('reads UTF-8 and UTF-16 text', async () => {
+  const utf8 = await readAttachment(writeFile('app.log', '\uFEFFline 1\r\nline 2\r\n'))
+  assert.equal(utf8.kind, 'text')
+  assert.equal(utf8.text, 'line 1\nline 2')
+  assert.equal(utf8.truncated, false)
+
+  const utf16 = await readAttachment(writeFile('out.txt', Buffer.concat([Buffer.from([0xff, 0xfe]), Buffer.from('Grüße', 'utf16le')])))
+  assert.equal(utf16.text, 'Grüße')
+})
+
+test('extracts the text of a PDF', async () => {
+  const attachment = await readAttachment(writeFile('hello.pdf', minimalPdf()))
+  assert.equal(attachment.pages, 1)
+  assert.match(attachment.text, /^\[Page 1\]\nHello PDF/)
+})
+
+test('rejects binary, empty and broken files', async () => {
+  await assert.rejects(readAttachment(writeFile('blob.dat', Buffer.from([1, 0, 2, 0]))), /binary file/)
+  await assert.rejects(readAttachment(writeFile('empty.md', '  \n')), /empty\.md is empty/)
+  await assert.rejects(readAttachment(writeFile('broken.pdf', 'not a pdf')), /Could not read broken\.pdf/)
+})
+
+test('truncates to half of the context budget at a line break', async () => {
+  const lines = Array.from({ length: 2000 }, (_, i) => `line ${i} of a long log file`)
+  const attachment = await readAttachment(writeFile('long.log', lines.join('\n')), { budget: 1000 })
+  assert.equal(getAttachmentTokenLimit(1000), 500)
+  assert.equal(attachment.truncated, true)
+  assert.ok(attachment.tokens <= 500)
+  assert.ok(attachment.originalTokens > 10000)
+  assert.ok(lines.includes(attachment.text.split('\n').at(-1)))
+})
+
+test('expands attachments into labelled blocks ahead of the message', () => {
+  const message = expandAttachments({
+    role: 'user',
+    content: 'Why does this fail?',
+    attachments: [{ name: 'build.js', kind: 'code', text: 'run(```x```)', truncated: true, tokens: 10, originalTokens: 90 }]
+  })
+  assert.deepEqual(Object.keys(message), ['role', 'content'])
+  assert.equal(message.content, [
+    'Attached file: build.js (code, truncated to the first ~10 of ~90 tokens)',
+    '````js',
+    'run(```x```)',
+    '````',
+    '',
+    'Why does this fail?'
+  ].join('\n'))
+  assert.deepEqual(expandAttachments({ role: 'user', content: 'hi' }), { role: 'user', content: 'hi' })
+})
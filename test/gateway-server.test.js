@@ -0,0 +1,135 @@
+/**
+ * gateway-server.test.js
+ *
+ * 本地网关：令牌校验（401）、未知模型（404）、请求体上限（413）、普通与流式补全的转发，以及模型列表
+ * The local gateway: token check (401), unknown models (404), the body limit (413), forwarding plain and
+ * streaming completions, and the model list
+ *
+ * npm test
+ */
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import net from 'net'
+import { useTempHome } from './helpers/temp-home.js'
+
+useTempHome('gateway')
+const gateway = await import('../gateway-server.js')
+
+const upstreamRequests = []
+let baseUrl
+let token
+
+// 上游客户端的替身：记录请求，按请求返回一个补全或一串流式片段
+// Stand-in for the upstream client: records the requests and returns a completion or a stream of chunks
+const stubClient = {
+  chat: {
+    completions: {
+      create: async (request) => {
+        upstreamRequests.push(request)
+        if (!request.stream) {
+          return { id: 'chatcmpl-1', object: 'chat.completion', model: request.model, choices: [{ index: 0, message: { role: 'assistant', content: 'Hello!' }, finish_reason: 'stop' }] }
+        }
+        return (async function * () {
+          for (const content of ['Hel', 'lo!']) {
+            yield { id: 'chatcmpl-2', object: 'chat.completion.chunk', model: request.model, choices: [{ index: 0, delta: { content } }] }
+          }
+        })()
+      }
+    }
+  }
+}
+
+const handlers = {
+  listModels: async () => [{ id: 'phi-4-mini', ownedBy: 'foundry-local' }],
+  resolveModel: async (model) => model === 'phi-4-mini' ? { aiClient: stubClient, modelName: 'Phi-4-mini-instruct-generic-cpu' } : null
+}
+
+function getFreePort() {
+  return new Promise((resolve, reject) => {
+    const probe = net.createServer().listen(0, '127.0.0.1', () => {
+      const { port } = probe.address()
+      probe.close(() => resolve(port))
+    })
+    probe.on('error', reject)
+  })
+}
+
+function post(body, headers = { Authorization: `Bearer ${token}` }) {
+  return fetch(`${baseUrl}/chat/completions`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json', ...headers },
+    body: typeof body === 'string' || body instanceof ReadableStream ? body : JSON.stringify(body),
+    duplex: 'half'
+  })
+}
+
+before(async () => {
+  const settings = gateway.saveGatewaySettings({ enabled: true, port: await getFreePort() })
+  token = settings.token
+  baseUrl = (await gateway.applyGatewaySettings(handlers)).url
+})
+
+after(() => gateway.stopGateway())
+
+test('refuses requests without the gateway token', async () => {
+  const missing = await fetch(`${baseUrl}/models`)
+  assert.equal(missing.status, 401)
+  assert.equal((await missing.json()).error.type, 'authentication_error')
+
+  const wrong = await post({ model: 'phi-4-mini', messages: [{ role: 'user', content: 'Hi' }] }, { Authorization: 'Bearer fcg-wrong' })
+  assert.equal(wrong.status, 401)
+  assert.equal(upstreamRequests.length, 0)
+})
+
+test('lists the models', async () => {
+  const response = await fetch(`${baseUrl}/models`, { headers: { Authorization: `Bearer ${token}` } })
+  assert.equal(response.status, 200)
+  assert.deepEqual(await response.json(), { object: 'list', data: [{ id: 'phi-4-mini', object: 'model', created: 0, owned_by: 'foundry-local' }] })
+})
+
+test('answers 404 for an unknown model and 400 for a bad body', async () => {
+  const unknown = await post({ model: 'gpt-9', messages: [{ role: 'user', content: 'Hi' }] })
+  assert.equal(unknown.status, 404)
+  assert.match((await unknown.json()).error.message, /The model 'gpt-9' does not exist/)
+
+  assert.equal((await post('{"model":')).status, 400)
+  assert.equal((await post({ model: 'phi-4-mini', messages: [] })).status, 400)
+})
+
+test('answers 413 for a body over the limit', async () => {
+  const response = await post({ model: 'phi-4-mini', messages: [{ role: 'user', content: 'x'.repeat(10 * 1024 * 1024) }] })
+  assert.equal(response.status, 413)
+  assert.match((await response.json()).error.message, /too large/)
+
+  // 分块发送、没有 Content-Length 的请求体在读到上限时被拒绝
+  // A chunked body without a Content-Length is refused once it reaches the limit
+  const piece = Buffer.alloc(1024 * 1024, 'x')
+  let sent = 0
+  const chunked = await post(new ReadableStream({
+    pull: (controller) => sent++ < 11 ? controller.enqueue(piece) : controller.close()
+  }))
+  assert.equal(chunked.status, 413)
+})
+
+test('forwards a completion under the upstream model name', async () => {
+  const response = await post({ model: 'phi-4-mini', messages: [{ role: 'user', content: 'Hi' }], temperature: 0.2 })
+  assert.equal(response.status, 200)
+  const completion = await response.json()
+  assert.equal(completion.model, 'phi-4-mini')
+  assert.equal(completion.choices[0].message.content, 'Hello!')
+  assert.deepEqual(upstreamRequests.at(-1), { model: 'Phi-4-mini-instruct-generic-cpu', messages: [{ role: 'user', content: 'Hi' }], temperature: 0.2 })
+})
+
+test('streams chunks as server-sent events', async () => {
+  const response = await post({ model: 'phi-4-mini', messages: [{ role: 'user', content: 'Hi' }], stream: true })
+  assert.equal(response.status, 200)
+  assert.match(response.headers.get('content-type'), /^text\/event-stream/)
+
+  const events = (await response.text()).split('\n\n').filter(Boolean).map(event => event.replace(/^data: /, ''))
+  assert.equal(events.at(-1), '[DONE]')
+  const chunks = events.slice(0, -1).map(event => JSON.parse(event))
+  assert.deepEqual(chunks.map(chunk => chunk.choices[0].delta.content), ['Hel', 'lo!'])
+  assert.ok(chunks.every(chunk => chunk.model === 'phi-4-mini'))
+  assert.equal(upstreamRequests.at(-1).stream, true)
+})
@@ -0,0 +1,16 @@
+/**
+ * electron-loader.js
+ *
+ * 测试辅助：模块解析钩子，把 electron 指向 fake-electron.js，使依赖 safeStorage 的主进程模块可以在 Node 中测试
+ * Test helper: a module resolve hook that points electron at fake-electron.js, so main-process modules
+ * that use safeStorage can be tested under Node
+ *
+ * register('./helpers/electron-loader.js', import.meta.url)
+ */
+
+export async function resolve(specifier, context, nextResolve) {
+  if (specifier === 'electron') {
+    return { url: new URL('./fake-electron.js', import.meta.url).href, shortCircuit: true }
+  }
+  return nextResolve(specifier, context)
+}
@@ -0,0 +1,33 @@
+/**
+ * fake-electron.js
+ *
+ * 测试辅助：代替 electron 模块，只提供 safeStorage；测试可以切换钥匙串是否可用
+ * 由 electron-loader.js 在测试进程中替换 `import ... from 'electron'`
+ *
+ * Test helper: stands in for the electron module with safeStorage only; tests can switch the
+ * keychain on and off
+ * electron-loader.js swaps it in for `import ... from 'electron'` in the test process
+ */
+
+const KEYCHAIN_MARK = 'keychain:'
+
+export const safeStorage = {
+  available: false,
+  backend: 'gnome_libsecret',
+
+  isEncryptionAvailable() {
+    return this.available
+  },
+
+  getSelectedStorageBackend() {
+    return this.backend
+  },
+
+  encryptString(plaintext) {
+    return Buffer.from(KEYCHAIN_MARK + Buffer.from(plaintext).toString('base64'))
+  },
+
+  decryptString(buffer) {
+    return Buffer.from(buffer.toString().slice(KEYCHAIN_MARK.length), 'base64').toString('utf8')
+  }
+}
@@ -0,0 +1,29 @@
+/**
+ * temp-home.js
+ *
+ * 测试辅助：把 HOME 指向临时目录，~/.foundry-chat 的读写都落在其中，不碰真实的数据目录
+ * 每个测试文件在单独的进程中运行，进程退出时删除临时目录（在所有 after 钩子之后）
+ *
+ * Test helper: points HOME at a temporary directory, so everything under ~/.foundry-chat is written
+ * there instead of the real data directory
+ * Every test file runs in its own process; the directory is removed when it exits (after every after hook)
+ */
+
+import fs from 'fs'
+import os from 'os'
+import path from 'path'
+
+/**
+ * 使用临时 HOME；在导入会读写数据目录的模块之前调用
+ * Use a temporary HOME; call it before importing the modules that read or write the data directory
+ *
+ * @param {string} name - Part of the directory name, to tell the test files apart
+ * @returns {string} The temporary home directory
+ */
+export function useTempHome(name) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), `foundry-chat-${name}-`))
+  process.env.HOME = home
+  process.env.USERPROFILE = home
+  process.once('exit', () => fs.rmSync(home, { recursive: true, force: true }))
+  return home
+}
@@ -0,0 +1,68 @@
+/**
+ * image-input.test.js
+ *
+ * 图片输入：按名称推断与设置中的标记、内容片段的转换、不接受图片的模型、图片的 token 估算，以及与模拟 Foundry 的往返
+ * Image input: guessing from the name and marks from Settings, conversion to content parts, models that
+ * do not accept images, the token estimate of images, and a round trip with the mock Foundry
+ *
+ * npm test
+ */
+
+import { test, after } from 'node:test'
+import assert from 'node:assert/strict'
+import OpenAI from 'openai'
+import { startMockFoundry, stopMockFoundry } from '../mock-foundry.js'
+import { useTempHome } from './helpers/temp-home.js'
+
+useTempHome('images')
+const images = await import('../image-input.js')
+const { countMessageTokens, IMAGE_TOKENS } = await import('../context-window.js')
+const PIXEL = 'data:image/png;base64,iVBORw0KGgo='
+
+after(async () => {
+  await stopMockFoundry()
+})
+
+test('guesses vision support from the model name', () => {
+  for (const name of ['gpt-4o', 'gpt-4o-mini', 'gpt-4.1-nano', 'o4-mini', 'Phi-3.5-vision-instruct-generic-cpu', 'qwen2.5-vl-7b', 'phi-4-multimodal-instruct']) {
+    assert.ok(images.guessVisionSupport(name), name)
+  }
+  for (const name of ['gpt-35-turbo', 'o3-mini', 'phi-4-mini-instruct-generic-cpu', 'mistral-7b-v0.2', 'deepseek-r1-distill-qwen-7b']) {
+    assert.ok(!images.guessVisionSupport(name), name)
+  }
+})
+
+test('a mark in Settings overrides the guess', () => {
+  assert.deepEqual(images.getVisionSupport('cloud:abc', 'my-deployment'), { vision: false, isDefault: true })
+  assert.deepEqual(images.saveVisionSupport('cloud:abc', true, 'my-deployment'), { vision: true, isDefault: false })
+  assert.deepEqual(images.saveVisionSupport('mock-vision-cpu', false), { vision: false, isDefault: false })
+  assert.deepEqual(images.saveVisionSupport('mock-vision-cpu', null), { vision: true, isDefault: true })
+  assert.throws(() => images.saveVisionSupport('', true), /Model id is required/)
+})
+
+test('turns images into content parts or leaves a note', () => {
+  const message = images.normalizeMessageImages({ role: 'user', content: 'What is this?', images: [{ name: 'shot.png', dataUrl: PIXEL, width: 1 }] })
+  assert.deepEqual(images.toContentParts(message), {
+    role: 'user',
+    content: [{ type: 'text', text: 'What is this?' }, { type: 'image_url', image_url: { url: PIXEL } }]
+  })
+  assert.deepEqual(images.toContentParts({ role: 'user', content: '', images: [{ name: 'a', dataUrl: PIXEL }] }).content, [
+    { type: 'image_url', image_url: { url: PIXEL } }
+  ])
+  assert.match(images.omitImages(message).content, /^\[Image\(s\) not sent, the model does not accept images: shot\.png\]\n\nWhat is this\?$/)
+  assert.equal(countMessageTokens(message), countMessageTokens({ role: 'user', content: 'What is this?' }) + IMAGE_TOKENS)
+
+  assert.throws(() => images.normalizeMessageImages({ role: 'user', content: '', images: [{ dataUrl: 'data:image/svg+xml;base64,PHN2Zz4=' }] }), /Image 1 is not/)
+  assert.throws(() => images.normalizeMessageImages({ role: 'assistant', content: '', images: [{ dataUrl: PIXEL }] }), /Only user messages/)
+})
+
+test('sends images to the mock service as content parts', async () => {
+  const endpoint = await startMockFoundry({
+    script: { models: [{ id: 'mock-vision', cached: true }], replies: [{ match: 'look', reply: '{{images}} image(s): {{prompt}}' }], default: { reply: 'x' } },
+    port: 0
+  })
+  const client = new OpenAI({ apiKey: 'local', baseURL: `${endpoint}/v1` })
+  const message = images.toContentParts({ role: 'user', content: 'look at these', images: [{ name: 'a', dataUrl: PIXEL }, { name: 'b', dataUrl: PIXEL }] })
+  const reply = await client.chat.completions.create({ model: 'mock-vision', messages: [message] })
+  assert.equal(reply.choices[0].message.content, '2 image(s): look at these')
+})
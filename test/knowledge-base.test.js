@@ -0,0 +1,114 @@
+/**
+ * knowledge-base.test.js
+ *
+ * 知识库：分块与行号、用模拟 Foundry 的 /v1/embeddings 建立索引、增量更新、检索与带编号来源的上下文
+ * Knowledge base: chunking and line numbers, indexing through the /v1/embeddings route of the mock
+ * Foundry, incremental updates, retrieval and the context with numbered sources
+ *
+ * npm test
+ */
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import OpenAI from 'openai'
+import { startMockFoundry, stopMockFoundry } from '../mock-foundry.js'
+import { useTempHome } from './helpers/temp-home.js'
+
+const home = useTempHome('knowledge')
+const knowledge = await import('../knowledge-base.js')
+const docs = path.join(home, 'docs')
+let embeddedTexts = 0
+
+function writeDoc(name, content) {
+  const filePath = path.join(docs, name)
+  fs.mkdirSync(path.dirname(filePath), { recursive: true })
+  fs.writeFileSync(filePath, content)
+  return filePath
+}
+
+before(async () => {
+  const endpoint = await startMockFoundry({ script: { models: [], replies: [], default: { reply: 'x' } }, port: 0 })
+  const client = new OpenAI({ apiKey: 'local', baseURL: `${endpoint}/v1` })
+  writeDoc('garden.md', '# Garden\n\nWater the tomatoes every morning.\nTomatoes need full sun.\n')
+  writeDoc('notes/car.txt', 'The car needs new brake pads.\nBook the garage for Tuesday.\n')
+  writeDoc('node_modules/skip.md', 'tomatoes tomatoes tomatoes')
+  writeDoc('photo.png', 'not indexed')
+  knowledge.saveKnowledgeSettings({ enabled: true, folders: [docs], embeddingModel: 'mock-embed', topK: 2 })
+  knowledge.applyKnowledgeSettings({
+    createEmbedder: async (settings) => async (texts) => {
+      embeddedTexts += texts.length
+      const response = await client.embeddings.create({ model: settings.embeddingModel, input: texts, encoding_format: 'float' })
+      return response.data.map(item => item.embedding)
+    }
+  })
+  knowledge.stopKnowledgeBase()
+})
+
+after(async () => {
+  knowledge.stopKnowledgeBase()
+  await stopMockFoundry()
+})
+
+test('splits text into overlapping chunks with line and page numbers', () => {
+  const lines = Array.from({ length: 400 }, (_, i) => `line ${i + 1} of the document`)
+  const chunks = knowledge.chunkText(lines.join('\n'))
+  assert.ok(chunks.length > 1)
+  assert.equal(chunks[0].startLine, 1)
+  assert.equal(chunks.at(-1).endLine, 400)
+  assert.ok(chunks[1].startLine <= chunks[0].endLine)
+  assert.match(chunks[1].text, new RegExp(`^line ${chunks[1].startLine} `))
+
+  const pdf = knowledge.chunkText('[Page 1]\nIntro\n\n[Page 2]\n' + 'word '.repeat(2000))
+  assert.deepEqual(pdf[0], { startLine: 1, endLine: 3, page: 1, text: '[Page 1]\nIntro' })
+  assert.equal(pdf[1].startLine, 4)
+  assert.ok(pdf.slice(1).every(chunk => chunk.page === 2))
+})
+
+test('indexes supported files and skips dependency folders', async () => {
+  const status = await knowledge.syncKnowledgeBase()
+  assert.equal(status.state, 'ready')
+  assert.equal(status.files, 2)
+  assert.ok(knowledge.isIndexedFile(path.join(docs, 'garden.md')))
+  assert.ok(!knowledge.isIndexedFile(path.join(docs, 'node_modules', 'skip.md')))
+  assert.ok(fs.existsSync(path.join(home, '.foundry-chat', 'knowledge', 'index.json')))
+})
+
+test('retrieves the best chunks and numbers them as sources', async () => {
+  const result = await knowledge.retrieveKnowledge([
+    { role: 'system', content: 'Be brief.' },
+    { role: 'user', content: 'When should I water the tomatoes?' }
+  ])
+  assert.equal(result.sources[0].name, 'garden.md')
+  assert.equal(result.sources[0].number, 1)
+  assert.equal(result.sources[0].location, 'lines 1-4')
+  assert.equal(result.messages[0].content, 'Be brief.')
+  assert.match(result.messages[1].content, /^Excerpts from the user's local documents/)
+  assert.match(result.messages[1].content, /\[1\] garden\.md \(lines 1-4\)\n# Garden/)
+  assert.match(result.messages[1].content, /When should I water the tomatoes\?$/)
+
+  const unrelated = await knowledge.retrieveKnowledge([{ role: 'user', content: 'quantum chromodynamics' }])
+  assert.deepEqual(unrelated.sources, [])
+})
+
+test('only embeds changed files and drops deleted ones', async () => {
+  embeddedTexts = 0
+  writeDoc('notes/car.txt', 'The car needs new brake pads and winter tyres.\n')
+  let status = await knowledge.syncKnowledgeBase()
+  assert.equal(embeddedTexts, 1)
+  assert.equal(status.files, 2)
+
+  const result = await knowledge.retrieveKnowledge([{ role: 'user', content: 'winter tyres for the car' }])
+  assert.equal(result.sources[0].name, path.join('notes', 'car.txt'))
+
+  fs.rmSync(path.join(docs, 'garden.md'))
+  status = await knowledge.syncKnowledgeBase()
+  assert.equal(status.files, 1)
+  assert.ok(!knowledge.isIndexedFile(path.join(docs, 'garden.md')))
+})
+
+test('validates settings', () => {
+  assert.throws(() => knowledge.saveKnowledgeSettings({ topK: 0 }), /between 1 and 10/)
+  assert.throws(() => knowledge.saveKnowledgeSettings({ folders: [path.join(home, 'missing')] }), /Not a folder/)
+})
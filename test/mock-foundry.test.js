@@ -0,0 +1,131 @@
+/**
+ * mock-foundry.test.js
+ *
+ * 模拟 Foundry 服务的端到端测试：CLI 状态、OpenAI 客户端流式回复、脚本错误与断开、SDK 模型管理
+ * End-to-end tests of the mock Foundry service: CLI status, OpenAI client streaming, scripted errors
+ * and disconnects, SDK model management
+ *
+ * npm test
+ */
+
+import { test, before, after } from 'node:test'
+import assert from 'node:assert/strict'
+import OpenAI from 'openai'
+import { FoundryLocalManager } from 'foundry-local-sdk/browser'
+import { startMockFoundry, stopMockFoundry, runMockCli } from '../mock-foundry.js'
+import { parseServiceStatus } from '../service-status-parser.js'
+
+const SCRIPT = {
+  startDelayMs: 0,
+  downloadStepMs: 0,
+  models: [
+    { id: 'test-chat-cpu', alias: 'test-chat', cached: true, loaded: true },
+    { id: 'test-small-cpu', alias: 'test-small' }
+  ],
+  replies: [
+    { match: '^boom$', error: { status: 503, message: 'Scripted outage' } },
+    { match: '^cut$', reply: 'one two three four five', dropAfterChunks: 2 },
+    { match: 'hello', reply: 'Hi there, {{model}}!' }
+  ],
+  default: { reply: 'Echo: {{prompt}}' }
+}
+
+let client
+
+before(async () => {
+  assert.equal(parseServiceStatus((await runMockCli('service status')).stdout).state, 'stopped')
+  const endpoint = await startMockFoundry({ script: SCRIPT, port: 0 })
+  client = new OpenAI({ apiKey: 'sk-mock', baseURL: `${endpoint}/v1`, maxRetries: 0 })
+})
+
+after(() => stopMockFoundry())
+
+test('fake CLI status reports the running service', async () => {
+  const status = parseServiceStatus((await runMockCli('service status')).stdout)
+  assert.equal(status.state, 'running')
+  assert.match(status.endpoint, /^http:\/\/127\.0\.0\.1:\d+$/)
+})
+
+test('lists cached models on /v1/models', async () => {
+  const models = await client.models.list()
+  assert.deepEqual(models.data.map(m => m.id), ['test-chat-cpu'])
+})
+
+test('streams a scripted reply', async () => {
+  const stream = await client.chat.completions.create({
+    model: 'test-chat-cpu',
+    messages: [{ role: 'user', content: 'hello' }],
+    stream: true
+  })
+  let text = ''
+  let chunks = 0
+  for await (const chunk of stream) {
+    text += chunk.choices[0]?.delta?.content || ''
+    chunks++
+  }
+  assert.equal(text, 'Hi there, test-chat-cpu!')
+  assert.ok(chunks > 2)
+})
+
+test('falls back to the default reply without streaming', async () => {
+  const completion = await client.chat.completions.create({
+    model: 'test-chat-cpu',
+    messages: [{ role: 'user', content: 'anything else' }]
+  })
+  assert.equal(completion.choices[0].message.content, 'Echo: anything else')
+})
+
+test('returns scripted errors', async () => {
+  await assert.rejects(
+    client.chat.completions.create({ model: 'test-chat-cpu', messages: [{ role: 'user', content: 'boom' }] }),
+    error => error.status === 503 && /Scripted outage/.test(error.message)
+  )
+})
+
+test('drops the connection mid-stream', async () => {
+  const stream = await client.chat.completions.create({
+    model: 'test-chat-cpu',
+    messages: [{ role: 'user', content: 'cut' }],
+    stream: true
+  })
+  let text = ''
+  await assert.rejects(async () => {
+    for await (const chunk of stream) {
+      text += chunk.choices[0]?.delta?.content || ''
+    }
+  })
+  assert.equal(text, 'one two ')
+})
+
+test('rejects models that are not downloaded', async () => {
+  await assert.rejects(
+    client.chat.completions.create({ model: 'test-small-cpu', messages: [{ role: 'user', content: 'hi' }] }),
+    error => error.status === 404
+  )
+})
+
+test('downloads, loads, unloads and removes models through the SDK and fake CLI', async () => {
+  const manager = new FoundryLocalManager({ serviceUrl: (await startMockFoundry()) })
+  const progress = []
+  await manager.downloadModel('test-small', undefined, false, percent => progress.push(percent))
+  assert.equal(progress.at(-1), 100)
+  assert.ok((await manager.listCachedModels()).some(m => m.id === 'test-small-cpu'))
+
+  await manager.loadModel('test-small')
+  assert.ok((await manager.listLoadedModels()).some(m => m.id === 'test-small-cpu'))
+  await manager.unloadModel('test-small', true)
+  assert.ok(!(await manager.listLoadedModels()).some(m => m.id === 'test-small-cpu'))
+
+  await runMockCli('cache remove test-small-cpu')
+  assert.ok(!(await manager.listCachedModels()).some(m => m.id === 'test-small-cpu'))
+  await assert.rejects(runMockCli('cache remove test-small-cpu'), /not in the cache/)
+})
+
+test('fake CLI reports the service as stopped until the start delay passes', async () => {
+  await stopMockFoundry()
+  await startMockFoundry({ script: { ...SCRIPT, startDelayMs: 200 }, port: 0 })
+  assert.equal(parseServiceStatus((await runMockCli('service status')).stdout).state, 'stopped')
+
+  await new Promise(resolve => setTimeout(resolve, 250))
+  assert.equal(parseServiceStatus((await runMockCli('service status')).stdout).state, 'running')
+})
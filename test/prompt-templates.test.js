@@ -0,0 +1,65 @@
+/**
+ * prompt-templates.test.js
+ *
+ * 提示词模板：变量提取、保存/重命名/删除、名称校验与内置命令冲突，以及跳过无法读取的共享文件
+ * Prompt templates: extracting variables, save / rename / delete, name checks and clashes with
+ * built-in commands, and skipping shared files that cannot be read
+ *
+ * npm test
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { useTempHome } from './helpers/temp-home.js'
+
+useTempHome('templates')
+const templates = await import('../prompt-templates.js')
+
+test('extracts each variable once, in order', () => {
+  assert.deepEqual(
+    templates.extractVariables('Translate {{text}} to {{ language }}, keep {{text}} short. {{语言}} {{}}'),
+    ['text', 'language', '语言']
+  )
+  assert.deepEqual(templates.extractVariables('No variables here'), [])
+})
+
+test('saves, renames and deletes templates as one file each', () => {
+  const saved = templates.saveTemplate({ name: '/Review', description: ' Review a diff ', prompt: 'Review this diff:\n\n{{diff}}' })
+  assert.deepEqual(saved, { name: 'review', description: 'Review a diff', prompt: 'Review this diff:\n\n{{diff}}', variables: ['diff'] })
+  assert.deepEqual(
+    JSON.parse(fs.readFileSync(path.join(templates.getTemplatesDir(), 'review.json'), 'utf8')),
+    { description: 'Review a diff', prompt: 'Review this diff:\n\n{{diff}}' }
+  )
+
+  assert.throws(() => templates.saveTemplate({ name: 'review', prompt: 'Again' }), /already exists/)
+  templates.saveTemplate({ name: 'review', previousName: 'review', prompt: 'Review {{diff}} for {{focus}}' })
+  assert.deepEqual(templates.listTemplates().map(t => t.variables), [['diff', 'focus']])
+
+  templates.saveTemplate({ name: 'code-review', previousName: 'review', prompt: 'Review {{diff}}' })
+  assert.deepEqual(templates.listTemplates().map(t => t.name), ['code-review'])
+
+  templates.deleteTemplate('code-review')
+  assert.deepEqual(templates.listTemplates(), [])
+})
+
+test('refuses bad names, built-in commands and empty prompts', () => {
+  assert.throws(() => templates.saveTemplate({ name: 'my template', prompt: 'x' }), /lowercase letters/)
+  assert.throws(() => templates.saveTemplate({ name: '../escape', prompt: 'x' }), /lowercase letters/)
+  assert.throws(() => templates.saveTemplate({ name: 'clear', prompt: 'x' }), /built-in command/)
+  assert.throws(() => templates.saveTemplate({ name: 'notes', prompt: '  ' }), /prompt is required/)
+  assert.throws(() => templates.deleteTemplate('../index'), /lowercase letters/)
+})
+
+test('lists shared files and skips the ones it cannot read', () => {
+  const dir = templates.getTemplatesDir()
+  fs.writeFileSync(path.join(dir, 'summarize-log.json'), JSON.stringify({ prompt: 'Summarize this log:\n{{log}}' }))
+  fs.writeFileSync(path.join(dir, 'broken.json'), '{ not json')
+  fs.writeFileSync(path.join(dir, 'Upper.json'), JSON.stringify({ prompt: 'x' }))
+  fs.writeFileSync(path.join(dir, 'notes.txt'), 'not a template')
+
+  assert.deepEqual(templates.listTemplates(), [
+    { name: 'summarize-log', description: '', prompt: 'Summarize this log:\n{{log}}', variables: ['log'] }
+  ])
+})
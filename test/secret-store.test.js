@@ -0,0 +1,151 @@
+/**
+ * secret-store.test.js
+ *
+ * 密钥加密存储与云端 Profile：没有钥匙串时的口令加密、错误口令、系统钥匙串、旧版配置和明文密钥的迁移，
+ * 以及发送给渲染进程的 Profile 只含掩码（electron 由 helpers/fake-electron.js 代替）
+ *
+ * Secret store and cloud profiles: passphrase encryption without a keychain, wrong passphrases, the OS
+ * keychain, migrating the legacy config and plaintext keys, and profiles for the renderer carrying masks
+ * only (electron is replaced by helpers/fake-electron.js)
+ *
+ * npm test
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { register } from 'node:module'
+import { useTempHome } from './helpers/temp-home.js'
+
+register('./helpers/electron-loader.js', import.meta.url)
+useTempHome('secrets')
+for (const name of ['YOUR_API_KEY', 'YOUR_ENDPOINT', 'YOUR_MODEL_NAME']) {
+  delete process.env[name]
+}
+
+const { safeStorage } = await import('./helpers/fake-electron.js')
+const secrets = await import('../secret-store.js')
+const profiles = await import('../cloud-profiles.js')
+const { getDataDir, readJsonFile } = await import('../app-storage.js')
+
+test('falls back to a passphrase store without a keychain', () => {
+  assert.deepEqual(secrets.getSecretStoreStatus(), { backend: 'passphrase', initialized: false, unlocked: false })
+  assert.throws(() => secrets.encryptSecret('sk-secret-1234'), /locked/)
+  assert.throws(() => secrets.unlockSecretStore(''), /Passphrase is required/)
+
+  secrets.unlockSecretStore('correct horse')
+  assert.deepEqual(secrets.getSecretStoreStatus(), { backend: 'passphrase', initialized: true, unlocked: true })
+
+  // 只保存盐和校验值，不保存口令
+  // Only the salt and the verifier are stored, never the passphrase
+  const metaPath = path.join(getDataDir(), 'secret-store.json')
+  assert.deepEqual(Object.keys(readJsonFile(metaPath)).sort(), ['salt', 'verifier'])
+  assert.ok(!fs.readFileSync(metaPath, 'utf8').includes('correct horse'))
+  if (process.platform !== 'win32') {
+    assert.equal(fs.statSync(metaPath).mode & 0o777, 0o600)
+  }
+
+  const encrypted = secrets.encryptSecret('sk-secret-1234')
+  assert.match(encrypted, /^pass:v1:/)
+  assert.ok(!encrypted.includes('sk-secret-1234'))
+  assert.notEqual(secrets.encryptSecret('sk-secret-1234'), encrypted)
+  assert.equal(secrets.decryptSecret(encrypted), 'sk-secret-1234')
+})
+
+test('refuses a wrong passphrase and tampered values', () => {
+  const encrypted = secrets.encryptSecret('sk-secret-5678')
+  assert.throws(() => secrets.unlockSecretStore('wrong horse'), /Incorrect passphrase/)
+  assert.equal(secrets.decryptSecret(encrypted), 'sk-secret-5678')
+
+  const tampered = encrypted.slice(0, -4) + (encrypted.endsWith('AAAA') ? 'BBBB' : 'AAAA')
+  assert.throws(() => secrets.decryptSecret(tampered))
+  assert.throws(() => secrets.decryptSecret('plain-text'), /Unknown secret format/)
+})
+
+test('uses the OS keychain when there is one', () => {
+  safeStorage.available = true
+  try {
+    assert.equal(secrets.getSecretStoreStatus().backend, 'keychain')
+    const encrypted = secrets.encryptSecret('sk-keychain-0000')
+    assert.match(encrypted, /^safe:v1:/)
+    assert.equal(secrets.decryptSecret(encrypted), 'sk-keychain-0000')
+
+    // Linux 的 basic_text 后端用固定口令加密，不算钥匙串
+    // The Linux basic_text backend encrypts with a fixed password and does not count as a keychain
+    if (process.platform === 'linux') {
+      safeStorage.backend = 'basic_text'
+      assert.equal(secrets.getSecretStoreStatus().backend, 'passphrase')
+      assert.match(secrets.encryptSecret('sk-keychain-0000'), /^pass:v1:/)
+    }
+
+    safeStorage.available = false
+    assert.throws(() => secrets.decryptSecret(encrypted), /OS keychain/)
+  } finally {
+    safeStorage.available = false
+    safeStorage.backend = 'gnome_libsecret'
+  }
+})
+
+test('masks all but the last 4 characters', () => {
+  assert.equal(secrets.maskSecret(''), '')
+  assert.equal(secrets.maskSecret('short'), '••••••••')
+  assert.equal(secrets.maskSecret('sk-secret-1234'), '••••••••1234')
+})
+
+test('keeps a legacy config it cannot migrate as a backup', () => {
+  const legacyPath = path.join(getDataDir(), 'cloud-config.json')
+  fs.writeFileSync(legacyPath, JSON.stringify({ endpoint: 'https://old.example.com/v1', apiKey: 'sk-only-copy-4321' }))
+
+  assert.deepEqual(profiles.listCloudProfiles(), [])
+  assert.ok(!fs.existsSync(legacyPath))
+  assert.equal(readJsonFile(`${legacyPath}.bak`).apiKey, 'sk-only-copy-4321')
+})
+
+test('migrates the legacy config and encrypts its plaintext key', () => {
+  const legacyPath = path.join(getDataDir(), 'cloud-config.json')
+  fs.writeFileSync(legacyPath, JSON.stringify({ endpoint: 'https://old.example.com/v1', apiKey: 'sk-legacy-8765', modelName: 'gpt-4o' }))
+
+  const [migrated] = profiles.listCloudProfiles()
+  assert.equal(migrated.id, 'default')
+  assert.equal(migrated.deployment, 'gpt-4o')
+  assert.equal(migrated.apiKeyMask, '••••••••8765')
+  assert.equal(migrated.apiKey, undefined)
+  assert.ok(!fs.existsSync(legacyPath))
+
+  assert.equal(profiles.migratePlaintextApiKeys(), 1)
+  const [stored] = readJsonFile(path.join(getDataDir(), 'cloud-profiles.json'))
+  assert.equal(stored.apiKey, undefined)
+  assert.match(stored.encryptedApiKey, /^pass:v1:/)
+  assert.equal(profiles.getCloudProfile('default').apiKey, 'sk-legacy-8765')
+  assert.equal(profiles.migratePlaintextApiKeys(), 0)
+})
+
+test('never sends the raw key or header values to the renderer', () => {
+  const saved = profiles.saveCloudProfile({
+    name: 'Gateway',
+    type: 'openai',
+    endpoint: 'https://api.example.com/v1',
+    apiKey: 'sk-live-abcdef123456',
+    deployment: 'gpt-4o-mini',
+    headers: { 'X-Api-Token': 'token-9876543210' }
+  })
+  assert.equal(saved.apiKeyMask, '••••••••3456')
+  assert.deepEqual(saved.headers, { 'X-Api-Token': '••••••••3210' })
+
+  for (const text of [JSON.stringify(saved), JSON.stringify(profiles.listCloudProfiles())]) {
+    assert.ok(!text.includes('sk-live-abcdef123456'))
+    assert.ok(!text.includes('token-9876543210'))
+  }
+  assert.ok(!fs.readFileSync(path.join(getDataDir(), 'cloud-profiles.json'), 'utf8').includes('sk-live-abcdef123456'))
+
+  // 渲染进程送回掩码时沿用已保存的值，但只限原来的端点
+  // Masks sent back by the renderer keep the saved values, but only for the same endpoint
+  profiles.saveCloudProfile({ ...saved, apiKey: '', name: 'Gateway 2' })
+  const revealed = profiles.getCloudProfile(saved.id)
+  assert.equal(revealed.apiKey, 'sk-live-abcdef123456')
+  assert.deepEqual(revealed.headers, { 'X-Api-Token': 'token-9876543210' })
+
+  assert.throws(() => profiles.saveCloudProfile({ ...saved, apiKey: '', endpoint: 'https://evil.example.com/v1' }), /endpoint changed/)
+  assert.throws(() => profiles.saveCloudProfile({ ...saved, apiKey: 'sk-new-key-0001', endpoint: 'https://evil.example.com/v1' }), /X-Api-Token header again/)
+})
@@ -0,0 +1,92 @@
+/**
+ * service-status-parser.test.js
+ *
+ * 用 test/fixtures/service-status 中的 `foundry service status` 输出测试解析器（离线运行）
+ * running-0.3、running-0.7-eps 和 stopped-0.3 按 CLI 打印的英文状态消息写成（不是从 CLI 采集的），
+ * 其余是由它们派生的边界情况（终端颜色、IPv6、空输出、崩溃输出）
+ *
+ * Tests the parser against `foundry service status` outputs in test/fixtures/service-status (runs offline)
+ * running-0.3, running-0.7-eps and stopped-0.3 are written after the English status messages the CLI prints
+ * (they were not captured from the CLI); the others are edge cases derived from them (terminal colors,
+ * IPv6, no output, a crash)
+ *
+ * npm test
+ */
+
+import { test } from 'node:test'
+import assert from 'node:assert/strict'
+import fs from 'fs'
+import path from 'path'
+import { fileURLToPath } from 'url'
+import { parseServiceStatus, SERVICE_STATES } from '../service-status-parser.js'
+
+const FIXTURE_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), 'fixtures', 'service-status')
+
+function readFixture(name) {
+  return fs.readFileSync(path.join(FIXTURE_DIR, name), 'utf8')
+}
+
+// 每个 fixture 的期望结果
+// Expected result for each fixture
+const EXPECTED = {
+  'running-0.3.txt': { state: 'running', endpoint: 'http://localhost:5273', port: 5273, format: 'text-url' },
+  'running-0.7-eps.txt': { state: 'running', endpoint: 'http://127.0.0.1:56051', port: 56051, format: 'text-url' },
+  'running-ansi.txt': { state: 'running', endpoint: 'http://127.0.0.1:5273', port: 5273, format: 'text-url' },
+  'running-ipv6.txt': { state: 'running', endpoint: 'http://[::1]:5273', port: 5273, format: 'text-url' },
+  'stopped-0.3.txt': { state: 'stopped', endpoint: null, port: null, format: 'text-state' },
+  'garbage.txt': { state: 'unknown', endpoint: null, port: null, format: null },
+  'empty.txt': { state: 'unknown', endpoint: null, port: null, format: null }
+}
+
+test('every fixture has an expected result', () => {
+  assert.deepEqual(fs.readdirSync(FIXTURE_DIR).sort(), Object.keys(EXPECTED).sort())
+})
+
+for (const [name, expected] of Object.entries(EXPECTED)) {
+  test(`parses ${name}`, () => {
+    const status = parseServiceStatus(readFixture(name))
+    assert.ok(SERVICE_STATES.includes(status.state))
+    assert.deepEqual(
+      { state: status.state, endpoint: status.endpoint, port: status.port, format: status.format },
+      expected
+    )
+    if (expected.state === 'unknown') {
+      assert.match(status.error, /\S/)
+    } else {
+      assert.equal(status.error, null)
+      assert.match(status.reason, /\S/)
+    }
+  })
+}
+
+test('does not take an arbitrary number after a colon as the port', () => {
+  const status = parseServiceStatus('Foundry Local CLI\nBuild: 20250601\nUptime: 42')
+  assert.equal(status.endpoint, null)
+  assert.equal(status.port, null)
+  assert.equal(status.state, 'unknown')
+  assert.match(status.error, /Unrecognized output: Foundry Local CLI/)
+})
+
+test('reports a running service without an address as an error', () => {
+  const status = parseServiceStatus('🟢 Model management service is running')
+  assert.equal(status.state, 'running')
+  assert.equal(status.endpoint, null)
+  assert.match(status.error, /no URL/)
+})
+
+test('ignores a URL in stopped output', () => {
+  const status = parseServiceStatus('🔴 Model management service is not running!\nSee https://aka.ms/foundry-local-docs:443 for help')
+  assert.equal(status.state, 'stopped')
+  assert.equal(status.endpoint, null)
+})
+
+test('does not guess a state from output in other languages', () => {
+  const status = parseServiceStatus('Der Modellverwaltungsdienst wird nicht ausgeführt.')
+  assert.equal(status.state, 'unknown')
+  assert.match(status.error, /Unrecognized output/)
+})
+
+test('accepts null and undefined', () => {
+  assert.equal(parseServiceStatus(null).state, 'unknown')
+  assert.equal(parseServiceStatus(undefined).error, 'No output from foundry service status')
+})